@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+// Runs LDflex queries from the command line (see src/LdfCli.js):
+//
+//   npm run cli -- --source https://ruben.verborgh.org/profile/ --path .name
+//
+// The sources in src are ES modules written for the web client, so they're compiled as they're loaded.
+
+const path = require('path');
+const fs = require('fs');
+
+require('@babel/register')({
+  presets: [['@babel/preset-env', { targets: { node: 'current' } }]],
+  only: [path.join(__dirname, '..', 'src')],
+  babelrc: false,
+  configFile: false
+});
+
+const { runCli } = require('../src/LdfCli');
+
+runCli(process.argv.slice(2), {
+  stdout: text => process.stdout.write(text),
+  stderr: text => process.stderr.write(text),
+  readFile: fileName => fs.readFileSync(fileName, 'utf8')
+})
+  // The query engine may keep connections open, so the process is ended once the output is flushed.
+  .then(status => process.stdout.write('', () => process.exit(status)));
@@ -1,5 +1,6 @@
 import { Col, Container, Navbar, Row } from 'react-bootstrap';
 import { LdFlexClient } from './LdFlexClient'
+import { EmbeddedClient, isEmbedUrl } from './FlexpressWidget'
 
 import ldFlexLogo from './ldflex.png'
 import './App.css';
@@ -30,6 +31,15 @@ function App() {
     )
   };
 
+  // Embedded in another page's iframe, only the client is shown (see FlexpressWidget.js).
+  if (isEmbedUrl(document.URL)) {
+    return (
+      <Container fluid className="embeddedContainer">
+        <EmbeddedClient pageUrl={document.URL} />
+      </Container>
+    );
+  }
+
   return (
     <>
       <Navbar className="navbar">
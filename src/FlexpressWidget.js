@@ -0,0 +1,228 @@
+// Embedding the client in other pages, e.g. documentation or dashboards.
+//
+// The client is embedded either as a <flexpress-query> custom element, registered by
+// the Flexpress bundle, or in an iframe showing the Flexpress page with the embed
+// parameter, e.g. index.html?embed&source=...&subject=...&query=.name&origin=https://host.example
+//
+// Either way, it's configured by attributes (the element) or query string parameters
+// (the iframe) giving the initial form state:
+//
+//   element          iframe            config
+//   source           source            sources   Source URLs, space-separated for the element
+//   source-type      sourceType        sources   Their types (see LdfSources.js), likewise
+//   subject          subject           subject
+//   context          context           context   The JSON-LD context (text)
+//   path             query             dataPath
+//   presets          presets           dataPathPresets   A JSON array of data paths
+//   format           format            outputFormat
+//   read-only        readonly          readOnly  Only the embedding page changes the inputs
+//   execute          (source & query)  execute   Execute the query once loaded
+//
+// The embedding page then drives the client through a channel of commands and events:
+//
+//   commands: { type: 'set', inputs }, inputs being any of
+//               { source | sources, subject, context, dataPath, outputFormat }
+//             { type: 'execute' }
+//   events:   { type: 'ready' }, once the client listens for commands
+//             { type: 'result', query, resultCount, error, results, text },
+//               text being the results serialized in the output format
+//
+// The custom element has setInputs(inputs) and execute() methods, and dispatches
+// flexpress-ready and flexpress-result DOM events, the event being their detail.
+// An iframe exchanges them with the embedding page as messages (postMessage) whose
+// type is prefixed with 'flexpress:', e.g. { type: 'flexpress:execute' }. As queries
+// may be authenticated (see SolidSession.js), messages are only exchanged with the
+// page of the origin given by the origin parameter, and not at all without it.
+
+import React, { useState, useLayoutEffect } from 'react';
+import ReactDOM from 'react-dom';
+
+import { LdFlexClient } from './LdFlexClient';
+import { readQueryString } from './LdfQuery';
+import { sourceTypes, defaultSourceType } from './LdfSources';
+
+export const widgetElementName = 'flexpress-query';
+export const messagePrefix = 'flexpress:';
+
+// ------------------------------------------------------------------
+
+// Whether a page URL shows the client embedded in an iframe.
+export function isEmbedUrl(pageUrl) {
+  return new URL(pageUrl).searchParams.has('embed');
+}
+
+// Pairs source URLs with the source types in the same position, if any.
+function toSources(urls, types = []) {
+  return urls.map((url, index) => ({
+    url,
+    type: sourceTypes.some(st => st.value === types[index]) ? types[index] : defaultSourceType
+  }));
+}
+
+// Reads the data path presets, a JSON array of data paths.
+// Presets which can't be read are ignored, in favour of the default ones.
+function parsePresets(text) {
+  try {
+    const presets = JSON.parse(text);
+    return Array.isArray(presets) ? presets.filter(preset => typeof preset === 'string') : null;
+  }
+  catch (ex) {
+    return null;
+  }
+}
+
+const splitList = text => (text ? text.trim().split(/\s+/).filter(Boolean) : []);
+
+// Reads the configuration of a <flexpress-query> element from its attributes.
+// getAttribute(name) returns the value of an attribute, or null if it isn't given.
+export function configFromAttributes(getAttribute) {
+  const urls = splitList(getAttribute('source'));
+  return {
+    sources: urls.length ? toSources(urls, splitList(getAttribute('source-type'))) : null,
+    subject: getAttribute('subject'),
+    context: getAttribute('context'),
+    dataPath: getAttribute('path'),
+    dataPathPresets: getAttribute('presets') ? parsePresets(getAttribute('presets')) : null,
+    outputFormat: getAttribute('format'),
+    readOnly: getAttribute('read-only') !== null && getAttribute('read-only') !== 'false',
+    execute: getAttribute('execute') !== null && getAttribute('execute') !== 'false'
+  };
+}
+
+// Reads the configuration of an embedding iframe from the query string of its page URL,
+// which describes the query as a query permalink does, plus the options of embedding.
+// As for a permalink, a query with sources and a data path is executed once loaded.
+export function configFromQueryString(params) {
+  const query = readQueryString(params);
+  return {
+    sources: query.sources,
+    subject: query.subject,
+    context: query.context,
+    dataPath: query.dataPath,
+    dataPathPresets: params.has('presets') ? parsePresets(params.get('presets')) : null,
+    outputFormat: query.outputFormat,
+    readOnly: params.has('readonly') && params.get('readonly') !== 'false',
+    execute: Boolean(query.sources && query.dataPath),
+    hostOrigin: params.has('origin') ? params.get('origin').trim() : null
+  };
+}
+
+// Converts the inputs of a 'set' command into form state, keeping only those given:
+// { sources, subject, context, dataPath, outputFormat }.
+// Sources may be given as URLs, and the context as a JSON-LD object.
+export function normalizeInputs(inputs = {}) {
+  const normalized = {};
+  const sources = inputs.sources ? inputs.sources : (inputs.source ? [inputs.source] : null);
+  if (sources)
+    normalized.sources = sources.map(source => (typeof source === 'string' ?
+      { url: source, type: defaultSourceType } :
+      { url: source.url, type: source.type ? source.type : defaultSourceType }));
+  if (inputs.context)
+    normalized.context = typeof inputs.context === 'string' ? inputs.context : JSON.stringify(inputs.context, null, 2);
+  ['subject', 'dataPath', 'outputFormat'].forEach(name => {
+    if (typeof inputs[name] === 'string')
+      normalized[name] = inputs[name];
+  });
+  return normalized;
+}
+
+// Creates the channel between an embedded client and the embedding page.
+// The page sends commands, which the client listens for, and the client
+// emits events, which the page listens for. Listening returns a function
+// which stops listening. The inputs of 'set' commands are normalized on the way.
+export function createWidgetChannel() {
+  const commandListeners = new Set();
+  const eventListeners = new Set();
+  const listen = (listeners, listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    send(command) {
+      const sent = command.type === 'set' ? { ...command, inputs: normalizeInputs(command.inputs) } : command;
+      commandListeners.forEach(listener => listener(sent));
+    },
+    onCommand: listener => listen(commandListeners, listener),
+    emit(event) {
+      eventListeners.forEach(listener => listener(event));
+    },
+    onEvent: listener => listen(eventListeners, listener)
+  };
+}
+
+// Relays the channel's commands and events as messages exchanged with the embedding
+// page (hostWindow), messages from other origins being ignored.
+// Returns a function disconnecting the channel from the page.
+export function connectHostWindow(channel, ownWindow, hostWindow, hostOrigin) {
+  const messageHandler = event => {
+    const { data } = event;
+    if (event.source !== hostWindow || event.origin !== hostOrigin || !data || typeof data.type !== 'string')
+      return;
+    if (data.type.startsWith(messagePrefix))
+      channel.send({ ...data, type: data.type.slice(messagePrefix.length) });
+  };
+  ownWindow.addEventListener('message', messageHandler);
+  const stopEvents = channel.onEvent(event =>
+    hostWindow.postMessage({ ...event, type: messagePrefix + event.type }, hostOrigin));
+
+  return () => {
+    ownWindow.removeEventListener('message', messageHandler);
+    stopEvents();
+  };
+}
+
+// The client embedded in an iframe, configured by its page URL.
+//
+// Props:
+// - pageUrl: The URL of the page displaying this React component.
+export function EmbeddedClient(props) {
+  const [config] = useState(() => configFromQueryString(new URL(props.pageUrl).searchParams));
+  const [channel] = useState(() => createWidgetChannel());
+
+  // Connected before the client's own effects run, so the page receives its ready event.
+  useLayoutEffect(() => {
+    if (config.hostOrigin && window.parent !== window)
+      return connectHostWindow(channel, window, window.parent, config.hostOrigin);
+  }, [config, channel]);
+
+  return <LdFlexClient pageUrl={props.pageUrl} embedded config={config} channel={channel} />;
+}
+
+// Registers the <flexpress-query> custom element, unless it's already registered.
+export function defineFlexpressElement(name = widgetElementName) {
+  if (!window.customElements || window.customElements.get(name))
+    return;
+
+  class FlexpressQueryElement extends HTMLElement {
+    constructor() {
+      super();
+      this.channel = createWidgetChannel();
+      this.channel.onEvent(event =>
+        this.dispatchEvent(new CustomEvent(`flexpress-${event.type}`, { detail: event, bubbles: true })));
+    }
+
+    // The client takes its configuration from the attributes the element has when attached.
+    connectedCallback() {
+      ReactDOM.render(
+        <LdFlexClient pageUrl={document.URL} embedded
+          config={configFromAttributes(attribute => this.getAttribute(attribute))} channel={this.channel}
+        />,
+        this);
+    }
+
+    disconnectedCallback() {
+      ReactDOM.unmountComponentAtNode(this);
+    }
+
+    setInputs(inputs) {
+      this.channel.send({ type: 'set', inputs });
+    }
+
+    execute() {
+      this.channel.send({ type: 'execute' });
+    }
+  }
+
+  window.customElements.define(name, FlexpressQueryElement);
+}
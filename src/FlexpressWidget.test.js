@@ -0,0 +1,96 @@
+import { act } from 'react-dom/test-utils';
+
+import {
+  configFromAttributes, configFromQueryString, createWidgetChannel, connectHostWindow, defineFlexpressElement
+} from './FlexpressWidget';
+
+// A stand-in for a window, recording the messages posted to it.
+function createFakeWindow() {
+  const listeners = new Set();
+  return {
+    posted: [],
+    postMessage(message, targetOrigin) { this.posted.push({ message, targetOrigin }); },
+    addEventListener: (type, listener) => listeners.add(listener),
+    removeEventListener: (type, listener) => listeners.delete(listener),
+    receive: event => listeners.forEach(listener => listener(event))
+  };
+}
+
+test('reads the configuration from element attributes or the query string', () => {
+  const attributes = {
+    source: ' http://a.example/doc  http://b.example/sparql ', 'source-type': 'file sparql', path: '.name',
+    presets: '[".name", ".friends.name", 42]', 'read-only': ''
+  };
+  expect(configFromAttributes(name => (name in attributes ? attributes[name] : null))).toEqual({
+    sources: [{ url: 'http://a.example/doc', type: 'file' }, { url: 'http://b.example/sparql', type: 'sparql' }],
+    subject: null, context: null, dataPath: '.name', dataPathPresets: ['.name', '.friends.name'],
+    outputFormat: null, readOnly: true, execute: false
+  });
+
+  const config = configFromQueryString(new URLSearchParams(
+    'embed&source=http%3A%2F%2Fa.example%2Fdoc&query=.name&presets=oops&readonly=false&origin=https%3A%2F%2Fhost.example'));
+  expect(config).toMatchObject({
+    sources: [{ url: 'http://a.example/doc', type: 'file' }], dataPath: '.name', dataPathPresets: null,
+    readOnly: false, execute: true, hostOrigin: 'https://host.example'
+  });
+});
+
+test('relays commands and events to and from the embedding page', () => {
+  const channel = createWidgetChannel();
+  const commands = [];
+  channel.onCommand(command => commands.push(command));
+  const ownWindow = createFakeWindow();
+  const hostWindow = createFakeWindow();
+  const disconnect = connectHostWindow(channel, ownWindow, hostWindow, 'https://host.example');
+
+  const setInputs = { type: 'flexpress:set', inputs: { source: 'http://a.example/doc', context: { '@vocab': 'http://schema.org/' } } };
+  ownWindow.receive({ source: hostWindow, origin: 'https://host.example', data: setInputs });
+  // Messages from other pages, or other origins, are ignored.
+  ownWindow.receive({ source: {}, origin: 'https://host.example', data: { type: 'flexpress:execute' } });
+  ownWindow.receive({ source: hostWindow, origin: 'https://evil.example', data: { type: 'flexpress:execute' } });
+  ownWindow.receive({ source: hostWindow, origin: 'https://host.example', data: { type: 'flexpress:execute' } });
+  expect(commands).toEqual([
+    {
+      type: 'set',
+      inputs: { sources: [{ url: 'http://a.example/doc', type: 'file' }], context: '{\n  "@vocab": "http://schema.org/"\n}' }
+    },
+    { type: 'execute' }
+  ]);
+
+  channel.emit({ type: 'result', resultCount: 0 });
+  expect(hostWindow.posted).toEqual([{ message: { type: 'flexpress:result', resultCount: 0 }, targetOrigin: 'https://host.example' }]);
+
+  disconnect();
+  channel.emit({ type: 'ready' });
+  expect(hostWindow.posted).toHaveLength(1);
+});
+
+test('embeds a read-only client as a custom element driven by the page', async () => {
+  defineFlexpressElement();
+  const element = document.createElement('flexpress-query');
+  element.setAttribute('source', 'http://localhost:9/none');
+  element.setAttribute('subject', 'http://localhost:9/none#it');
+  element.setAttribute('read-only', '');
+
+  const ready = new Promise(resolve => element.addEventListener('flexpress-ready', resolve));
+  await act(async () => {
+    document.body.appendChild(element);
+    await ready;
+  });
+  expect(element.querySelector('textarea').closest('fieldset').disabled).toBe(true);
+
+  const result = new Promise(resolve => element.addEventListener('flexpress-result', event => resolve(event.detail)));
+  let detail;
+  await act(async () => {
+    element.setInputs({ dataPath: '.name', outputFormat: 'fmt_csv' });
+    element.execute();
+    detail = await result;
+  });
+  expect(detail).toMatchObject({
+    type: 'result', query: { subject: 'http://localhost:9/none#it', dataPath: '.name', outputFormat: 'fmt_csv' },
+    error: expect.stringMatching(/^Query execution failed/)
+  });
+  act(() => {
+    document.body.removeChild(element);
+  });
+});
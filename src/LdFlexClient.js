@@ -4,415 +4,834 @@ import JSONTree from 'react-json-tree';
 // ReactJson (npm react-json-view) provides a possible alternative control to JSONTree
 
 import loaderGif from './loader-white.gif';
-
-const { PathFactory } = require('ldflex');
-const { namedNode } = require('@rdfjs/data-model');
-const { default: ComunicaEngine } = require('@ldflex/comunica');
-
-
-// defaultSource is used together with the other defaults to ensure
-// the default LDflex query will execute and return results.
+import { LdfDataPathEditor } from './LdfDataPathEditor';
+import { LdfPathBuilder } from './LdfPathBuilder';
+import { LdfTableView } from './LdfTableView';
+import { LdfSubjectBrowser } from './LdfSubjectBrowser';
+import { LdfPropertyInspector } from './LdfPropertyInspector';
+import { LdfProfilePanel } from './LdfProfilePanel';
+import { defaultLogLevel, startProfile } from './QueryProfiler';
+import { LdfContextEditor } from './LdfContextEditor';
+import { LdfGraphView } from './LdfGraphView';
+import { LdfResultLinks } from './LdfResultLinks';
+import { LdfMutationPanel } from './LdfMutationPanel';
+import { LdfSuitePanel } from './LdfSuitePanel';
+import { LdfSparqlPanel } from './LdfSparqlPanel';
+import { LdfConnectionSettings } from './LdfConnectionSettings';
+import { QueryHistoryPanel } from './QueryHistoryPanel';
+import { loadQueryHistory, recordQueryRun, clearQueryHistory } from './QueryStore';
+import { describeStopReason } from './QueryStream';
+import { parseJsonLdContext, buildDataPath } from './LdfDataPath';
+import { generatePathSparql } from './LdfSparql';
+import { getSparqlQueryType, executeSparql } from './LdfSparqlQuery';
+import {
+  localRdfFormats, defaultLocalRdfFormat, defaultLocalBaseIri,
+  guessLocalRdfFormat, parseLocalRdf
+} from './LocalRdfSource';
+import { sourceTypes, defaultSourceType, validateSources } from './LdfSources';
+import { subjectEntry, defaultSubject } from './LdfSubjects';
+import { navigationSources } from './LdfNavigation';
+import { defaultIdentityProvider, trackSession, login, logout } from './SolidSession';
+import {
+  connectionKey, hasConnectionSettings, loadConnectionSettings, saveConnectionSettings, explainFailure
+} from './SourceConnections';
+import { applyConnectionSettings, startRequestLog } from './SourceFetch';
+import {
+  defaultEngineCacheSize, localSourceKey, createEngineCache, createQueryContext
+} from './LdfQueryContext';
+import {
+  defaultContext, outputFormats, defaultOutputFormat, needsWalkedTriples, readQueryString, writeQueryString,
+  sourcesEngineSpec, localEngineSpec, checkQuery, describeStoppedQuery, evaluateDataPath, collectWalkedTriples,
+  listSubjects, serializeResults
+} from './LdfQuery';
+import { downloadText } from './ResultExport';
+
+
+// defaultSource is used together with the other defaults (and defaultContext,
+// see LdfQuery.js) to ensure the default LDflex query will execute and return results.
 
 const defaultSource = 'https://ruben.verborgh.org/profile/';
 const defaultLdfSubject = 'https://ruben.verborgh.org/profile/#me';
-const defaultContext = `
-{
-  "@context": {
-    "@vocab": "http://xmlns.com/foaf/0.1/",
-    "friends": "knows",
-    "label": "http://www.w3.org/2000/01/rdf-schema#label"
-  }
-}
-`.trim();
-
-// LDflex query context
-let gLdfQryCtx = {
-  queryEngine: null,
-  pathFactory: null,
-  subjectPath: null
-};
-
-// Query context states
-const QC_STALE_SOURCE_CHANGED = 4;
-const QC_STALE_CONTEXT_CHANGED = 2;
-const QC_STALE_SUBJECT_CHANGED = 1;
-const QC_VALID = 0;
-
-// Subject URIs of the data source URI
-// let grSubjects = [];
-let grSubjects = [defaultLdfSubject];
-
-// Property URIs of the current subject URI
-let grSubjectProperties = [];
-
-// dataPathPresets and its accompanying select control are a stopgap until 
-// data paths can be built interactively in the UI. 
-//
-// This requires that the available properties on the current subject node be known.
-// This in turn requires that we enumerate and display the subject node properties
-// with a facility to descend to a child node by selecting a subject property and then
-// displaying the properties of this child node, from which one could be selected.
-// By repeating this process, a multipart data path could be entered interactively,
-// before being evaluated and the resulting generated query executed.
+
+// Source modes:
+// The data queried is either fetched from the source URI or is local RDF,
+// i.e. an uploaded file or pasted RDF text held in an in-memory store.
+const SRC_MODE_URL = 'url';
+const SRC_MODE_LOCAL = 'local';
+
+// Query execution triggers, other than the user clicking Execute.
+// These determine how the browser history is updated when a query is executed.
+const EXEC_ON_LOAD = 'load';
+const EXEC_FROM_HISTORY = 'history';
+const EXEC_RERUN = 'rerun'; // Run again from the query history or saved queries
+const EXEC_FROM_INSPECTOR = 'inspector'; // A property run as a path from the property inspector
+const EXEC_FROM_HOST = 'host'; // Requested by the page embedding the client (see FlexpressWidget.js)
+
+// Follow-your-nose navigation steps (see LdfNavigation.js).
+// Following an IRI adds a browser history entry; stepping back/forward to one doesn't.
+const NAV_FOLLOW = 'follow';
+const NAV_FROM_HISTORY = 'history';
+
+// Query modes:
+// A path query evaluates one data path from the current subject.
+// A table query evaluates several data paths (columns) for each of several subjects (rows).
+// A SPARQL query is written by hand and run on the same query engine as data paths.
+// A suite runs LDflex test cases, data paths with expected results, and reports which pass (see LdfSuite.js).
+const QRY_MODE_PATH = 'path';
+const QRY_MODE_TABLE = 'table';
+const QRY_MODE_SPARQL = 'sparql';
+const QRY_MODE_SUITE = 'suite';
+
+// Stops the running query, subjects or properties listing, if any.
+let gQueryAbortController = null;
+
+// dataPathPresets are example data paths offered by the data path editor.
+// Any other path can be typed into the editor directly, or built from the subject's
+// properties (see LdfPathBuilder.js).
 const dataPathPresets = [
   '.interest.label',
   '.interest',
   '.name',
+  '.friends.name',
 ];
 
-const defaultLdfDataPath = dataPathPresets[0];
+// The defaults of the form, which the configuration of a page
+// embedding the client may override (see FlexpressWidget.js).
+function getFormDefaults(config) {
+  const presets = config.dataPathPresets && config.dataPathPresets.length ? config.dataPathPresets : dataPathPresets;
+  return {
+    sources: config.sources && config.sources.length ? config.sources : [{ url: defaultSource, type: defaultSourceType }],
+    subject: config.subject ? config.subject : defaultLdfSubject,
+    context: config.context ? config.context : defaultContext,
+    dataPathPresets: presets,
+    dataPath: config.dataPath ? config.dataPath : presets[0],
+    outputFormat: config.outputFormat ? config.outputFormat : defaultOutputFormat
+  };
+}
 
-const outputFormats = [
-  { label: "Tree", value: "fmt_tree" },
-  { label: "JSON (Compact)", value: "fmt_json" },
-  { label: "JSON (Formatted)", value: "fmt_json_formatted" },
-];
+// Queries, and the subjects and properties listings, stop after this long (s)
+// or after this many results. 0 means no limit.
+const defaultQueryTimeout = 60;
+const defaultResultLimit = 1000;
+
+// Results are rendered as they stream in, at most this often (ms).
+const resultRenderInterval = 250;
 
-const defaultOutputFormat = "fmt_json_formatted"
+// The profiler keeps the profiles of this many runs (see QueryProfiler.js).
+const maxProfiles = 20;
 
 // ------------------------------------------------------------------
 
+// Props:
+// - pageUrl: The URL of the page displaying this React component.
+// - embedded: Whether the client is embedded in another page (see FlexpressWidget.js),
+//   in which case it starts from the configuration rather than from the page URL,
+//   and leaves the page's browser history alone.
+// - config: The embedding page's configuration: the initial form state, and readOnly
+//   to keep the inputs from being edited other than through the channel.
+// - channel: The channel through which the embedding page sends commands and receives events.
 export function LdFlexClient(props) {
 
-  const { qsSource, qsQuery, qsContext, qsOutputFormat } = getQueryStringParams(props.pageUrl);
+  const config = props.config ? props.config : {};
+  const embedded = Boolean(props.embedded);
+  const readOnly = Boolean(config.readOnly);
+  const formDefaults = getFormDefaults(config);
+
+  const { qsSources, qsSubject, qsQuery, qsContext, qsOutputFormat } = embedded ? {} : getQueryStringParams(props.pageUrl);
 
-  // pageUrl: The URL of the page displaying this React component.
   const pageUrl = new URL(props.pageUrl);
 
-  // ldfQryCtxStale:
-  // A flag indicating whether the LDflex query execution context is valid.
-  // The query execution context comprises:
-  // - a query engine (initialized with the source RDF resource).
-  // - a PathFactory (initialized with the query engine and the current JSON-LD context).
-  // - an LDflex path starting at the current subject node.
-  // Once a query execution context has been created, a change to source,
-  // JSON-LD context or subject node renders the query execution
-  // context invalid and requires a new execution context to be created.
-  const [ldfQryCtxStale, setLdfQryCtxStale] = useState(QC_STALE_SOURCE_CHANGED);
+  // queryContext: The LDflex query execution context (see LdfQueryContext.js),
+  // holding the query engines of the sources last queried in an LRU cache.
+  // engineCacheEntries: The cached query engines, most recently used first.
+  const [engineCacheEntries, setEngineCacheEntries] = useState([]);
+  const [showEngineCache, setShowEngineCache] = useState(false);
+  const [queryContext] = useState(() =>
+    createQueryContext(createEngineCache(defaultEngineCacheSize, setEngineCacheEntries))
+  );
+
+  // sources: The RDF resources providing the data to be queried by LDflex.
+  // Each is described by { url, type }, type being one of sourceTypes.
+  // Queries are federated over all the sources.
+  const [sources, setSources] = useState(qsSources ? qsSources : formDefaults.sources);
 
-  // source: The RDF resource providing the data to be queried by LDflex.
-  const [source, setSource] = useState(qsSource ? qsSource : defaultSource);
+  // sourceMode: SRC_MODE_URL to query sources, SRC_MODE_LOCAL to query local RDF.
+  const [sourceMode, setSourceMode] = useState(SRC_MODE_URL);
+
+  // localRdf: The local RDF text, its format and base IRI,
+  // and the name of the file it was read from, if any.
+  const [localRdf, setLocalRdf] = useState({
+    text: '', format: defaultLocalRdfFormat, baseIri: defaultLocalBaseIri, fileName: null
+  });
+
+  // localStore: The in-memory RDF/JS store holding the local RDF once loaded.
+  const [localStore, setLocalStore] = useState(null);
+  // The number of triples in the local store, which the write mode changes in place.
+  const [localStoreSize, setLocalStoreSize] = useState(0);
 
   // ldfSubject:
   // The selected subject in the subjects select control.
   // The selected subject sets the current subject URI / LDflex path entry point.
 
   // const [ldfSubject, setLdfSubject] = useState(null);
-  const [ldfSubject, setLdfSubject] = useState(defaultLdfSubject);
+  const [ldfSubject, setLdfSubject] = useState(qsSubject ? qsSubject : formDefaults.subject);
+
+  // subjects: The subject URIs of the data source(s), listed in the subjects select control.
+  // A subject given by a query permalink must be listed for the subjects select control.
+  // Each is described by { id, termType, types, labels } (see LdfSubjects.js).
+  const [subjects, setSubjects] = useState([subjectEntry(qsSubject ? qsSubject : formDefaults.subject)]);
+  const [showSubjectBrowser, setShowSubjectBrowser] = useState(false);
 
-  // ldfProperty:
-  // The selected subject property in the properties select control.
-  // TO DO: Need to provide a UI to help the user to derive an ldfDataPath from a property URI. 
-  const [ldfProperty, setLdfProperty] = useState(null);
+  // subjectSources: The sources each subject in subjects was found in, when querying
+  // several sources. Maps a subject URI to a list of source URLs.
+  const [subjectSources, setSubjectSources] = useState(new Map());
+
+  // subjectProperties: The outgoing property URIs of the current subject,
+  // as listed by the property inspector.
+  const [subjectProperties, setSubjectProperties] = useState([]);
+
+  // ldfPathSteps:
+  // The property IRIs of the data path built interactively in the path builder.
+  // Each change to the built path replaces ldfDataPath.
+  const [ldfPathSteps, setLdfPathSteps] = useState([]);
 
   // context: The JSON-LD context for resolving properties.
-  const [context, setContext] = useState(qsContext ? qsContext : defaultContext);
+  const [context, setContext] = useState(qsContext ? qsContext : formDefaults.context);
 
   // ldfDataPath: An LDflex string expression.
   //
   // This is transformed (resolved) into an actual LDflex path.
   // The LDflex path is a JavaScript expression which is evaluated, resulting in a query
   // returning the requesting data.
-  const [ldfDataPath, setLdfDataPath] = useState(defaultLdfDataPath);
+  const [ldfDataPath, setLdfDataPath] = useState(qsQuery ? qsQuery : formDefaults.dataPath);
 
   const [queryResult, setQueryResult] = useState(null);
+
+  // queryTriples: The triples walked through by the last query executed, as RDF/JS quads,
+  // or an Error if they couldn't be collected.
+  const [queryTriples, setQueryTriples] = useState(null);
+
+  // uncollectedTriples: The data path query ({ engineSpec, query }) whose walked triples weren't
+  // collected, as the output format didn't show them. They're collected once a format shows them.
+  const [uncollectedTriples, setUncollectedTriples] = useState(null);
+
+  // queryResultText: The query result serialized in the current output format,
+  // for formats other than those rendered directly from queryResult.
+  const [queryResultText, setQueryResultText] = useState(null);
   const [status, setStatus] = useState(null);
-  const [outputFormat, setOutputFormat] = useState(qsOutputFormat ? qsOutputFormat : defaultOutputFormat);
+  const [outputFormat, setOutputFormat] = useState(qsOutputFormat ? qsOutputFormat : formDefaults.outputFormat);
   const [queryPermalink, setQueryPermalink] = useState(props.pageUrl);
+  const [queryPermalinkCopied, setQueryPermalinkCopied] = useState(false);
+
+  // pendingExecution:
+  // Set when a query should be executed once the form state has been updated,
+  // i.e. on page load from a query permalink, on browser back/forward, when a query
+  // is run again from the query history or saved queries, when a property is run
+  // from the property inspector, or when the page embedding the client asks for it.
+  // Holds the trigger (EXEC_ON_LOAD, EXEC_FROM_HISTORY, EXEC_RERUN, EXEC_FROM_INSPECTOR or EXEC_FROM_HOST).
+  const [pendingExecution, setPendingExecution] = useState(qsSources && qsQuery ? EXEC_ON_LOAD :
+    (config.execute ? EXEC_FROM_HOST : null));
+
+  // pendingNavigation:
+  // Set when an IRI has been followed (NAV_FOLLOW), or a followed IRI restored by
+  // browser back/forward (NAV_FROM_HISTORY), so the subjects and properties are
+  // listed once the form state has been updated.
+  const [pendingNavigation, setPendingNavigation] = useState(null);
+
+  // propertyListings: Incremented to have the property inspector list the subject's properties.
+  const [propertyListings, setPropertyListings] = useState(0);
 
   const [responsePending, setResponsePending] = useState(false);
 
-  const refreshLdfQryCtxEngine = () => {
-    // Precondition:
-    // source should have been validated beforehand by caller.
-    if (ldfQryCtxStale && QC_STALE_SOURCE_CHANGED) {
-      gLdfQryCtx.queryEngine = new ComunicaEngine(source);
-      setLdfQryCtxStale(ldfQryCtxStale ^ QC_STALE_SOURCE_CHANGED);
-    }
-  }
+  const [queryTimeout, setQueryTimeout] = useState(defaultQueryTimeout);
+  const [resultLimit, setResultLimit] = useState(defaultResultLimit);
 
-  const refreshLdfQryCtx = () => {
-    // Precondition:
-    // source, context, ldfSubject should all have been validated beforehand by caller.
+  const [queryMode, setQueryMode] = useState(QRY_MODE_PATH);
 
-    // queryEngine: f(source)
-    // pathFactory: f(contextObj, queryEngine)
-    // subjectPath: f(pathFactory, ldfSubject)
-    // i.e.
-    // queryEngine need only change if source changes.
-    // pathFactory need only change if context or queryEngine has changed.
-    // subjectPath need only change if pathFactory or ldfSubject has changed.
+  // The last result of each of the data path and SPARQL modes, while the other mode is shown.
+  // Maps a query mode to { queryResult, queryTriples, sparqlResult, status }.
+  const [stashedResults, setStashedResults] = useState({});
 
-    if (ldfQryCtxStale && QC_STALE_SOURCE_CHANGED) {
-      gLdfQryCtx.queryEngine = new ComunicaEngine(source);
-    }
+  const [sparqlQuery, setSparqlQuery] = useState('');
 
-    if (ldfQryCtxStale && (QC_STALE_SOURCE_CHANGED | QC_STALE_CONTEXT_CHANGED)) {
-      // PathFactory(settings, data) creates paths with default settings.
-      // The settings and data args are both optional. 
-      // settings provides defaults for data if data isn't supplied.
-      // The default settings provided to the constructor are used when creating a path
-      // but will be overridden by any settings supplied to PathFactory.create().
-      let contextObj = JSON.parse(context);
-      gLdfQryCtx.pathFactory = new PathFactory({ context: contextObj, queryEngine: gLdfQryCtx.queryEngine });
-    }
+  // webId: The WebID of the user logged in to their Solid identity provider, if any.
+  // Queries are then authenticated as this user (see SolidSession.js).
+  const [webId, setWebId] = useState(null);
+  const [identityProvider, setIdentityProvider] = useState(defaultIdentityProvider);
 
-    if (ldfQryCtxStale && (QC_STALE_SOURCE_CHANGED | QC_STALE_CONTEXT_CHANGED | QC_STALE_SUBJECT_CHANGED)) {
-      // Create a new LDflex path starting from the given subject.
-      gLdfQryCtx.subjectPath = gLdfQryCtx.pathFactory.create({ subject: namedNode(ldfSubject) });
-    }
+  // The connection settings of each source, from its URL (see SourceConnections.js),
+  // and the index of the source whose settings are being edited, if any.
+  const [connectionSettings, setConnectionSettings] = useState(() => loadConnectionSettings());
+  const [editedConnection, setEditedConnection] = useState(null);
+
+  // Whether the write mode panel, mutating the data path's values, is shown.
+  const [showMutationPanel, setShowMutationPanel] = useState(false);
+
+  // Whether the profiler is shown. Runs are only profiled while it is,
+  // observing HTTP requests being a cost in itself.
+  const [showProfiler, setShowProfiler] = useState(false);
+  // The profiles of the last runs of queries and listings, newest first (see QueryProfiler.js).
+  const [profiles, setProfiles] = useState([]);
+  const [profileLogLevel, setProfileLogLevel] = useState(defaultLogLevel);
+
+  // Past runs of data path queries, newest first (see QueryStore.js)
+  const [queryHistory, setQueryHistory] = useState(() => loadQueryHistory());
+
+  // The result of the last SPARQL query (see LdfSparqlQuery.js).
+  // queryResult then holds its solutions, or its boolean for an ASK query.
+  const [sparqlResult, setSparqlResult] = useState(null);
 
-    setLdfQryCtxStale(QC_VALID);
+  // Describes the query engine for the current source(s), for the engine cache:
+  // either the source URIs or the in-memory store holding the local RDF.
+  const getEngineSpec = () => {
+    if (sourceMode === SRC_MODE_LOCAL) {
+      if (!localStore)
+        throw new Error('No local RDF loaded.');
+      return localEngineSpec(localStore);
+    }
+    return sourcesEngineSpec(sources);
   }
 
-  // Executes the query described by the LDflex expression contained in the form.
-  const execQuery = async () => {
-    let contextObj;
+  // Whether queries are federated over several sources,
+  // in which case the sources of results are tracked.
+  const isFederated = () => {
+    return sourceMode === SRC_MODE_URL && validateSources(sources).length > 1;
+  }
 
+  // Executes the query described by the LDflex expression contained in the form,
+  // and records the run in the query history.
+  // trigger is undefined when the user executes the query directly.
+  const execQuery = async (trigger) => {
     clearQueryResultAndStatus();
+    updateHistory(trigger);
+
+    const query = getCurrentQuery();
+    const startedAt = new Date().toISOString();
+    const startTime = performance.now();
+    const profile = startProfiledRun('Query', ldfDataPath);
+    const outcome = await evaluateDataPathQuery(profile);
+    const { resultCount, error } = outcome;
+    profile.finish({ resultCount, error });
+    try {
+      setQueryHistory(recordQueryRun({ startedAt, duration: performance.now() - startTime, resultCount, error, query }));
+    }
+    catch (ex) {
+      // The query history is a convenience: a full or unavailable storage mustn't fail the query.
+    }
+    if (props.channel)
+      reportQueryRun(query, outcome);
+  }
+
+  // Tells the embedding page the outcome of a query, including its results
+  // serialized in the output format (see FlexpressWidget.js).
+  const reportQueryRun = async (query, { results, triples, resultCount, error }) => {
+    let text = null;
+    if (results) {
+      try {
+        text = await serializeResults(query.outputFormat, { results, triples, context: query.context });
+      }
+      catch (ex) {
+        // e.g. the triples walked through by a stopped query are unavailable.
+      }
+    }
+    props.channel.emit({
+      type: 'result', query, resultCount: resultCount || 0, error: error ? error : null, results: results ? results : [], text
+    });
+  }
+
+  // Evaluates the data path from the subject and shows the result,
+  // noting its phases and first result in the run's profile.
+  // Resolves to { results, triples, resultCount } or, if the query fails, { error }.
+  const evaluateDataPathQuery = async (profile) => {
+    // Shows the error and returns it as the outcome of the query.
+    const queryFailed = error => {
+      setStatus(error);
+      return { error };
+    }
 
     // Validate data source URI
     try {
       validateSource();
     }
     catch (ex) {
-      setStatus(ex.message);
-      return;
+      return queryFailed(ex.message);
     }
 
-    // Validate Subject URI
+    // Validate the subject, the JSON-LD context and the data path
     try {
-      if (!ldfSubject || !ldfSubject.trim())
-        throw new Error('No subject selected.');
+      await checkQuery({ subject: ldfSubject, context, dataPath: ldfDataPath });
     }
     catch (ex) {
-      setStatus('Invalid subject URI: ' + ex.message);
-      return;
+      return queryFailed(ex.message);
     }
 
-    // Validate JSON-LD context
     try {
-      if (!context || !context.trim())
-        throw new Error('Empty JSON-LD context');
-      JSON.parse(context);
+      // Large or remote sources can take a while, so results are rendered
+      // as they stream in, and the query can be stopped.
+      let lastRendered = performance.now();
+      setResponsePending(true);
+      const runOptions = startQueryRun();
+      const engineSpec = getEngineSpec();
+      const query = { subject: ldfSubject, context, dataPath: ldfDataPath };
+      const { results, triples, stopReason } = await evaluateDataPath(queryContext, engineSpec, query, {
+        ...runOptions,
+        federatedSources: isFederated() ? validateSources(sources) : null,
+        collectTriples: needsWalkedTriples(outputFormat),
+        onPhase: profile.phase,
+        onResult: (result, resultsSoFar) => {
+          profile.firstResult();
+          if (performance.now() - lastRendered > resultRenderInterval) {
+            lastRendered = performance.now();
+            setQueryResult([...resultsSoFar]);
+          }
+        }
+      });
+
+      setQueryResult(results);
+      setQueryTriples(triples);
+      setUncollectedTriples(triples === null ? { engineSpec, query } : null);
+      if (stopReason) {
+        const error = describeStoppedQuery(stopReason, runOptions, results.length);
+        setStatus(error);
+        return { results, triples, resultCount: results.length, error };
+      }
+      return { results, triples, resultCount: results.length };
     }
     catch (ex) {
-      setStatus('Invalid context: ' + ex.toString());
-      return;
+      return queryFailed('Query execution failed: ' + explainRunFailure(ex, profile.requests(), ex.toString()));
+    }
+    finally {
+      setResponsePending(false);
     }
+  }
+
+  // Executes the hand-written SPARQL query on the query engine data paths are evaluated with.
+  const execSparqlQuery = async () => {
+    clearQueryResultAndStatus();
 
-    // Validate ldfDataPath
+    let queryEngine;
     try {
-      if (!ldfDataPath || !ldfDataPath.trim())
-        throw new Error('Data path not set');
+      queryEngine = getQueryEngine();
     }
     catch (ex) {
-      setStatus('Invalid LDflex data path: ' + ex.toString());
+      setStatus(ex.message);
       return;
     }
 
     try {
-      if (ldfQryCtxStale)
-        refreshLdfQryCtx();
-
-      let resolvedDataPath = gLdfQryCtx.subjectPath.resolve(ldfDataPath);
-      // resolvedDataPath = subjectPath[ldfDataPath]; // also works
-      // e.g.
-      // subjectPath.resolve('.interest.label') or
-      // subjectPath['interest']['label']
-
-      // FIX ME 
-      // We don't know whether resolvedDataPath will return a single value or an iterable when evaluated.
-      // 'for await...of' doesn't work with values which are not async iterables.
-      // See https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/for-await...of
-      //
-      // With dataPaths which return a single value, the 'for await...of' loop is entered twice.
-      // As a workaround the returned data is held in a Set to remove duplicate values.
-      //
-      // LDflex needs the facility to return a single value as an async iterable.
-
-      let data = new Set();
-      // setResponsePending(true); // Not required. Response from client-side query engine is very quick.
-      for await (const val of resolvedDataPath) {
-        // val is not a simple value, it's a Proxy instance
-        data.add(val.toString());
-      }
-
-      setQueryResult([...data]);
-      return;
+      getSparqlQueryType(sparqlQuery);
     }
     catch (ex) {
-      setStatus('Query execution failed: ' + ex.toString());
+      setStatus('Invalid SPARQL query: ' + ex.message);
       return;
     }
+
+    const requestLog = startRequestLog();
+    try {
+      setResponsePending(true);
+      const runOptions = startQueryRun();
+      let lastRendered = performance.now();
+      const result = await executeSparql(queryEngine, sparqlQuery, runOptions, partialResult => {
+        if (performance.now() - lastRendered > resultRenderInterval) {
+          lastRendered = performance.now();
+          setQueryResult([...partialResult.bindings]);
+        }
+      });
+      setSparqlResult(result);
+      setQueryResult(result.type === 'boolean' ? { boolean: result.boolean } : result.bindings);
+      setQueryTriples(result.type === 'quads' ? result.quads : new Error('Only CONSTRUCT and DESCRIBE queries yield triples.'));
+      if (result.stopReason)
+        setStatus(describeStoppedQuery(result.stopReason, runOptions, result.bindings.length));
+    }
+    catch (ex) {
+      setStatus('Query execution failed: ' + explainRunFailure(ex, requestLog.requests, ex.toString()));
+    }
     finally {
+      requestLog.stop();
       setResponsePending(false);
     }
   }
 
+  // Explains why a run failed from the requests made for it, if one of them
+  // failed, e.g. a source blocked by CORS (see SourceConnections.js). Else returns fallback.
+  const explainRunFailure = (ex, requests, fallback) => {
+    const explanation = explainFailure(ex, requests);
+    return explanation ? explanation.message : fallback;
+  }
+
+  // Starts a stoppable run of a query or listing, stopping any run in progress.
+  // Returns the options for streamValues() (see QueryStream.js).
+  const startQueryRun = () => {
+    if (gQueryAbortController)
+      gQueryAbortController.abort();
+    gQueryAbortController = new AbortController();
+    return { signal: gQueryAbortController.signal, timeout: queryTimeout * 1000, limit: resultLimit };
+  }
+
+  // Starts recording a run of the given kind, e.g. 'Query', and label, e.g. its data path,
+  // profiling it if the profiler is shown. Returns the run's recorder (see QueryProfiler.js).
+  const startProfiledRun = (kind, label) => {
+    if (!showProfiler)
+      return startProfile(kind, label, { detailed: false });
+    return startProfile(kind, label, {
+      logLevel: profileLogLevel,
+      onFinish: profile => setProfiles(previous => [profile, ...previous].slice(0, maxProfiles))
+    });
+  }
+
+  const stopQuery = () => {
+    if (gQueryAbortController)
+      gQueryAbortController.abort();
+  }
+
+  // Returns the query engine for the current source(s), reusing a cached one if possible.
+  const getQueryEngine = () => {
+    return queryContext.getQueryEngine(getEngineSpec());
+  }
+
+  // Returns the path factory for the current source(s) and context, for table queries.
+  const getPathFactory = () => {
+    return queryContext.getPathFactory(getEngineSpec(), context);
+  }
+
+  // Drops the cached query engine for the given key, or every cached engine,
+  // so that the sources are fetched afresh by the next query.
+  const invalidateEngineCache = key => {
+    if (key)
+      queryContext.engineCache.invalidate(key);
+    else
+      queryContext.engineCache.clear();
+  }
+
+  // Returns the (first) source URI or, for local RDF, the base IRI of the local RDF.
   const validateSource = () => {
-    try {
-      if (!source || !source.trim())
-        throw new Error('Empty string');
-      let src = source.trim();
-      let parsedSourceUrl = new URL(src); // Will throw exception if not a valid URL
-      if (!parsedSourceUrl || parsedSourceUrl.origin === 'null')
-        throw new Error('URL parsing error');
-      // TO DO:Catch source URI which doesn't resolve
-      return src;
-    }
-    catch (ex) {
-      throw new Error('Invalid source URL: ' + ex.message);
+    if (sourceMode === SRC_MODE_LOCAL) {
+      if (!localStore)
+        throw new Error('No local RDF loaded.');
+      return localRdf.baseIri;
     }
+
+    // A source which doesn't resolve is only found out by querying it: the query's failure
+    // is then explained by the request which failed (see explainRunFailure()).
+    return validateSources(sources)[0].url;
   }
 
-  const getSourceSubjects = async () => {
-    clearQueryResultAndStatus();
+  // The URLs of the documents queried: the source URIs or the base IRI of the local RDF.
+  const getDocumentUrls = () => {
+    if (sourceMode === SRC_MODE_LOCAL)
+      return [localRdf.baseIri];
+    return validateSources(sources).map(source => source.url);
+  }
 
-    // FIX ME: Bug in LDflex library:
-    // The returned subjects include some which aren't immediate children of the source document.
-    grSubjects = [];
+  // Lists the subjects in the source(s), with their types and labels (see LdfSubjects.js).
+  // The subject is then the one given, if any, or else the default subject of those found.
+  const getSourceSubjects = async (keptSubject) => {
+    clearQueryResultAndStatus();
+    const profile = startProfiledRun('Subjects',
+      sourceMode === SRC_MODE_LOCAL ? localRdf.baseIri : sources.map(source => source.url.trim()).join(' '));
 
     try {
-      let src = validateSource();
-
-      if (ldfQryCtxStale)
-        refreshLdfQryCtxEngine();
-
-      // We don't require a context for this PathFactory instance as
-      // we're retrieving subjects, not executing an LDflex query.
-      // context may not be set at this point.
-      let pathFactory = new PathFactory({ queryEngine: gLdfQryCtx.queryEngine });
-      let srcPath = pathFactory.create({ subject: namedNode(src) });
-      // Note: The subjects() method is only available on a path instance.
-      // This is not mentioned in the LDflex README/documentation.
+      validateSource();
       setResponsePending(true);
-      for await (const subject of srcPath.subjects) {
-        let subjectUri = subject.toString();
-        // Filter out blank nodes
-        if (subjectUri.startsWith('http'))
-          grSubjects.push(subjectUri);
+      const runOptions = startQueryRun();
+      // With several sources, note which source(s) each subject was found in.
+      const { subjects: foundSubjects, subjectSources: foundSubjectSources, stopReason } = await listSubjects(getQueryEngine(), {
+        ...runOptions, federatedSources: isFederated() ? validateSources(sources) : null, onPhase: profile.phase
+      });
+      const stopped = stopReason ?
+        `Listing the subjects ${describeStopReason(stopReason, runOptions)}, with ${foundSubjects.length} subjects found.` : null;
+      profile.finish({ resultCount: foundSubjects.length, error: stopped });
+      if (stopped)
+        setStatus(stopped);
+      setSubjectSources(foundSubjectSources);
+
+      if (keptSubject) {
+        // The subject is listed even if the source(s) say nothing about it.
+        setSubjects(foundSubjects.some(subject => subject.id === keptSubject) ?
+          foundSubjects : [subjectEntry(keptSubject), ...foundSubjects]);
+        setLdfSubject(keptSubject);
+      }
+      else {
+        const firstSubject = defaultSubject(foundSubjects, getDocumentUrls());
+        setSubjects(foundSubjects);
+        setLdfSubject(firstSubject ? firstSubject.id : null);
+        setShowSubjectBrowser(true);
       }
-
-      //  TO DO: Sort grSubjects
-      if (grSubjects.length)
-        setLdfSubject(grSubjects[0]);
     }
     catch (ex) {
-      setStatus(ex.message);
-      setLdfQryCtxStale(QC_STALE_SOURCE_CHANGED); // i.e. source is invalid
-      setLdfSubject(null);
+      const error = explainRunFailure(ex, profile.requests(), ex.message);
+      profile.finish({ error });
+      setStatus(error);
+      setSubjects(keptSubject ? [subjectEntry(keptSubject)] : []);
+      setLdfSubject(keptSubject ? keptSubject : null);
     }
     finally {
       setResponsePending(false);
     }
   }
 
-  const getSubjectProperties = async () => {
-    // FIX ME: Bug in LDflex library:
-    // The returned properties can include some belonging not to the 
-    // given subject but to another subject in the source document.
+  const sourcesChangeHandler = newSources => {
+    clearQueryResultAndStatus();
+    clearLdfSubject();
+    setSources(newSources);
+  }
+
+  const sourceChangeHandler = (index, changes) => {
+    sourcesChangeHandler(sources.map((src, i) => (i === index ? { ...src, ...changes } : src)));
+  }
+
+  const sourceModeChangeHandler = event => {
+    clearQueryResultAndStatus();
+    clearLdfSubject();
+    setSourceMode(event.target.value);
+  }
+
+  const localRdfChangeHandler = changes => {
+    setLocalRdf({ ...localRdf, ...changes });
+  }
 
-    grSubjectProperties = [];
+  const localRdfFileChangeHandler = async event => {
+    const file = event.target.files[0];
+    if (!file)
+      return;
 
     try {
-      if (!ldfSubject || !ldfSubject.trim())
-        throw new Error('Error: No subject selected.');
-
-      // queryEngine should be valid if ldfSubject is valid.
-      // This shouldn't happen.
-      if (!gLdfQryCtx.queryEngine)
-        throw new Error('Error: Query engine not instantiated.');
-
-      // We don't require a context for this PathFactory instance as
-      // we're retrieving properties, not executing an LDflex query.
-      // context may not be set at this point.
-      let pathFactory = new PathFactory({ queryEngine: gLdfQryCtx.queryEngine });
-      // Note: The properties() method is only available on a path instance.
-      // This is not mentioned in the LDflex README/documentation.
-      let subjectPath = pathFactory.create({ subject: namedNode(ldfSubject) });
-      setResponsePending(true);
-      for await (const property of subjectPath.properties) {
-        let propertyUri = property.toString();
-        grSubjectProperties.push(propertyUri);
-      }
+      const text = await file.text();
+      const rdf = { ...localRdf, text, format: guessLocalRdfFormat(file.name, text), fileName: file.name };
+      setLocalRdf(rdf);
+      await loadLocalRdf(rdf);
+    }
+    catch (ex) {
+      setStatus(`Unable to read ${file.name}: ${ex.message}`);
+    }
+  }
 
-      //  TO DO: Sort grSubjectProperties
-      if (grSubjectProperties.length)
-        setLdfProperty(grSubjectProperties[0]);
+  // Parses the local RDF into a new in-memory store, replacing any previously loaded.
+  const loadLocalRdf = async (rdf = localRdf) => {
+    clearQueryResultAndStatus();
+    clearLdfSubject();
+    setLocalStore(null);
+    // The engine cached for the previously loaded RDF mustn't be reused.
+    invalidateEngineCache(localSourceKey);
+
+    try {
+      setResponsePending(true);
+      const store = await parseLocalRdf(rdf.text, rdf.format, rdf.baseIri);
+      setLocalStore(store);
+      setLocalStoreSize(store.size);
     }
     catch (ex) {
       setStatus(ex.message);
-      setLdfProperty(null);
     }
     finally {
       setResponsePending(false);
     }
   }
 
-  const sourceChangeHandler = event => {
+  const contextChangeHandler = newContext => {
     clearQueryResultAndStatus();
-    clearLdfSubject();
-    setSource(event.target.value);
-    setLdfQryCtxStale(QC_STALE_SOURCE_CHANGED);
+    setContext(newContext);
   }
 
-  const contextChangeHandler = event => {
-    clearQueryResultAndStatus();
-    setContext(event.target.value);
-    setLdfQryCtxStale(QC_STALE_CONTEXT_CHANGED);
+  // Each of the data path and SPARQL modes keeps its own last result, so the results
+  // of a data path and of the equivalent hand-edited SPARQL can be compared.
+  const queryModeChangeHandler = event => {
+    const newQueryMode = event.target.value;
+    const stash = { ...stashedResults, [queryMode]: { queryResult, queryTriples, uncollectedTriples, sparqlResult, status } };
+    const restored = stash[newQueryMode] || {};
+
+    setStashedResults(stash);
+    setQueryResult(restored.queryResult || null);
+    setQueryTriples(restored.queryTriples || null);
+    setUncollectedTriples(restored.uncollectedTriples || null);
+    setSparqlResult(restored.sparqlResult || null);
+    setStatus(restored.status || null);
+    setQueryMode(newQueryMode);
+  }
+
+  // A timeout or result limit, 0 meaning none.
+  const toLimit = value => Math.max(0, Math.floor(Number(value)) || 0);
+
+  const sparqlQueryChangeHandler = event => {
+    setSparqlQuery(event.target.value);
+  }
+
+  // Fills the SPARQL query with the query LDflex generates for the current data path,
+  // as a starting point for editing it by hand.
+  const sparqlFromDataPath = async () => {
+    try {
+      setSparqlQuery(await generatePathSparql(JSON.parse(context), ldfSubject, ldfDataPath));
+    }
+    catch (ex) {
+      setStatus('Unable to generate SPARQL from the data path: ' + ex.message);
+    }
   }
 
   const outputFormatChangeHandler = event => {
     setOutputFormat(event.target.value);
   }
 
-  const dataPathChangeHandler = event => {
+  const dataPathChangeHandler = dataPath => {
     clearQueryResultAndStatus();
-    setLdfDataPath(event.target.value);
+    setLdfDataPath(dataPath);
   }
 
-  const lstSubjectChangeHandler = event => {
+  const subjectChangeHandler = subject => {
     clearQueryResultAndStatus();
-    setLdfSubject(event.target.value);
-    setLdfQryCtxStale(QC_STALE_SUBJECT_CHANGED);
+    setLdfSubject(subject);
+    setLdfPathSteps([]);
+    setSubjectProperties([]);
   }
 
-  const lstPropertyChangeHandler = event => {
-    setLdfProperty(event.target.value);
+  // Follows an IRI found in the results (see LdfNavigation.js): it becomes the subject and,
+  // if it lives in a document other than the sources, that document becomes the source.
+  const followIri = iri => {
     clearQueryResultAndStatus();
-    // ldfProperty is independent of ldfDataPath at the moment:
-    // setLdfQryCtxStale(QC_STALE_xxx_CHANGED); 
+    clearLdfSubject();
+    if (sourceMode === SRC_MODE_URL)
+      setSources(navigationSources(iri, sources, defaultSourceType));
+    setSubjects([subjectEntry(iri)]);
+    setLdfSubject(iri);
+    setPendingNavigation(NAV_FOLLOW);
+  }
+
+  // Runs the data path following a property of the subject, from the property inspector.
+  // steps are the property IRIs the path follows, for the path builder.
+  const runPropertyPath = (dataPath, steps) => {
+    clearQueryResultAndStatus();
+    setLdfPathSteps(steps);
+    setLdfDataPath(dataPath);
+    setQueryMode(QRY_MODE_PATH);
+    setPendingExecution(EXEC_FROM_INSPECTOR);
+  }
+
+  // Replaces the data path with the path built from the given property IRIs.
+  // Properties are compacted to context terms where the context allows.
+  const pathStepsChangeHandler = async steps => {
+    let normalizedContext = null;
+
+    setLdfPathSteps(steps);
+    if (!steps.length)
+      return;
+
+    try {
+      normalizedContext = await parseJsonLdContext(context);
+    }
+    catch (ex) {
+      // Without a valid context, the path is built from full IRIs.
+    }
+    clearQueryResultAndStatus();
+    setLdfDataPath(buildDataPath(steps, normalizedContext));
   }
 
   const clearQueryResultAndStatus = () => {
     setQueryResult(null);
+    setQueryTriples(null);
+    setUncollectedTriples(null);
+    setSparqlResult(null);
     setStatus(null);
   }
 
   const clearLdfSubject = () => {
     setLdfSubject(null);
-    setLdfProperty(null);
-    grSubjects = [];
-    grSubjectProperties = [];
+    setLdfPathSteps([]);
+    setSubjects([]);
+    setSubjectSources(new Map());
+    setSubjectProperties([]);
   }
 
   const resetDefaults = () => {
+    // Strip off any query string provided initially,
+    // i.e. any query permalink which was executed on page load
+    if (embedded) {
+      restoreQuery({});
+      return;
+    }
+    restoreQueryState(pageUrl.origin + pageUrl.pathname);
+    window.history.pushState({}, document.title, pageUrl.pathname);
+  }
+
+  // Restores the form state from the query string of the given URL,
+  // using the defaults for anything the query string doesn't specify.
+  // If the URL describes a complete query, the query is executed once
+  // the form state has been updated.
+  const restoreQueryState = (url, trigger) => {
+    const { qsSources, qsSubject, qsQuery, qsContext, qsOutputFormat } = getQueryStringParams(url);
+    restoreQuery({
+      sources: qsSources, subject: qsSubject, dataPath: qsQuery, context: qsContext, outputFormat: qsOutputFormat
+    }, qsSources && qsQuery ? trigger : null);
+  }
+
+  // Restores the form state from a query description (see QueryStore.js),
+  // falling back to the defaults for anything it doesn't specify.
+  // If a trigger is given, the query is then executed.
+  const restoreQuery = (query, trigger) => {
+    const subject = query.subject ? query.subject : formDefaults.subject;
+
     clearQueryResultAndStatus();
     clearLdfSubject();
-    setSource(defaultSource);
-    setContext(defaultContext);
-    setLdfDataPath(defaultLdfDataPath);
-    setOutputFormat(defaultOutputFormat);
-    setLdfQryCtxStale(QC_STALE_SOURCE_CHANGED);
+    setSourceMode(query.sourceMode === SRC_MODE_LOCAL ? SRC_MODE_LOCAL : SRC_MODE_URL);
+    setSources(query.sources && query.sources.length ? query.sources : formDefaults.sources);
+    setContext(query.context ? query.context : formDefaults.context);
+    setLdfDataPath(query.dataPath ? query.dataPath : formDefaults.dataPath);
+    setOutputFormat(query.outputFormat ? query.outputFormat : formDefaults.outputFormat);
+    setQueryMode(QRY_MODE_PATH);
+
+    setSubjects([subjectEntry(subject)]);
+    setLdfSubject(subject);
+
+    if (trigger)
+      setPendingExecution(trigger);
+  }
 
-    grSubjects = [defaultLdfSubject];
-    setLdfSubject(defaultLdfSubject);
-    grSubjectProperties = [];
+  // Describes the query in the form, for the query history and saved queries.
+  const getCurrentQuery = () => {
+    return {
+      sourceMode,
+      sources: sourceMode === SRC_MODE_URL ? sources : [],
+      subject: ldfSubject,
+      context,
+      dataPath: ldfDataPath,
+      outputFormat
+    };
+  }
 
-    // Strip off any query string provided initially,
-    // i.e. any query permalink which was executed on page load
-    window.history.pushState({}, document.title, pageUrl.pathname);
+  const clearQueryHistoryHandler = () => {
+    try {
+      setQueryHistory(clearQueryHistory());
+    }
+    catch (ex) {
+      setStatus('Unable to clear the query history: ' + ex.message);
+    }
+  }
+
+
+  // Records the query about to be executed in the browser history,
+  // so that back/forward steps through previously executed queries.
+  const updateHistory = (trigger) => {
+    const permalink = makeQueryPermalink();
+
+    // Local RDF can't be described by a permalink.
+    // An embedded client mustn't change the history of the page embedding it.
+    if (sourceMode === SRC_MODE_LOCAL || embedded)
+      return;
+    else if (trigger === EXEC_FROM_HISTORY)
+      return; // The page URL already describes the query.
+    else if (trigger === EXEC_ON_LOAD)
+      window.history.replaceState({}, document.title, permalink);
+    else if (permalink !== document.URL)
+      window.history.pushState({}, document.title, permalink);
+  }
+
+  const copyQueryPermalink = async () => {
+    try {
+      await navigator.clipboard.writeText(queryPermalink);
+      setQueryPermalinkCopied(true);
+      setTimeout(() => setQueryPermalinkCopied(false), 2000);
+    }
+    catch (ex) {
+      setStatus('Unable to copy the query permalink: ' + ex.message);
+    }
   }
 
   const renderedQueryResult = (format) => {
@@ -421,18 +840,96 @@ export function LdFlexClient(props) {
       case "fmt_tree":
         res = <JSONTree data={queryResult} theme={{ scheme: 'marakesh' }} />;
         break;
+      case "fmt_links":
+        res = <LdfResultLinks results={sparqlResult ? sparqlResult.bindings : queryResult}
+          variables={sparqlResult ? sparqlResult.variables : null}
+          getQueryEngine={getQueryEngine} onNavigate={followIri}
+        />;
+        break;
+      case "fmt_graph":
+        res = sparqlResult ?
+          <p className="qryRsltJsonText">The graph is only drawn for data path queries.</p> :
+          <LdfGraphView subject={ldfSubject} triples={queryTriples} results={queryResult}
+            dataPath={ldfDataPath} context={context} getQueryEngine={getQueryEngine}
+            onSelectSubject={followIri}
+          />;
+        break;
       case "fmt_json":
         res = <p className="qryRsltJsonText">{JSON.stringify(queryResult)}</p>;
         break;
       case "fmt_json_formatted":
-      default:
         res = <pre className="qryRsltJsonText">{JSON.stringify(queryResult, null, 2)}</pre>;
         break;
+      default:
+        res = <pre className="qryRsltJsonText">{queryResultText}</pre>;
+        break;
     }
 
     return res;
   }
 
+  // Serializes the query result in the given output format (see LdfQuery.js).
+  // Resolves to the serialized text.
+  const serializeQueryResult = async (format) => {
+    return serializeResults(format, { results: queryResult, triples: queryTriples, sparqlResult, context });
+  }
+
+  const downloadQueryResult = async () => {
+    const format = outputFormats.find(fmt => fmt.value === outputFormat) || outputFormats[0];
+    try {
+      downloadText(await serializeQueryResult(outputFormat), `flexpress-result.${format.extension}`, format.mediaType);
+    }
+    catch (ex) {
+      setStatus('Unable to download the query result: ' + ex.message);
+    }
+  }
+
+  const copyQueryResult = async () => {
+    try {
+      await navigator.clipboard.writeText(await serializeQueryResult(outputFormat));
+    }
+    catch (ex) {
+      setStatus('Unable to copy the query result: ' + ex.message);
+    }
+  }
+
+  // Queries fetch their sources with the connection settings saved for them.
+  useEffect(() => {
+    applyConnectionSettings(connectionSettings);
+  }, [connectionSettings]);
+
+  // Collect the triples walked through by the last data path query once the output format shows them.
+  useEffect(() => {
+    if (!uncollectedTriples || !needsWalkedTriples(outputFormat))
+      return;
+    let cancelled = false;
+    collectWalkedTriples(queryContext, uncollectedTriples.engineSpec, uncollectedTriples.query).then(triples => {
+      if (cancelled)
+        return;
+      setQueryTriples(triples);
+      setUncollectedTriples(null);
+    });
+    return () => { cancelled = true; };
+    // queryContext purposely omitted from the dependency array: it never changes.
+    // eslint-disable-next-line
+  }, [uncollectedTriples, outputFormat]);
+
+  // Serialize the query result for display in formats not rendered directly.
+  useEffect(() => {
+    let cancelled = false;
+    setQueryResultText(null);
+    if (uncollectedTriples && needsWalkedTriples(outputFormat))
+      setQueryResultText('Collecting the triples walked through...');
+    else if (queryResult) {
+      serializeQueryResult(outputFormat)
+        .then(text => !cancelled && setQueryResultText(text))
+        .catch(ex => !cancelled && setQueryResultText(ex.message));
+    }
+    return () => { cancelled = true; };
+    // serializeQueryResult purposely omitted from the dependency array.
+    // eslint-disable-next-line
+  }, [queryResult, queryTriples, uncollectedTriples, sparqlResult, outputFormat, context]);
+
   const queryResultMetaData = () => {
     if (queryResult) {
       let contextObj = context.trim() ? JSON.parse(context) : null;
@@ -453,14 +950,12 @@ export function LdFlexClient(props) {
 
   function getQueryStringParams(pageUrl) {
     try {
-      let params, qsSource, qsQuery, qsContext, qsOutputFormat;
-
-      params = new URL(pageUrl).searchParams;
-      qsSource = params.has('source') ? decodeURIComponent(params.get('source')).trim() : null;
-      qsQuery = params.has('query') ? decodeURIComponent(params.get('query')).trim() : null;
-      qsContext = params.has('context') ? decodeURIComponent(params.get('context')).trim() : null;
-      qsOutputFormat = params.has('format') ? decodeURIComponent(params.get('format')).trim() : null;
-      return { qsSource, qsQuery, qsContext, qsOutputFormat };
+      // URLSearchParams.get() returns decoded values.
+      const query = readQueryString(new URL(pageUrl).searchParams);
+      return {
+        qsSources: query.sources, qsSubject: query.subject, qsQuery: query.dataPath,
+        qsContext: query.context, qsOutputFormat: query.outputFormat
+      };
     }
     catch (e) {
       return {};
@@ -468,110 +963,458 @@ export function LdFlexClient(props) {
   }
 
   function makeQueryPermalink() {
-    let validQuery;
-    let tContext = context.trim();
-    let tSource = source.trim();
-
-    // Allow bookmarks to queries which may not execute successfully.
-    validQuery = tContext && tSource;
-
-    // Only allow bookmarks to queries which have executed successfully.
-    // validQuery = tContext && tSource && queryResult;
-
     let permalink = new URL(props.pageUrl);
-    permalink.search = '';
 
-    if (validQuery) {
-      permalink.search += `source=${encodeURIComponent(tSource)}`;
-      permalink.search += `&format=${encodeURIComponent(outputFormat)}`;
-      permalink.search += `&context=${encodeURIComponent(tContext)}`;
-    }
+    // Allow bookmarks to queries which may not execute successfully.
+    // Queries against local RDF can't be bookmarked.
+    permalink.search = sourceMode === SRC_MODE_URL ?
+      writeQueryString({ sources, subject: ldfSubject, context, dataPath: ldfDataPath, outputFormat }) : '';
     return permalink.href;
   }
 
   // If the page URL specifies a query then execute it on page load.
-  // Note: useEffect(..., []) is equivalent to componentDidMount
-  /*
+  // The same applies when browser back/forward restores a query.
+  // The query is executed once the form state it depends on has been updated,
+  // i.e. in the render following the one which set pendingExecution.
+  useEffect(() => {
+    if (pendingExecution) {
+      setPendingExecution(null);
+      execQuery(pendingExecution);
+    }
+    // execQuery purposely omitted from the dependency array.
+    // eslint-disable-next-line
+  }, [pendingExecution]);
+
+  // Once an IRI has been followed, record the step in the browser history
+  // and list the subjects and properties for the new subject.
+  useEffect(() => {
+    if (pendingNavigation) {
+      setPendingNavigation(null);
+      if (pendingNavigation === NAV_FOLLOW && sourceMode === SRC_MODE_URL && !embedded)
+        window.history.pushState({ navigation: true }, document.title, makeQueryPermalink());
+      getSourceSubjects(ldfSubject);
+      setPropertyListings(propertyListings + 1);
+    }
+    // The functions and states used purposely omitted from the dependency array.
+    // eslint-disable-next-line
+  }, [pendingNavigation]);
+
+  // Follow the Solid session. Documents cached before logging in or out were fetched
+  // with other credentials, so the cached engines are dropped whenever the session changes.
   useEffect(() => {
-    if (qsSource && qsQuery && qsContext && !queryResult)
-      execQuery();
+    return trackSession(newWebId => {
+      setWebId(newWebId);
+      invalidateEngineCache();
+    });
+    // invalidateEngineCache purposely omitted from the dependency array.
+    // It relies only on the query context, which is created once.
     // eslint-disable-next-line
   }, []);
-  */
+
+  // Restore the form state when the user steps back/forward through the browser history.
+  // Navigation steps are restored without executing their query.
+  useEffect(() => {
+    if (embedded)
+      return;
+    const popStateHandler = event => {
+      if (event.state && event.state.navigation) {
+        restoreQueryState(document.URL);
+        setPendingNavigation(NAV_FROM_HISTORY);
+      }
+      else
+        restoreQueryState(document.URL, EXEC_FROM_HISTORY);
+    };
+    window.addEventListener('popstate', popStateHandler);
+    return () => window.removeEventListener('popstate', popStateHandler);
+    // restoreQueryState purposely omitted from the dependency array.
+    // It relies only on state setters, which are stable.
+    // eslint-disable-next-line
+  }, []);
+
+  // Carry out the commands of the page embedding the client (see FlexpressWidget.js):
+  // setting inputs, given in their normalized form, and executing the query.
+  useEffect(() => {
+    if (!props.channel)
+      return;
+    const stopCommands = props.channel.onCommand(command => {
+      switch (command.type) {
+        case 'set': {
+          const { inputs } = command;
+          clearQueryResultAndStatus();
+          if (inputs.sources) {
+            clearLdfSubject();
+            setSourceMode(SRC_MODE_URL);
+            setSources(inputs.sources);
+          }
+          if (inputs.subject) {
+            setSubjects([subjectEntry(inputs.subject)]);
+            setLdfSubject(inputs.subject);
+          }
+          if (inputs.context)
+            setContext(inputs.context);
+          if (inputs.dataPath) {
+            setLdfPathSteps([]);
+            setLdfDataPath(inputs.dataPath);
+          }
+          if (inputs.outputFormat)
+            setOutputFormat(inputs.outputFormat);
+          setQueryMode(QRY_MODE_PATH);
+          break;
+        }
+        case 'execute':
+          setPendingExecution(EXEC_FROM_HOST);
+          break;
+        default:
+          break;
+      }
+    });
+    props.channel.emit({ type: 'ready' });
+    return stopCommands;
+    // The handlers used rely only on state setters, which are stable.
+    // eslint-disable-next-line
+  }, [props.channel]);
 
   // Only generate a query permalink once the states on which it depends
   // have been updated (asynchronously). To ensure this is the case, we 
   // use useLayoutEffect.
-  /* FIX ME
   useLayoutEffect(() => setQueryPermalink(makeQueryPermalink()),
     // queryPermalink and makeQueryPermalink purposely omitted from the dependency array.
-    [queryResult, query, context, source, outputFormat]); 
-  */
-
-
-  return (
-    <>
-      <Form>
-        <Form.Group>
-          <div style={{ display: "flex" }}>
-            <Form.Label>Data source URI:</Form.Label>
-            <div style={{ flex: "1", textAlign: "right" }}>
-              <img src={loaderGif} className="loaderGif" style={{ visibility: (responsePending ? "visible" : "hidden") }} />
-            </div>
+    // eslint-disable-next-line
+    [ldfSubject, ldfDataPath, context, sources, sourceMode, outputFormat]);
+
+  const renderedSourceList = () => {
+    return (
+      <div className="sourceList">
+        {sources.map((src, index) => (
+          <div key={index} style={{ display: "flex" }}>
+            {sources.length > 1 ? <span className="sourceLabel">S{index + 1}</span> : null}
+            <Form.Control as="select" value={src.type} title="Source type"
+              onChange={event => sourceChangeHandler(index, { type: event.target.value })}
+              className="inputCntrl1" style={{ fontSize: "90%", width: "20%" }}>
+              {sourceTypes.map(st => <option key={st.value} value={st.value}>{st.label}</option>)}
+            </Form.Control>
+            <span>&nbsp;</span>
+            <Form.Control className="inputCntrl1" value={src.url}
+              onChange={event => sourceChangeHandler(index, { url: event.target.value })}
+            />
+            <Button variant="link" title="Connection settings: CORS proxy, request headers and media type"
+              className={hasConnectionSettings(connectionSettings[connectionKey(src.url)]) ? 'sourceConnection sourceConnected' : 'sourceConnection'}
+              onClick={() => setEditedConnection(editedConnection === index ? null : index)} disabled={!src.url.trim()}>
+              <span className="oi oi-cog" />
+            </Button>
+            {sources.length > 1 ?
+              <Button variant="link" className="sourceRemove" title="Remove source"
+                onClick={() => sourcesChangeHandler(sources.filter((_, i) => i !== index))}>
+                <span className="oi oi-x" />
+              </Button>
+              : null
+            }
           </div>
+        ))}
+        <Button size="sm" variant="link" className="sourceAdd"
+          onClick={() => sourcesChangeHandler([...sources, { url: '', type: defaultSourceType }])}>
+          <span className="oi oi-plus" /> Add source
+        </Button>
+        {editedConnection !== null && sources[editedConnection] && sources[editedConnection].url.trim() ?
+          <LdfConnectionSettings url={connectionKey(sources[editedConnection].url)}
+            settings={connectionSettings[connectionKey(sources[editedConnection].url)]}
+            onSave={settings => connectionSettingsSaveHandler(sources[editedConnection].url, settings)}
+            onClose={() => setEditedConnection(null)}
+          />
+          : null
+        }
+      </div>
+    );
+  }
 
-          <Form.Control className="inputCntrl1" value={source} onChange={sourceChangeHandler} />
+  // Saves a source's connection settings. Its cached documents were fetched
+  // with the previous settings, so the engine cache is cleared.
+  const connectionSettingsSaveHandler = (url, settings) => {
+    try {
+      setConnectionSettings(saveConnectionSettings(url, settings));
+    }
+    catch (ex) {
+      // Unsaved, the settings still apply until the page is reloaded.
+      setConnectionSettings({ ...connectionSettings, [connectionKey(url)]: settings });
+    }
+    clearQueryResultAndStatus();
+    invalidateEngineCache();
+  }
 
-          <div style={{ display: "flex", marginBottom: "5px" }}>
-            <Button onClick={() => getSourceSubjects()} style={{ fontSize: "90%", width: "20%" }}>Subjects</Button>
-            <span>&nbsp;</span>
-            <Form.Control as="select" value={ldfSubject} onChange={lstSubjectChangeHandler} style={{ fontSize: "90%" }}>
-              {grSubjects.map(subject => <option value={subject}>{subject}</option>)}
-            </Form.Control>
-          </div>
+  // Notes the sources a subject was found in, when querying several sources.
+  const subjectSourceTag = subject => {
+    const foundIn = subjectSources.get(subject);
+    if (!foundIn)
+      return null;
+    const sourceLabels = foundIn.map(url => 'S' + (sources.findIndex(src => src.url.trim() === url) + 1));
+    return `[${sourceLabels.join(', ')}]`;
+  }
 
-          <div style={{ display: "flex" }}>
-            <Button onClick={() => getSubjectProperties()} style={{ fontSize: "90%", width: "20%" }}>Subject Properties</Button>
-            <span>&nbsp;</span>
-            <Form.Control as="select" value={ldfProperty} onChange={lstPropertyChangeHandler} style={{ fontSize: "90%" }}>
-              {grSubjectProperties.map(property => <option value={property}>{property}</option>)}
-            </Form.Control>
-          </div>
-        </Form.Group>
+  // Logs in to the Solid identity provider, which redirects back to the current page.
+  const loginHandler = async () => {
+    try {
+      await login(identityProvider, window.location.href.split('#')[0]);
+    }
+    catch (ex) {
+      setStatus(ex.message);
+    }
+  }
 
-        <div style={{ display: "flex" }}>
+  const logoutHandler = async () => {
+    try {
+      await logout();
+    }
+    catch (ex) {
+      setStatus('Unable to log out: ' + ex.message);
+    }
+  }
 
-          <Form.Group style={{ flex: "1" }}>
-            <Form.Label>Context:</Form.Label>
-            <Form.Control className="inputCntrl1 inputTextArea" as="textarea" rows={7}
-              value={context} onChange={contextChangeHandler}
+  // Solid login/logout, with Solid-OIDC (see SolidSession.js). The logged-in user's profile
+  // offers an entry point: it becomes the subject, and its document the source. This isn't
+  // @solid/query-ldflex's user or [from] path, which only knows solid-auth-client's WebID-OIDC sessions.
+  const renderedSolidSession = () => {
+    return (
+      <div className="solidSession">
+        {webId ?
+          <>
+            <span className="solidWebId">Logged in as <a href={webId} target="_blank" rel="noopener noreferrer">{webId}</a></span>
+            <Button size="sm" variant="link" onClick={() => followIri(webId)} disabled={sourceMode !== SRC_MODE_URL}
+              title="Make the logged-in user's profile the subject and its document the source (not @solid/query-ldflex's user path, which doesn't support Solid-OIDC)">
+              user
+            </Button>
+            <Button size="sm" variant="link" onClick={() => logoutHandler()}>Log out</Button>
+          </>
+          :
+          <>
+            <Form.Label className="solidIdpLabel">Solid identity provider:</Form.Label>
+            <Form.Control className="inputCntrl1" value={identityProvider}
+              onChange={event => setIdentityProvider(event.target.value)} style={{ fontSize: "90%" }}
             />
-          </Form.Group>
+            <Button size="sm" variant="link" onClick={() => loginHandler()}>Log in</Button>
+          </>
+        }
+      </div>
+    );
+  }
 
-          <div>&nbsp;</div>
+  // Write mode: mutating the data path's values (see LdfMutationPanel.js).
+  // Changes sent to a source make its cached copy stale, so the engine cache is then cleared.
+  const renderedMutationPanel = () => {
+    const validSources = sources.filter(({ url }) => url.trim());
+    return (
+      <Form.Group>
+        <Button size="sm" variant="link" className="sourceAdd" onClick={() => setShowMutationPanel(!showMutationPanel)}>
+          <span className={showMutationPanel ? 'oi oi-chevron-bottom' : 'oi oi-chevron-right'} /> Write mode
+        </Button>
+        {showMutationPanel ?
+          <LdfMutationPanel subject={ldfSubject} dataPath={ldfDataPath}
+            getPathFactory={getPathFactory} getQueryEngine={getQueryEngine}
+            localStore={sourceMode === SRC_MODE_LOCAL ? localStore : null}
+            defaultEndpoint={validSources.length ? validSources[0].url.trim() : ''}
+            onApplied={() => {
+              clearQueryResultAndStatus();
+              if (sourceMode === SRC_MODE_URL)
+                invalidateEngineCache();
+              else
+                setLocalStoreSize(localStore.size);
+            }}
+          />
+          : null
+        }
+      </Form.Group>
+    );
+  }
 
-          {/*
-          <Form.Group style={{ flex: "1" }}>
-            <Form.Label>LDflex data path:</Form.Label>
-            <Form.Control className="inputCntrl1 inputTextArea" as="textarea" rows={7}
-              value={ldfDataPath} 
-            />
-          </Form.Group>
-          */}
+  // The profiler: the timing, HTTP requests and Comunica log of the last runs (see LdfProfilePanel.js).
+  const renderedProfiler = () => {
+    return (
+      <Form.Group>
+        <Button size="sm" variant="link" className="sourceAdd" onClick={() => setShowProfiler(!showProfiler)}>
+          <span className={showProfiler ? 'oi oi-chevron-bottom' : 'oi oi-chevron-right'} /> Profiler
+        </Button>
+        {showProfiler ?
+          <LdfProfilePanel profiles={profiles} logLevel={profileLogLevel}
+            onLogLevelChange={setProfileLogLevel} onClear={() => setProfiles([])}
+          />
+          : null
+        }
+      </Form.Group>
+    );
+  }
 
-          {/* Stopgap select control to be replaced by above textarea for entering an LDflex data path */}
-          <Form.Group style={{ flex: "1" }}>
-            <Form.Label style={{ paddingRight: "10px" }}>LDflex data path:</Form.Label>
-            <Form.Control as="select" value={ldfDataPath} onChange={dataPathChangeHandler} style={{ fontSize: "90%" }}>
-              {dataPathPresets.map((strDataPath) => (
-                <option value={strDataPath}>{strDataPath}</option>
-              ))}
-            </Form.Control>
-          </Form.Group>
+  // Steps back/forward through the subjects followed, i.e. through the browser history.
+  const renderedNavigationSteps = () => {
+    return (
+      <>
+        <Button size="sm" variant="link" className="navigationStep" title="Back to the previous subject"
+          onClick={() => window.history.back()}>
+          <span className="oi oi-arrow-left" />
+        </Button>
+        <Button size="sm" variant="link" className="navigationStep" title="Forward to the next subject"
+          onClick={() => window.history.forward()}>
+          <span className="oi oi-arrow-right" />
+        </Button>
+      </>
+    );
+  }
+
+  // The label of the subject, if the source(s) give one.
+  const subjectLabel = () => {
+    const subject = subjects.find(subj => subj.id === ldfSubject);
+    return subject && subject.labels.length ? subject.labels[0] : null;
+  }
+
+  // The subject browser, once subjects have been listed.
+  const renderedSubjectBrowser = () => {
+    let documentUrls = [];
+    try {
+      documentUrls = getDocumentUrls();
+    }
+    catch (ex) {
+      // Without valid sources, no subject is one of the documents' own.
+    }
+
+    return (
+      <div className="subjectBrowserPanel">
+        <Button size="sm" variant="link" className="sourceAdd" onClick={() => setShowSubjectBrowser(!showSubjectBrowser)}>
+          <span className={showSubjectBrowser ? 'oi oi-chevron-bottom' : 'oi oi-chevron-right'} /> Browse subjects
+        </Button>
+        {showSubjectBrowser ?
+          <LdfSubjectBrowser subjects={subjects} subject={ldfSubject} documentUrls={documentUrls}
+            subjectTag={subjectSourceTag} onSelect={subjectChangeHandler}
+          />
+          : null
+        }
+      </div>
+    );
+  }
+
+  const renderedLocalRdfInput = () => {
+    return (
+      <div className="localRdfInput">
+        <div style={{ display: "flex", marginBottom: "5px" }}>
+          <Form.File id="localRdfFile" className="localRdfFile" onChange={localRdfFileChangeHandler}
+            label={localRdf.fileName ? localRdf.fileName : 'Upload file...'} custom
+          />
+          <span>&nbsp;</span>
+          <Form.Control as="select" value={localRdf.format} title="RDF format"
+            onChange={event => localRdfChangeHandler({ format: event.target.value })} style={{ fontSize: "90%", width: "25%" }}>
+            {localRdfFormats.map(format => <option key={format.value} value={format.value}>{format.label}</option>)}
+          </Form.Control>
         </div>
-        <Button onClick={() => execQuery()}>Execute</Button> &nbsp;
-        <Button onClick={() => clearQueryResultAndStatus()}>Clear</Button> &nbsp;
-        <Button onClick={() => resetDefaults()}>Defaults</Button>&nbsp;
+        <Form.Control className="inputCntrl1 localRdfText" as="textarea" rows={6} spellCheck={false}
+          placeholder="Paste Turtle, N-Triples, N-Quads, TriG or JSON-LD here, or upload a file."
+          value={localRdf.text} onChange={event => localRdfChangeHandler({ text: event.target.value, fileName: null })}
+        />
+        <div style={{ display: "flex", marginBottom: "5px" }}>
+          <Form.Label style={{ whiteSpace: "nowrap", paddingRight: "10px" }}>Base IRI:</Form.Label>
+          <Form.Control className="inputCntrl1" size="sm" value={localRdf.baseIri}
+            onChange={event => localRdfChangeHandler({ baseIri: event.target.value })}
+          />
+          <span>&nbsp;</span>
+          <Button size="sm" onClick={() => loadLocalRdf()} style={{ height: "31px" }}>Load</Button>
+        </div>
+        <div className="localRdfStatus">
+          {localStore ? `${localStoreSize} triples loaded.` : 'No RDF loaded.'}
+        </div>
+      </div>
+    );
+  }
+
+  // The query engines cached for recently queried sources, each of which can be
+  // invalidated so that its sources are fetched afresh.
+  const renderedEngineCacheStatus = () => {
+    let currentKey = null;
+    try {
+      currentKey = getEngineSpec().key;
+    }
+    catch (ex) {
+      // No valid source: no engine is current.
+    }
+    const describeKey = key => (key === localSourceKey ? 'Local RDF' : key.split('\n').join(', '));
+
+    return (
+      <div className="engineCache">
+        <Button size="sm" variant="link" className="sourceAdd" onClick={() => setShowEngineCache(!showEngineCache)}>
+          <span className={showEngineCache ? 'oi oi-chevron-bottom' : 'oi oi-chevron-right'} />
+          {` Cached query engines (${engineCacheEntries.length} of ${queryContext.engineCache.capacity})`}
+        </Button>
+        {showEngineCache ?
+          <div className="engineCacheList">
+            {engineCacheEntries.map(entry => (
+              <div key={entry.key} className={entry.key === currentKey ? 'engineCacheEntry engineCacheCurrent' : 'engineCacheEntry'}>
+                <span style={{ flex: "1" }}>{describeKey(entry.key)}</span>
+                <span>{entry.uses} uses, last {new Date(entry.lastUsedAt).toLocaleTimeString()}</span>
+                <Button size="sm" variant="link" title="Drop this engine, so its sources are fetched again"
+                  onClick={() => invalidateEngineCache(entry.key)}>Invalidate</Button>
+              </div>
+            ))}
+            <Button size="sm" variant="link" onClick={() => invalidateEngineCache()} disabled={!engineCacheEntries.length}>
+              Invalidate all
+            </Button>
+          </div>
+          : null
+        }
+      </div>
+    );
+  }
+
+  const renderedContextInput = () => {
+    return (
+      <LdfContextEditor context={context} onChange={contextChangeHandler}
+        dataPath={queryMode === QRY_MODE_PATH ? ldfDataPath : null}
+        propertyIris={subjectProperties} typeIris={subjects.flatMap(subj => subj.types)}
+      />
+    );
+  }
+
+  // The table query: several data paths evaluated across several subjects (see LdfTableView.js).
+  const renderedTableQuery = () => {
+    return (
+      <>
+        <div style={{ display: "flex" }}>
+          {renderedContextInput()}
+        </div>
+        <LdfTableView subjects={subjects.filter(subj => subj.termType === 'NamedNode').map(subj => subj.id)}
+          subject={ldfSubject} context={context}
+          getPathFactory={getPathFactory} setResponsePending={setResponsePending}
+        />
+      </>
+    );
+  }
+
+  // The suite mode: test cases run one after the other (see LdfSuitePanel.js).
+  // Cases querying the same sources share a cached engine.
+  // The panel stays mounted in the other modes, so a suite run survives opening one of its cases.
+  const renderedSuiteQuery = () => {
+    return (
+      <div style={{ display: queryMode === QRY_MODE_SUITE ? "block" : "none" }}>
+        <LdfSuitePanel queryContext={queryContext}
+          getRunOptions={startQueryRun} setResponsePending={setResponsePending}
+          onOpenCase={query => restoreQuery(query)}
+        />
+      </div>
+    );
+  }
+
+  const renderedQuery = () => {
+    switch (queryMode) {
+      case QRY_MODE_SUITE:
+        return null;
+      case QRY_MODE_TABLE:
+        return renderedTableQuery();
+      case QRY_MODE_SPARQL:
+        return renderedSparqlQuery();
+      case QRY_MODE_PATH:
+      default:
+        return renderedPathQuery();
+    }
+  }
+
+  // The output format selection and the query result, shared by the data path and SPARQL modes.
+  const renderedQueryResultArea = () => {
+    return (
+      <>
         <Row style={{ marginBottom: "5px" }}>
           <Col>
             <Form.Group>
@@ -587,6 +1430,14 @@ export function LdFlexClient(props) {
                     <option value={format.value}>{format.label}</option>
                   ))}
                 </Form.Control>
+                <Button size="sm" className="resultAction" onClick={() => downloadQueryResult()}
+                  disabled={!queryResult} title="Download the query result">
+                  <span className="oi oi-data-transfer-download" />
+                </Button>
+                <Button size="sm" className="resultAction" onClick={() => copyQueryResult()}
+                  disabled={!queryResult} title="Copy the query result to the clipboard">
+                  <span className="oi oi-clipboard" />
+                </Button>
               </Form.Group>
             </div>
           </Col>
@@ -603,7 +1454,155 @@ export function LdFlexClient(props) {
             }
           </div>
         </Form.Group>
+      </>
+    );
+  }
+
+  // The SPARQL query: a SPARQL editor and the query result.
+  const renderedSparqlQuery = () => {
+    return (
+      <>
+        <Form.Group>
+          <Form.Label>SPARQL query:</Form.Label>
+          <Form.Control className="inputCntrl1 inputTextArea sparqlQueryText" as="textarea" rows={7}
+            value={sparqlQuery} onChange={sparqlQueryChangeHandler} spellCheck={false}
+            placeholder="SELECT, ASK, CONSTRUCT or DESCRIBE query"
+          />
+        </Form.Group>
+        <Button onClick={() => execSparqlQuery()}>Execute</Button> &nbsp;
+        <Button onClick={() => clearQueryResultAndStatus()}>Clear</Button> &nbsp;
+        <Button onClick={() => sparqlFromDataPath()} title="Replace the query by the SPARQL generated for the current data path">
+          From data path
+        </Button>&nbsp;
+        {renderedQueryResultArea()}
+      </>
+    );
+  }
+
+  // The data path query: the data path editor and the query result.
+  const renderedPathQuery = () => {
+    return (
+      <>
+        <fieldset disabled={readOnly} style={{ display: "flex" }}>
+
+          {renderedContextInput()}
+
+          <div>&nbsp;</div>
+
+          <Form.Group style={{ flex: "1" }}>
+            <LdfDataPathEditor value={ldfDataPath} onChange={dataPathChangeHandler}
+              context={context} properties={subjectProperties} presets={formDefaults.dataPathPresets}
+            />
+          </Form.Group>
+        </fieldset>
+        <Button onClick={() => execQuery()}>Execute</Button> &nbsp;
+        <Button onClick={() => clearQueryResultAndStatus()}>Clear</Button> &nbsp;
+        {readOnly ? null : <><Button onClick={() => resetDefaults()}>Defaults</Button> &nbsp;</>}
+        {embedded ? null :
+          <Button onClick={() => copyQueryPermalink()} title={queryPermalink} disabled={sourceMode !== SRC_MODE_URL}>
+            {queryPermalinkCopied ? 'Link copied' : 'Copy link'}
+          </Button>
+        }&nbsp;
+        {renderedQueryResultArea()}
+        <Form.Group>
+          <LdfSparqlPanel subject={ldfSubject} dataPath={ldfDataPath} context={context} />
+        </Form.Group>
+        {readOnly ? null : renderedMutationPanel()}
+        {renderedProfiler()}
+      </>
+    );
+  }
+
+  return (
+    <>
+      <Form>
+        <Form.Group>
+          <div style={{ display: "flex" }}>
+            <Form.Label style={{ paddingRight: "15px" }}>Data source:</Form.Label>
+            {/* A read-only client's inputs are only changed by the page embedding it. */}
+            <fieldset disabled={readOnly}>
+              <Form.Check inline type="radio" id="srcModeUrl" name="sourceMode" label="URI"
+                value={SRC_MODE_URL} checked={sourceMode === SRC_MODE_URL} onChange={sourceModeChangeHandler}
+              />
+              <Form.Check inline type="radio" id="srcModeLocal" name="sourceMode" label="Local RDF"
+                value={SRC_MODE_LOCAL} checked={sourceMode === SRC_MODE_LOCAL} onChange={sourceModeChangeHandler}
+              />
+            </fieldset>
+            <div style={{ flex: "1", textAlign: "right" }}>
+              <Button size="sm" variant="link" className="queryStop" onClick={() => stopQuery()}
+                style={{ visibility: (responsePending ? "visible" : "hidden") }}>
+                <span className="oi oi-media-stop" /> Stop
+              </Button>
+              <img src={loaderGif} className="loaderGif" style={{ visibility: (responsePending ? "visible" : "hidden") }} />
+            </div>
+          </div>
+
+          <fieldset disabled={readOnly}>
+            {sourceMode === SRC_MODE_URL ? renderedSourceList() : renderedLocalRdfInput()}
+            {renderedSolidSession()}
+            {renderedEngineCacheStatus()}
+
+            <div style={{ display: "flex", marginBottom: "5px" }}>
+              <Button onClick={() => getSourceSubjects()} style={{ fontSize: "90%", width: "20%" }}>Subjects</Button>
+              <span>&nbsp;</span>
+              <Form.Control readOnly value={ldfSubject ? ldfSubject : ''} placeholder="No subject selected"
+                title="Select the subject in the subject browser" style={{ fontSize: "90%" }}
+              />
+              {subjectLabel() ? <span className="subjectLabel" title="The subject's label">{subjectLabel()}</span> : null}
+              {embedded ? null : renderedNavigationSteps()}
+            </div>
+            {renderedSubjectBrowser()}
+
+            <LdfPropertyInspector subject={ldfSubject} context={context} listings={propertyListings}
+              getQueryEngine={getQueryEngine} getRunOptions={startQueryRun} setResponsePending={setResponsePending}
+              profileRun={startProfiledRun}
+              onPropertiesFound={setSubjectProperties} onRunPath={runPropertyPath}
+            />
+
+            <LdfPathBuilder subject={ldfSubject} steps={ldfPathSteps} onChange={pathStepsChangeHandler}
+              context={context} getQueryEngine={getQueryEngine}
+            />
+          </fieldset>
+        </Form.Group>
+
+        <div style={{ display: "flex" }}>
+          <Form.Label style={{ paddingRight: "15px" }}>Query:</Form.Label>
+          {/* A read-only client only evaluates data paths. */}
+          <fieldset disabled={readOnly}>
+            <Form.Check inline type="radio" id="qryModePath" name="queryMode" label="Data path"
+              value={QRY_MODE_PATH} checked={queryMode === QRY_MODE_PATH} onChange={queryModeChangeHandler}
+            />
+            <Form.Check inline type="radio" id="qryModeTable" name="queryMode" label="Table"
+              value={QRY_MODE_TABLE} checked={queryMode === QRY_MODE_TABLE} onChange={queryModeChangeHandler}
+            />
+            <Form.Check inline type="radio" id="qryModeSparql" name="queryMode" label="SPARQL"
+              value={QRY_MODE_SPARQL} checked={queryMode === QRY_MODE_SPARQL} onChange={queryModeChangeHandler}
+            />
+            <Form.Check inline type="radio" id="qryModeSuite" name="queryMode" label="Suite"
+              value={QRY_MODE_SUITE} checked={queryMode === QRY_MODE_SUITE} onChange={queryModeChangeHandler}
+            />
+          </fieldset>
+          <div className="queryLimits">
+            <Form.Label htmlFor="queryTimeout">Timeout (s):</Form.Label>
+            <Form.Control id="queryTimeout" className="inputCntrl1" size="sm" type="number" min={0}
+              value={queryTimeout} onChange={event => setQueryTimeout(toLimit(event.target.value))} title="0 for no timeout"
+            />
+            <Form.Label htmlFor="resultLimit">Max results:</Form.Label>
+            <Form.Control id="resultLimit" className="inputCntrl1" size="sm" type="number" min={0}
+              value={resultLimit} onChange={event => setResultLimit(toLimit(event.target.value))} title="0 for no limit"
+            />
+          </div>
+        </div>
+
+        {renderedQuery()}
+        {renderedSuiteQuery()}
+
+        <QueryHistoryPanel history={queryHistory} getCurrentQuery={getCurrentQuery}
+          onLoad={query => restoreQuery(query)} onRun={query => restoreQuery(query, EXEC_RERUN)}
+          onClearHistory={clearQueryHistoryHandler}
+        />
       </Form>
+      {queryResultMetaData()}
     </>
   );
 }
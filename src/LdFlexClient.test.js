@@ -0,0 +1,39 @@
+import { render, screen, waitFor } from '@testing-library/react';
+
+import { LdFlexClient } from './LdFlexClient';
+import { loadQueryHistory } from './QueryStore';
+
+// The empty JSON-LD context can't expand the paths, so queries fail before fetching the source.
+const SOURCE = 'http://localhost:9/none';
+const permalink = dataPath => '/?' + new URLSearchParams({
+  source: SOURCE, subject: SOURCE + '#it', query: dataPath, format: 'fmt_csv', context: '{ "@context": {} }'
+});
+
+beforeEach(() => {
+  window.localStorage.clear();
+  window.history.replaceState({}, '', '/');
+});
+
+test('restores a query permalink and runs it once, then follows browser back/forward', async () => {
+  render(<LdFlexClient pageUrl={'http://localhost' + permalink('.name')} />);
+
+  expect(screen.getByDisplayValue(SOURCE)).toBeInTheDocument();
+  expect(screen.getByDisplayValue(SOURCE + '#it')).toBeInTheDocument();
+  expect(screen.getByDisplayValue('.name')).toBeInTheDocument();
+  expect(screen.getByDisplayValue('{ "@context": {} }')).toBeInTheDocument();
+
+  await waitFor(() => expect(loadQueryHistory()).toHaveLength(1), { timeout: 5000 });
+  await waitFor(() => expect(document.querySelector('.errorTxt')).toHaveTextContent(/can't expand "name"/));
+  expect(loadQueryHistory()[0].query).toMatchObject({ sources: [{ url: SOURCE, type: 'file' }], dataPath: '.name' });
+  // The page URL describes the query, without a new history entry.
+  expect(window.location.search).toContain('query=.name');
+
+  // Browser back/forward to another query restores and runs it.
+  window.history.pushState({}, '', permalink('.nick'));
+  window.dispatchEvent(new PopStateEvent('popstate'));
+  await waitFor(() => expect(loadQueryHistory()).toHaveLength(2), { timeout: 5000 });
+  expect(screen.getByDisplayValue('.nick')).toBeInTheDocument();
+  expect(loadQueryHistory()[0].query.dataPath).toBe('.nick');
+  await waitFor(() => expect(document.querySelector('.errorTxt')).toHaveTextContent(/can't expand "nick"/));
+  expect(loadQueryHistory()).toHaveLength(2);
+});
@@ -0,0 +1,222 @@
+// The command-line runner: evaluates an LDflex data path from Node and prints the
+// result, so LDflex checks can be scripted in shell pipelines (see bin/flexpress.js).
+//
+//   flexpress --source <url> [--subject <iri>] [--context <json|file>] --path <data path> [--format <format>]
+//   flexpress --permalink <query permalink> [options overriding the permalink]
+//
+// The query is evaluated as the web client evaluates it (see LdfQuery.js).
+// Without a subject, the default subject of the sources is queried, as in the web client.
+// Instead of evaluating a data path, --list lists the subjects of the sources
+// or the properties of the subject, one per line, tab-separated.
+//
+// The exit status is 0 on success, 1 if the query fails or stops before completing,
+// and 2 if the command line is invalid.
+
+import { STOP_LIMIT, describeStopReason } from './QueryStream';
+import { sourceTypes, defaultSourceType, validateSources } from './LdfSources';
+import { defaultSubject, subjectDisplayName } from './LdfSubjects';
+import { findSubjectProperties } from './LdfProperties';
+import { createEngineCache, createQueryContext } from './LdfQueryContext';
+import {
+  defaultContext, outputFormats, needsWalkedTriples, readQueryString, sourcesEngineSpec, checkQuery,
+  evaluateDataPath, listSubjects, serializeResults
+} from './LdfQuery';
+
+export const EXIT_OK = 0;
+export const EXIT_QUERY_FAILED = 1;
+export const EXIT_USAGE = 2;
+
+export const defaultCliFormat = "fmt_json_formatted";
+export const defaultCliTimeout = 60;
+
+const listings = ['subjects', 'properties'];
+
+// Options taking a value. --source and --source-type may be repeated.
+const valueOptions = ['source', 'source-type', 'subject', 'context', 'path', 'format', 'permalink', 'list', 'timeout', 'limit'];
+const repeatedOptions = ['source', 'source-type'];
+
+export const usage = `
+Usage: flexpress [options]
+
+Evaluates an LDflex data path from a subject and prints the result.
+
+Options:
+  --source <url>          A data source; repeat to query several sources
+  --source-type <type>    The type of the source in the same position: ${sourceTypes.map(st => st.value).join(', ')}
+                          (default: ${defaultSourceType}), be it given by --source or --permalink
+  --subject <iri>         The subject the path starts from (default: the sources' default subject)
+  --context <json|file>   The JSON-LD context, as JSON text or a file name (default: the web client's)
+  --path <data path>      The LDflex data path, e.g. .friends.name
+  --format <format>       The output format: ${outputFormats.map(fmt => fmt.value.replace(/^fmt_/, '')).join(', ')}
+                          (default: ${defaultCliFormat.replace(/^fmt_/, '')})
+  --permalink <url>       A query permalink of the web client, or its query string;
+                          the other options override what it specifies
+  --list <listing>        List the ${listings.join(' or ')} rather than evaluating a path
+  --timeout <s>           Stop after this many seconds, 0 for no timeout (default: ${defaultCliTimeout})
+  --limit <n>             Stop after this many results, 0 for no limit (default: 0)
+  --help                  Show this help
+`.trim();
+
+// ------------------------------------------------------------------
+
+// Parses the command-line arguments into { options, help }, options holding
+// the value(s) of each option given. Throws on an unknown or incomplete option.
+export function parseArgs(argv) {
+  const options = {};
+  let help = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') {
+      help = true;
+      continue;
+    }
+
+    const match = /^--([\w-]+)(?:=(.*))?$/s.exec(arg);
+    if (!match || !valueOptions.includes(match[1]))
+      throw new Error(`Unknown option: ${arg}`);
+    const name = match[1];
+    let value = match[2];
+    if (value === undefined) {
+      if (i + 1 >= argv.length)
+        throw new Error(`Missing value for --${name}`);
+      value = argv[++i];
+    }
+
+    if (repeatedOptions.includes(name))
+      options[name] = [...(options[name] || []), value];
+    else
+      options[name] = value;
+  }
+  return { options, help };
+}
+
+// Returns the output format (the value of one of outputFormats) named by a
+// --format option, which may leave out the fmt_ prefix.
+export function findCliFormat(name) {
+  const format = outputFormats.find(fmt => fmt.value === name || fmt.value === 'fmt_' + name);
+  if (!format)
+    throw new Error(`Unknown format: ${name}`);
+  return format.value;
+}
+
+// Builds the query described by the options: the permalink's query, if any,
+// overridden by the other options, falling back to the defaults.
+// readFile(fileName) returns the text of a file, for a context given as a file name.
+export function optionsToQuery(options, readFile) {
+  let query = {};
+  if (options.permalink) {
+    const permalink = options.permalink.trim();
+    // A bare query string is read as the query string of a permalink.
+    const url = /^[a-z][\w+.-]*:/i.test(permalink) ? new URL(permalink) : new URL('?' + permalink.replace(/^\?/, ''), 'http://localhost/');
+    query = readQueryString(url.searchParams);
+  }
+
+  if (options.source)
+    query.sources = options.source.map(url => ({ url, type: defaultSourceType }));
+  if (!query.sources)
+    throw new Error('No data source given: use --source or --permalink.');
+
+  // Source types apply to the sources in the same position, be they given by --source or the permalink.
+  const types = options['source-type'] || [];
+  if (types.length > query.sources.length)
+    throw new Error(`More source types (${types.length}) than sources (${query.sources.length})`);
+  types.forEach((type, index) => {
+    if (!sourceTypes.some(st => st.value === type))
+      throw new Error(`Unknown source type: ${type}`);
+    query.sources[index] = { ...query.sources[index], type };
+  });
+
+  if (options.subject)
+    query.subject = options.subject;
+  if (options.path)
+    query.dataPath = options.path;
+  if (options.context)
+    query.context = options.context.trim().startsWith('{') ? options.context : readFile(options.context);
+  if (!query.context)
+    query.context = defaultContext;
+  query.outputFormat = findCliFormat(options.format || query.outputFormat || defaultCliFormat);
+  return query;
+}
+
+// Reads a non-negative number option.
+const numberOption = (options, name, defaultValue) => {
+  if (options[name] === undefined)
+    return defaultValue;
+  const value = Number(options[name]);
+  if (!(value >= 0))
+    throw new Error(`Invalid --${name}: ${options[name]}`);
+  return value;
+}
+
+// Runs the command line given by argv (the arguments following the script name).
+// io holds the functions writing to stdout and stderr, and the one reading files:
+//   { stdout(text), stderr(text), readFile(fileName) }
+// Resolves to the exit status.
+export async function runCli(argv, io) {
+  const writeLine = (write, text) => write(text.endsWith('\n') ? text : text + '\n');
+
+  let query, list, runOptions;
+  try {
+    const { options, help } = parseArgs(argv);
+    if (help) {
+      writeLine(io.stdout, usage);
+      return EXIT_OK;
+    }
+    query = optionsToQuery(options, io.readFile);
+    list = options.list;
+    if (list && !listings.includes(list))
+      throw new Error(`Unknown listing: ${list}`);
+    if (!list && !query.dataPath)
+      throw new Error('No data path given: use --path or --permalink.');
+    runOptions = { timeout: numberOption(options, 'timeout', defaultCliTimeout) * 1000, limit: numberOption(options, 'limit', 0) };
+    validateSources(query.sources);
+  }
+  catch (ex) {
+    writeLine(io.stderr, `${ex.message}\n\n${usage}`);
+    return EXIT_USAGE;
+  }
+
+  const queryContext = createQueryContext(createEngineCache(1));
+  const engineSpec = sourcesEngineSpec(query.sources);
+  const federatedSources = query.sources.length > 1 ? query.sources : null;
+
+  // A query stopped at the result limit was asked to stop there, so isn't a failure.
+  const stopped = (stopReason, what, count) => {
+    writeLine(io.stderr, `${what} ${describeStopReason(stopReason, runOptions)}, with ${count} results.`);
+    return stopReason === STOP_LIMIT ? EXIT_OK : EXIT_QUERY_FAILED;
+  }
+
+  try {
+    if (!query.subject || list === 'subjects') {
+      const { subjects, subjectSources, stopReason } = await listSubjects(queryContext.getQueryEngine(engineSpec),
+        { ...runOptions, federatedSources });
+      if (list === 'subjects') {
+        subjects.forEach(subject => writeLine(io.stdout, [
+          subject.id, subjectDisplayName(subject), ...(subjectSources.get(subject.id) || [])
+        ].join('\t')));
+        return stopReason ? stopped(stopReason, 'Listing the subjects', subjects.length) : EXIT_OK;
+      }
+      const firstSubject = defaultSubject(subjects, query.sources.map(source => source.url));
+      if (!firstSubject)
+        throw new Error('No subject given, and the sources have no subjects.');
+      query.subject = firstSubject.id;
+    }
+
+    if (list === 'properties') {
+      const { properties, stopReason } = await findSubjectProperties(queryContext.getQueryEngine(engineSpec), query.subject, undefined, runOptions);
+      properties.forEach(property => writeLine(io.stdout, `${property.iri}\t${property.count}`));
+      return stopReason ? stopped(stopReason, 'Listing the properties', properties.length) : EXIT_OK;
+    }
+
+    await checkQuery(query);
+    const { results, triples, stopReason } = await evaluateDataPath(queryContext, engineSpec, query,
+      { ...runOptions, federatedSources, collectTriples: needsWalkedTriples(query.outputFormat) });
+    writeLine(io.stdout, await serializeResults(query.outputFormat, { results, triples, context: query.context }));
+    return stopReason ? stopped(stopReason, 'The query', results.length) : EXIT_OK;
+  }
+  catch (ex) {
+    writeLine(io.stderr, ex.message);
+    return EXIT_QUERY_FAILED;
+  }
+}
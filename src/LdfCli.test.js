@@ -0,0 +1,60 @@
+import { EXIT_OK, EXIT_USAGE, parseArgs, findCliFormat, optionsToQuery, runCli } from './LdfCli';
+import { defaultContext } from './LdfQuery';
+
+// Runs a command line, collecting its output.
+const run = async argv => {
+  const output = { stdout: '', stderr: '' };
+  const status = await runCli(argv, {
+    stdout: text => { output.stdout += text; },
+    stderr: text => { output.stderr += text; },
+    readFile: () => { throw new Error('No files here'); }
+  });
+  return { status, ...output };
+};
+
+test('parses options', () => {
+  expect(parseArgs(['--source', 'http://a.example/', '--source=http://b.example/', '--path', '.name', '--help'])).toEqual({
+    options: { source: ['http://a.example/', 'http://b.example/'], path: '.name' }, help: true
+  });
+  expect(() => parseArgs(['--sauce', 'x'])).toThrow('Unknown option: --sauce');
+  expect(() => parseArgs(['--path'])).toThrow('Missing value for --path');
+  expect(findCliFormat('csv')).toBe('fmt_csv');
+  expect(findCliFormat('fmt_turtle')).toBe('fmt_turtle');
+  expect(() => findCliFormat('yaml')).toThrow('Unknown format');
+});
+
+test('builds the query from a permalink and the options overriding it', () => {
+  const permalink = 'https://example.org/flexpress/?source=http%3A%2F%2Fa.example%2F&subject=http%3A%2F%2Fa.example%2F%23it' +
+    '&query=.name&format=fmt_csv&context=%7B%7D';
+  expect(optionsToQuery({ permalink, path: '.friends.name' })).toEqual({
+    sources: [{ url: 'http://a.example/', type: 'file' }], subject: 'http://a.example/#it',
+    dataPath: '.friends.name', context: '{}', outputFormat: 'fmt_csv'
+  });
+
+  // A bare query string will do, source types apply to its sources, and what the options leave out is defaulted.
+  const query = optionsToQuery({ permalink: '?source=http%3A%2F%2Fa.example%2F', 'source-type': ['sparql'], format: 'tsv' });
+  expect(query).toMatchObject({ sources: [{ url: 'http://a.example/', type: 'sparql' }], context: defaultContext, outputFormat: 'fmt_tsv' });
+  expect(() => optionsToQuery({ permalink: '?source=http%3A%2F%2Fa.example%2F', 'source-type': ['sparql', 'file'] }))
+    .toThrow('More source types (2) than sources (1)');
+
+  const readFile = jest.fn(() => '{ "@context": {} }');
+  expect(optionsToQuery({ source: ['http://b.example/sparql'], 'source-type': ['sparql'], context: 'context.jsonld' }, readFile))
+    .toMatchObject({ sources: [{ url: 'http://b.example/sparql', type: 'sparql' }], context: '{ "@context": {} }' });
+  expect(readFile).toHaveBeenCalledWith('context.jsonld');
+  expect(() => optionsToQuery({ source: ['http://a.example/'], 'source-type': ['ftp'] })).toThrow('Unknown source type: ftp');
+  expect(() => optionsToQuery({ path: '.name' })).toThrow('No data source given');
+});
+
+test('exits with a usage error on an invalid command line', async () => {
+  expect(await run(['--help'])).toMatchObject({ status: EXIT_OK, stdout: expect.stringMatching(/^Usage: flexpress/) });
+
+  const noPath = await run(['--source', 'http://a.example/']);
+  expect(noPath.status).toBe(EXIT_USAGE);
+  expect(noPath.stdout).toBe('');
+  expect(noPath.stderr).toMatch(/^No data path given/);
+
+  expect((await run(['--source', 'http://a.example/', '--list', 'objects'])).stderr).toMatch(/^Unknown listing: objects/);
+  expect((await run(['--source', 'http://a.example/', '--path', '.name', '--timeout', 'soon'])).stderr)
+    .toMatch(/^Invalid --timeout: soon/);
+  expect((await run(['--source', 'http://a.example/', '--path', '.name', '--context', 'missing.jsonld'])).status).toBe(EXIT_USAGE);
+});
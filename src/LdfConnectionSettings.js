@@ -0,0 +1,98 @@
+import React, { useState, useEffect } from 'react';
+import { Button, Form } from 'react-bootstrap';
+
+import { emptyConnectionSettings, forcedMediaTypes, checkConnectionSettings } from './SourceConnections';
+
+// ------------------------------------------------------------------
+
+// Edits the connection settings of a source (see SourceConnections.js):
+// a CORS proxy, request headers and a media type forced on its documents.
+//
+// Props:
+// - url: The source URL.
+// - settings: The source's saved settings, if any.
+// - onSave(settings): Saves the (checked) settings, which are the defaults to forget them.
+// - onClose(): Closes the editor.
+export function LdfConnectionSettings(props) {
+  const { url, onSave, onClose } = props;
+  const saved = props.settings ? props.settings : emptyConnectionSettings;
+
+  const [proxy, setProxy] = useState(saved.proxy);
+  const [headers, setHeaders] = useState(saved.headers);
+  const [mediaType, setMediaType] = useState(saved.mediaType);
+  const [status, setStatus] = useState(null);
+
+  // Start from the saved settings of whichever source is edited.
+  useEffect(() => {
+    setProxy(saved.proxy);
+    setHeaders(saved.headers);
+    setMediaType(saved.mediaType);
+    setStatus(null);
+    // saved purposely omitted from the dependency array: it's only read when the source changes.
+    // eslint-disable-next-line
+  }, [url]);
+
+  const headerChangeHandler = (index, change) => {
+    setHeaders(headers.map((header, i) => (i === index ? { ...header, ...change } : header)));
+  }
+
+  const saveHandler = () => {
+    try {
+      onSave(checkConnectionSettings({ proxy, headers, mediaType }));
+      onClose();
+    }
+    catch (ex) {
+      setStatus(ex.message);
+    }
+  }
+
+  return (
+    <div className="connectionSettings">
+      <div className="connectionSettingsTitle">Connection settings of {url}</div>
+
+      <div style={{ display: "flex", alignItems: "center" }}>
+        <Form.Label className="connectionSettingsLabel">CORS proxy:</Form.Label>
+        <Form.Control size="sm" value={proxy} onChange={e => setProxy(e.target.value)}
+          placeholder="e.g. https://proxy.example/?url={url}"
+          title="{url} is replaced by the URL-encoded URL of each request; without it, the URL is appended"
+        />
+      </div>
+
+      {headers.map((header, index) => (
+        <div key={index} style={{ display: "flex", alignItems: "center" }}>
+          <Form.Label className="connectionSettingsLabel">Header:</Form.Label>
+          <Form.Control size="sm" value={header.name} placeholder="Name, e.g. Accept" style={{ width: "30%" }}
+            onChange={e => headerChangeHandler(index, { name: e.target.value })}
+          />
+          <span>&nbsp;</span>
+          <Form.Control size="sm" value={header.value} placeholder="Value, e.g. text/turtle"
+            onChange={e => headerChangeHandler(index, { value: e.target.value })}
+          />
+          <Button variant="link" className="sourceRemove" title="Remove header"
+            onClick={() => setHeaders(headers.filter((_, i) => i !== index))}>
+            <span className="oi oi-x" />
+          </Button>
+        </div>
+      ))}
+      <Button size="sm" variant="link" className="sourceAdd" onClick={() => setHeaders([...headers, { name: '', value: '' }])}>
+        <span className="oi oi-plus" /> Add header
+      </Button>
+
+      <div style={{ display: "flex", alignItems: "center" }}>
+        <Form.Label className="connectionSettingsLabel">Media type:</Form.Label>
+        <Form.Control as="select" size="sm" value={mediaType} onChange={e => setMediaType(e.target.value)}
+          title="The media type of the source's documents, whatever their server says">
+          <option value="">As served</option>
+          {forcedMediaTypes.map(type => <option key={type.value} value={type.value}>{type.label} ({type.value})</option>)}
+        </Form.Control>
+      </div>
+
+      <div>
+        <Button size="sm" onClick={saveHandler}>Save</Button>&nbsp;
+        <Button size="sm" variant="secondary" onClick={() => { setProxy(''); setHeaders([]); setMediaType(''); }}>Clear</Button>&nbsp;
+        <Button size="sm" variant="secondary" onClick={onClose}>Cancel</Button>
+      </div>
+      {status ? <p className="connectionSettingsStatus">{status}</p> : null}
+    </div>
+  );
+}
@@ -0,0 +1,225 @@
+// JSON-LD context generation and validation.
+//
+// A context is generated from the property IRIs found in the source(s): each
+// namespace gets a prefix, taken from a bundled table of well-known prefixes
+// (so no prefix lookup service is needed), and each property a readable term
+// named after its local name, e.g.
+//
+//   "foaf": "http://xmlns.com/foaf/0.1/",
+//   "name": "foaf:name",
+//   "schemaName": "schema:name"      (a second "name", from another namespace)
+//
+// Validation goes beyond JSON.parse: the context must be accepted by the JSON-LD
+// context parser LDflex uses, and the mistakes it accepts silently are flagged too.
+
+import { ldfBuiltinProperties, parseJsonLdContext, checkDataPath } from './LdfDataPath';
+
+// Well-known prefixes, as listed by prefix.cc for the vocabularies common in Linked Data.
+export const wellKnownPrefixes = {
+  acl: 'http://www.w3.org/ns/auth/acl#',
+  as: 'https://www.w3.org/ns/activitystreams#',
+  cert: 'http://www.w3.org/ns/auth/cert#',
+  dbo: 'http://dbpedia.org/ontology/',
+  dbp: 'http://dbpedia.org/property/',
+  dc: 'http://purl.org/dc/elements/1.1/',
+  dcat: 'http://www.w3.org/ns/dcat#',
+  dcterms: 'http://purl.org/dc/terms/',
+  doap: 'http://usefulinc.com/ns/doap#',
+  foaf: 'http://xmlns.com/foaf/0.1/',
+  geo: 'http://www.w3.org/2003/01/geo/wgs84_pos#',
+  ldp: 'http://www.w3.org/ns/ldp#',
+  org: 'http://www.w3.org/ns/org#',
+  owl: 'http://www.w3.org/2002/07/owl#',
+  pim: 'http://www.w3.org/ns/pim/space#',
+  prov: 'http://www.w3.org/ns/prov#',
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+  schema: 'http://schema.org/',
+  sh: 'http://www.w3.org/ns/shacl#',
+  sioc: 'http://rdfs.org/sioc/ns#',
+  skos: 'http://www.w3.org/2004/02/skos/core#',
+  solid: 'http://www.w3.org/ns/solid/terms#',
+  vcard: 'http://www.w3.org/2006/vcard/ns#',
+  void: 'http://rdfs.org/ns/void#',
+  xsd: 'http://www.w3.org/2001/XMLSchema#',
+};
+
+// Names which LDflex handles itself, so can't be used as terms in a data path.
+// (then makes paths awaitable.)
+const reservedTermNames = [...ldfBuiltinProperties, 'then'];
+
+// URI schemes which don't need declaring as prefixes (see LdfDataPath.js)
+const knownIriSchemes = ['http', 'https', 'urn', 'mailto', 'file', 'did', 'tag'];
+
+const rePrefixedName = /^([A-Za-z][\w.-]*):(?!\/\/)/;
+
+// Splits an IRI into its namespace and local name, at the last '#' or '/'.
+function splitIri(iri) {
+  const match = /^(.*[#/])([^#/]*)$/.exec(iri);
+  return match ? { namespace: match[1], localName: match[2] } : { namespace: iri, localName: '' };
+}
+
+// Turns a local name into a term usable in dot notation, e.g. date-of-birth => dateOfBirth.
+function toTermName(localName) {
+  const name = localName
+    .replace(/[^A-Za-z0-9_]+(.)?/g, (match, next) => (next ? next.toUpperCase() : ''))
+    .replace(/^[^A-Za-z_]/, match => '_' + match);
+  return name;
+}
+
+const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+
+// The IRI a term definition maps to, if any.
+function definitionId(definition) {
+  if (typeof definition === 'string')
+    return definition;
+  return definition && typeof definition === 'object' ? (definition['@id'] || definition['@reverse']) : undefined;
+}
+
+// ------------------------------------------------------------------
+
+// Generates a JSON-LD context object ({ "@context": ... }) naming the given
+// property IRIs. typeIris (e.g. the rdf:types of the subjects) only contribute
+// prefixes, since types aren't followed as path segments.
+export function generateContext(propertyIris, typeIris = []) {
+  const prefixes = {};
+  let generatedPrefixCount = 0;
+  const prefixFor = namespace => {
+    let prefix = Object.keys(prefixes).find(key => prefixes[key] === namespace);
+    if (!prefix) {
+      prefix = Object.keys(wellKnownPrefixes).find(key => wellKnownPrefixes[key] === namespace);
+      while (!prefix || prefix in prefixes)
+        prefix = 'ns' + (++generatedPrefixCount);
+      prefixes[prefix] = namespace;
+    }
+    return prefix;
+  };
+
+  const terms = {};
+  [...new Set(propertyIris)].sort().forEach(iri => {
+    const { namespace, localName } = splitIri(iri);
+    const prefix = prefixFor(namespace);
+    let term = localName ? toTermName(localName) : '';
+    // A second property of the same name, or one LDflex reserves, is qualified by its prefix.
+    if (!term || term in terms || term in prefixes || reservedTermNames.includes(term))
+      term = prefix + capitalize(term);
+    while (term in terms || term in prefixes)
+      term += '_';
+    terms[term] = localName ? `${prefix}:${localName}` : iri;
+  });
+  [...new Set(typeIris)].sort().forEach(iri => prefixFor(splitIri(iri).namespace));
+
+  const context = {};
+  Object.keys(prefixes).sort().forEach(prefix => { context[prefix] = prefixes[prefix]; });
+  Object.keys(terms).sort().forEach(term => { context[term] = terms[term]; });
+  return { '@context': context };
+}
+
+// Lists the keys defined more than once in the same object of a JSON text,
+// which JSON.parse() silently resolves in favour of the last one.
+// Assumes the text is valid JSON.
+export function findDuplicateKeys(json) {
+  const duplicates = [];
+  const objects = [];
+  const reToken = /"(?:[^"\\]|\\.)*"|[{}[\]:,]/g;
+  let token;
+  let previous = null;
+  while ((token = reToken.exec(json)) !== null) {
+    const text = token[0];
+    if (text === '{')
+      objects.push(new Set());
+    else if (text === '[')
+      objects.push(null);
+    else if (text === '}' || text === ']')
+      objects.pop();
+    else if (text.startsWith('"') && (previous === '{' || previous === ',') && objects[objects.length - 1]) {
+      const key = JSON.parse(text);
+      const keys = objects[objects.length - 1];
+      if (keys.has(key))
+        duplicates.push(key);
+      keys.add(key);
+    }
+    previous = text.startsWith('"') ? 'string' : text;
+  }
+  return duplicates;
+}
+
+// Validates a JSON-LD context (text), and optionally a data path against it.
+// Resolves to a list of issues, each being { severity: 'error' | 'warning', message }.
+// A query can't run with a context having errors; warnings point out likely mistakes.
+export async function validateContext(contextText, dataPath) {
+  const issues = [];
+  const error = message => issues.push({ severity: 'error', message });
+  const warning = message => issues.push({ severity: 'warning', message });
+
+  if (!contextText || !contextText.trim()) {
+    error('Empty JSON-LD context');
+    return issues;
+  }
+
+  let contextObj;
+  try {
+    contextObj = JSON.parse(contextText);
+  }
+  catch (ex) {
+    error('Invalid JSON: ' + ex.message);
+    return issues;
+  }
+
+  findDuplicateKeys(contextText).forEach(key =>
+    error(`"${key}" is defined more than once: only the last definition applies`));
+
+  let normalizedContext;
+  try {
+    normalizedContext = await parseJsonLdContext(contextObj);
+  }
+  catch (ex) {
+    error('Invalid JSON-LD context: ' + ex.message);
+    return issues;
+  }
+
+  // Term definitions, as written (the normalized context already has them expanded).
+  let ctx = contextObj && contextObj['@context'] ? contextObj['@context'] : contextObj;
+  if (Array.isArray(ctx))
+    ctx = Object.assign({}, ...ctx.filter(c => c && typeof c === 'object'));
+  ctx = ctx && typeof ctx === 'object' ? ctx : {};
+
+  const termsByIri = new Map();
+  Object.keys(ctx).filter(key => !key.startsWith('@')).forEach(term => {
+    const id = definitionId(ctx[term]);
+    if (typeof id !== 'string')
+      return;
+
+    const prefixMatch = rePrefixedName.exec(id);
+    if (prefixMatch && !(prefixMatch[1] in ctx) && !knownIriSchemes.includes(prefixMatch[1].toLowerCase()))
+      error(`Undefined prefix "${prefixMatch[1]}" in the definition of "${term}"`);
+
+    if (reservedTermNames.includes(term))
+      warning(`"${term}" is handled by LDflex itself, so this term can't be used in a data path`);
+
+    // Prefixes (namespaces) are expected to share IRIs with nothing else.
+    if (/[/#]$/.test(id))
+      return;
+    let iri;
+    try {
+      iri = normalizedContext.expandTerm(term, true);
+    }
+    catch (ex) {
+      return;
+    }
+    const key = (ctx[term] && ctx[term]['@reverse'] ? '^' : '') + iri;
+    termsByIri.set(key, [...(termsByIri.get(key) || []), term]);
+  });
+
+  termsByIri.forEach((terms, iri) => {
+    if (terms.length > 1)
+      warning(`The terms ${terms.map(term => `"${term}"`).join(', ')} clash: they all expand to ${iri.replace(/^\^/, 'the reverse of ')}`);
+  });
+
+  if (dataPath) {
+    const { errors } = await checkDataPath(dataPath, contextObj);
+    errors.forEach(pathError => error('Data path: ' + pathError.message));
+  }
+
+  return issues;
+}
@@ -0,0 +1,51 @@
+import { generateContext, findDuplicateKeys, validateContext } from './LdfContext';
+
+test('generates readable terms with well-known prefixes', () => {
+  expect(generateContext([
+    'http://xmlns.com/foaf/0.1/name',
+    'http://schema.org/name',
+    'http://xmlns.com/foaf/0.1/knows',
+    'http://example.org/vocab#date-of-birth',
+    'http://example.org/vocab#value',
+  ], ['http://www.w3.org/2006/vcard/ns#Individual'])).toEqual({
+    '@context': {
+      foaf: 'http://xmlns.com/foaf/0.1/',
+      ns1: 'http://example.org/vocab#',
+      schema: 'http://schema.org/',
+      vcard: 'http://www.w3.org/2006/vcard/ns#',
+      dateOfBirth: 'ns1:date-of-birth',
+      foafName: 'foaf:name',
+      knows: 'foaf:knows',
+      name: 'schema:name',
+      ns1Value: 'ns1:value',
+    }
+  });
+});
+
+test('finds keys defined more than once', () => {
+  expect(findDuplicateKeys('{ "@context": { "a": "x", "b": ["a", "a"], "a": "y", "c": { "a": 1 } } }')).toEqual(['a']);
+  expect(findDuplicateKeys('{ "a\\"": 1, "a": 2 }')).toEqual([]);
+});
+
+test('validates contexts as JSON-LD', async () => {
+  expect(await validateContext('{ "@context": { "foaf": "http://xmlns.com/foaf/0.1/", "name": "foaf:name" } }', '.name')).toEqual([]);
+  expect((await validateContext('{ "@context": '))[0].message).toMatch(/^Invalid JSON/);
+
+  const issues = await validateContext(`{
+    "@context": {
+      "foaf": "http://xmlns.com/foaf/0.1/",
+      "name": "foaf:name",
+      "fullName": "http://xmlns.com/foaf/0.1/name",
+      "title": "dct:title",
+      "values": "foaf:values",
+      "name": "foaf:name"
+    }
+  }`, '.name.nick');
+  expect(issues.map(issue => [issue.severity, issue.message])).toEqual([
+    ['error', '"name" is defined more than once: only the last definition applies'],
+    ['error', 'Undefined prefix "dct" in the definition of "title"'],
+    ['warning', '"values" is handled by LDflex itself, so this term can\'t be used in a data path'],
+    ['warning', 'The terms "name", "fullName" clash: they all expand to http://xmlns.com/foaf/0.1/name'],
+    ['error', 'Data path: The JSON-LD context can\'t expand "nick" to an IRI'],
+  ]);
+});
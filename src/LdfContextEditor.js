@@ -0,0 +1,89 @@
+import React, { useState, useEffect } from 'react';
+import { Button, Form } from 'react-bootstrap';
+
+import { generateContext, validateContext } from './LdfContext';
+
+// Delay after the last edit before the context is validated again (ms)
+const validationDelay = 300;
+
+// ------------------------------------------------------------------
+
+// The JSON-LD context input, validated as it's edited (see LdfContext.js),
+// with an action generating a context for the properties found in the source(s).
+//
+// Props:
+// - context: The JSON-LD context (a string).
+// - onChange(context): Receives the edited or generated context.
+// - dataPath: The data path to check against the context, if any.
+// - propertyIris: The property IRIs found, to generate a context for.
+// - typeIris: The rdf:types of the subjects found, whose namespaces get prefixes too.
+export function LdfContextEditor(props) {
+  const { context, onChange, dataPath, propertyIris, typeIris } = props;
+
+  const [issues, setIssues] = useState([]);
+  // previousContext: The context replaced by the last generated one, until edited.
+  const [previousContext, setPreviousContext] = useState(null);
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      validateContext(context, dataPath)
+        .then(newIssues => !cancelled && setIssues(newIssues))
+        .catch(ex => !cancelled && setIssues([{ severity: 'error', message: ex.message }]));
+    }, validationDelay);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [context, dataPath]);
+
+  const generate = () => {
+    if (!propertyIris.length) {
+      setStatus('No properties found yet: list the properties of a subject first.');
+      return;
+    }
+    setStatus(null);
+    setPreviousContext(context);
+    onChange(JSON.stringify(generateContext(propertyIris, typeIris), null, 2));
+  }
+
+  const undoGenerate = () => {
+    onChange(previousContext);
+    setPreviousContext(null);
+  }
+
+  const contextChangeHandler = event => {
+    setPreviousContext(null);
+    setStatus(null);
+    onChange(event.target.value);
+  }
+
+  return (
+    <Form.Group style={{ flex: "1" }}>
+      <div style={{ display: "flex", alignItems: "baseline" }}>
+        <Form.Label style={{ flex: "1" }}>Context:</Form.Label>
+        <Button size="sm" variant="link" className="contextAction" onClick={() => generate()}
+          title={`Generate a context naming the ${propertyIris.length} properties found`}>
+          Generate context
+        </Button>
+        {previousContext !== null ?
+          <Button size="sm" variant="link" className="contextAction" onClick={() => undoGenerate()}>Undo</Button>
+          : null
+        }
+      </div>
+      <Form.Control className="inputCntrl1 inputTextArea" as="textarea" rows={7}
+        value={context} onChange={contextChangeHandler}
+      />
+      {issues.length ?
+        <ul className="contextIssues">
+          {issues.map((issue, index) => (
+            <li key={index} className={issue.severity === 'error' ? 'errorTxt' : 'contextWarning'}>{issue.message}</li>
+          ))}
+        </ul>
+        : null
+      }
+      {status ? <p className="contextWarning">{status}</p> : null}
+    </Form.Group>
+  );
+}
@@ -0,0 +1,462 @@
+// Parsing, validation and autocompletion support for LDflex data path expressions.
+//
+// An LDflex data path is the string handed to subjectPath.resolve(), e.g.
+//   .interest.label
+//   .friends["foaf:name"]
+//   ["http://xmlns.com/foaf/0.1/interest"].label
+//
+// LDflex itself turns the string into a JavaScript expression and evaluates it
+// (see ldflex/lib/StringToLDflexHandler.js), so a malformed path only surfaces as
+// a JavaScript syntax error and an unresolvable term only surfaces when the
+// generated query executes. Parsing the path ourselves lets us report errors
+// against the exact segment at fault, before anything is evaluated.
+
+const { ContextParser, Util: JsonLdUtil } = require('jsonld-context-parser');
+
+// Properties handled by LDflex itself rather than resolved through the JSON-LD context.
+// (See ldflex/lib/defaultHandlers.js)
+export const ldfBuiltinProperties = [
+  'add', 'canonical', 'datatype', 'datatypes', 'delete', 'equals', 'get',
+  'language', 'languages', 'pathExpression', 'predicate', 'predicates',
+  'preload', 'properties', 'replace', 'results', 'set', 'sort', 'sortDesc',
+  'sparql', 'subject', 'subjects', 'termType', 'termTypes', 'toArray',
+  'toString', 'value', 'values',
+];
+
+// URI schemes which may appear unbracketed as the prefix of a prefixed name
+// without having to be declared in the JSON-LD context.
+const knownIriSchemes = ['http', 'https', 'urn', 'mailto', 'file', 'did', 'tag'];
+
+const reIdentifierStart = /[A-Za-z$_]/;
+const reIdentifierChar = /[\w$]/;
+const reIdentifier = /^[A-Za-z$_][\w$]*$/;
+
+// ------------------------------------------------------------------
+
+// Parses an LDflex data path expression into its segments.
+//
+// Returns { segments, errors }.
+// Each segment records the property name, the notation used ('dot' or 'bracket'),
+// any call arguments, e.g. .sort('name'), and its start/end offsets in the expression.
+// Each error records a message and the start/end offsets of the offending text,
+// together with the index of the segment it belongs to, if any.
+export function parseDataPath(expression) {
+  const segments = [];
+  const errors = [];
+  const text = expression || '';
+  let pos = 0;
+
+  const skipWhitespace = () => {
+    while (pos < text.length && /\s/.test(text[pos]))
+      pos++;
+  };
+
+  const addError = (message, start, end) => {
+    errors.push({ message, start, end: Math.max(end, start + 1), segmentIndex: segments.length });
+  };
+
+  skipWhitespace();
+  if (pos >= text.length) {
+    errors.push({ message: 'Data path not set', start: 0, end: 0, segmentIndex: -1 });
+    return { segments, errors };
+  }
+
+  // As in LDflex, a single unbracketed URL is accepted as a complete path
+  const trimmed = text.trim();
+  if (/^https?:\/\/[^()[\]'"\s]+$/.test(trimmed)) {
+    const start = text.indexOf(trimmed);
+    segments.push({ name: trimmed, raw: trimmed, notation: 'bracket', start, end: start + trimmed.length });
+    return { segments, errors };
+  }
+
+  // Also as in LDflex, the leading dot may be omitted
+  let firstSegment = true;
+
+  while (pos < text.length) {
+    skipWhitespace();
+    if (pos >= text.length)
+      break;
+
+    const start = pos;
+    let name, notation;
+
+    if (text[pos] === '.' || (firstSegment && reIdentifierStart.test(text[pos]))) {
+      notation = 'dot';
+      if (text[pos] === '.')
+        pos++;
+      const nameStart = pos;
+      while (pos < text.length && reIdentifierChar.test(text[pos]))
+        pos++;
+      name = text.slice(nameStart, pos);
+      if (!name) {
+        addError('Expected a property name after "."', start, pos + 1);
+        break;
+      }
+      if (!reIdentifierStart.test(name[0])) {
+        addError(`"${name}" is not a valid property name; use bracket notation, e.g. ["${name}"]`, start, pos);
+        break;
+      }
+    }
+    else if (text[pos] === '[') {
+      notation = 'bracket';
+      pos++;
+      const quote = text[pos] === '"' || text[pos] === "'" || text[pos] === '`' ? text[pos] : null;
+      if (quote) {
+        const close = text.indexOf(quote, pos + 1);
+        if (close < 0) {
+          addError(`Unterminated string; expected closing ${quote}`, start, text.length);
+          break;
+        }
+        name = text.slice(pos + 1, close);
+        pos = close + 1;
+      }
+      else {
+        const nameStart = pos;
+        while (pos < text.length && !/[\]'"`(]/.test(text[pos]))
+          pos++;
+        name = text.slice(nameStart, pos).trim();
+      }
+      if (text[pos] !== ']') {
+        addError('Expected "]"', start, pos + 1);
+        break;
+      }
+      pos++;
+      if (!name) {
+        addError('Empty property name in brackets', start, pos);
+        break;
+      }
+    }
+    else {
+      addError(`Unexpected character "${text[pos]}"; expected "." or "["`, start, pos + 1);
+      break;
+    }
+
+    const segment = { name, raw: text.slice(start, pos), notation, start, end: pos };
+
+    // Optional call arguments, e.g. .sort('name') or .friends.location(place)
+    skipWhitespace();
+    if (text[pos] === '(') {
+      const argsStart = pos;
+      const args = parseCallArguments(text, pos);
+      if (args.error) {
+        addError(args.error, argsStart, args.end);
+        break;
+      }
+      segment.args = args.values;
+      pos = args.end;
+      segment.end = pos;
+      segment.raw = text.slice(start, pos);
+    }
+
+    segments.push(segment);
+    firstSegment = false;
+  }
+
+  return { segments, errors };
+}
+
+// Parses a parenthesized, comma separated list of quoted strings or bare words
+// starting at text[pos] === '('.
+function parseCallArguments(text, pos) {
+  const values = [];
+  pos++;
+  for (;;) {
+    while (pos < text.length && /\s/.test(text[pos]))
+      pos++;
+    if (text[pos] === ')')
+      return { values, end: pos + 1 };
+    if (pos >= text.length)
+      return { error: 'Expected ")"', end: pos };
+
+    const quote = text[pos] === '"' || text[pos] === "'" ? text[pos] : null;
+    if (quote) {
+      const close = text.indexOf(quote, pos + 1);
+      if (close < 0)
+        return { error: `Unterminated string; expected closing ${quote}`, end: text.length };
+      values.push(text.slice(pos + 1, close));
+      pos = close + 1;
+    }
+    else {
+      const valueStart = pos;
+      while (pos < text.length && !/[\s,)]/.test(text[pos]))
+        pos++;
+      if (pos === valueStart)
+        return { error: `Unexpected character "${text[pos]}" in arguments`, end: pos + 1 };
+      values.push(text.slice(valueStart, pos));
+    }
+
+    while (pos < text.length && /\s/.test(text[pos]))
+      pos++;
+    if (text[pos] === ',')
+      pos++;
+    else if (text[pos] !== ')')
+      return { error: 'Expected "," or ")"', end: pos + 1 };
+  }
+}
+
+// ------------------------------------------------------------------
+
+// Parses a JSON-LD context (either a string or an already parsed object, with or
+// without an enclosing "@context" key) into a JsonLdContextNormalized instance.
+export async function parseJsonLdContext(context) {
+  let contextObj = typeof context === 'string' ? JSON.parse(context) : context;
+  if (contextObj && contextObj['@context'])
+    contextObj = contextObj['@context'];
+  return new ContextParser().parse(contextObj || {});
+}
+
+// Checks that every segment of a parsed data path can be resolved to a predicate IRI
+// using the given JSON-LD context.
+//
+// Returns a list of errors in the same form as parseDataPath().
+// As a side effect, each resolvable segment is annotated with its predicate IRI
+// (segment.predicate) or flagged as an LDflex builtin (segment.builtin).
+export async function validateDataPath(segments, context) {
+  const errors = [];
+  let normalizedContext;
+
+  try {
+    normalizedContext = await parseJsonLdContext(context);
+  }
+  catch (ex) {
+    errors.push({ message: 'Invalid context: ' + ex.message, start: 0, end: 0, segmentIndex: -1 });
+    return errors;
+  }
+
+  const contextRaw = normalizedContext.getContextRaw();
+
+  segments.forEach((segment, segmentIndex) => {
+    const addError = message => errors.push({ message, start: segment.start, end: segment.end, segmentIndex });
+
+    if (segment.notation === 'dot' && ldfBuiltinProperties.includes(segment.name)) {
+      segment.builtin = true;
+      if (segmentIndex === 0)
+        addError(`"${segment.name}" is an LDflex builtin and can't start a data path`);
+      return;
+    }
+
+    // LDflex allows path.foaf_knows or path.foaf$knows in place of path['foaf:knows']
+    let term = segment.name;
+    if (segment.notation === 'dot')
+      term = term.replace(/^([a-z][a-z0-9]*)[_$]/i, (match, prefix) => (contextRaw[prefix] ? prefix + ':' : match));
+
+    segment.term = term;
+
+    const prefixMatch = /^([A-Za-z][\w.-]*):(?!\/\/)/.exec(term);
+    if (prefixMatch && !(prefixMatch[1] in contextRaw) && !knownIriSchemes.includes(prefixMatch[1].toLowerCase())) {
+      addError(`Undefined prefix "${prefixMatch[1]}" in "${segment.name}"`);
+      return;
+    }
+
+    let predicate;
+    try {
+      predicate = normalizedContext.expandTerm(term, true);
+    }
+    catch (ex) {
+      addError(`"${segment.name}" can't be expanded: ${ex.message}`);
+      return;
+    }
+
+    if (predicate === null)
+      addError(`"${segment.name}" is explicitly disabled in the context`);
+    else if (!JsonLdUtil.isValidIri(predicate))
+      addError(`The JSON-LD context can't expand "${segment.name}" to an IRI`);
+    else {
+      segment.predicate = predicate;
+      const termDefinition = contextRaw[term];
+      if (termDefinition && termDefinition['@reverse'])
+        segment.reverse = true;
+    }
+  });
+
+  return errors;
+}
+
+// Parses and validates a data path against a JSON-LD context.
+// Returns { segments, errors }, errors being sorted by position.
+export async function checkDataPath(expression, context) {
+  const { segments, errors } = parseDataPath(expression);
+  if (errors.length)
+    return { segments, errors };
+  const validationErrors = await validateDataPath(segments, context);
+  return { segments, errors: validationErrors.sort((a, b) => a.start - b.start) };
+}
+
+// ------------------------------------------------------------------
+
+// Formats a context term or IRI as a data path segment,
+// using dot notation where possible and bracket notation otherwise.
+export function formatPathSegment(term) {
+  if (reIdentifier.test(term) && !ldfBuiltinProperties.includes(term))
+    return '.' + term;
+  return `["${term.replace(/"/g, '\\"')}"]`;
+}
+
+// Returns the term definitions of a JSON-LD context object as a single object,
+// merging the local contexts of a context array. Remote contexts are skipped.
+function flattenContext(contextObj) {
+  let ctx = contextObj && contextObj['@context'] ? contextObj['@context'] : contextObj;
+  if (Array.isArray(ctx))
+    ctx = Object.assign({}, ...ctx.filter(c => c && typeof c === 'object'));
+  return ctx && typeof ctx === 'object' ? ctx : {};
+}
+
+// Lists the terms defined in a JSON-LD context object which can be used as
+// data path segments. Prefix definitions are listed as "prefix:".
+export function getContextTerms(contextObj) {
+  const ctx = flattenContext(contextObj);
+
+  const terms = [];
+  Object.keys(ctx).forEach(key => {
+    if (key.startsWith('@'))
+      return;
+    const value = ctx[key];
+    const id = typeof value === 'string' ? value : (value && (value['@id'] || value['@reverse']));
+    // Terms mapping to an IRI ending in '/' or '#' are most likely prefixes
+    if (typeof id === 'string' && /[/#]$/.test(id))
+      terms.push(key + ':');
+    else
+      terms.push(key);
+  });
+  return terms;
+}
+
+// Determines the partially entered segment ending at the caret position, if any.
+//
+// Returns { start, end, text, notation } where start/end delimit the text to be
+// replaced when a completion is accepted, or null if the caret isn't within a segment.
+export function getCompletionTarget(expression, caret) {
+  const before = expression.slice(0, caret);
+
+  // Inside an unterminated bracket, e.g. .friends["foaf:na
+  const bracket = /\[\s*["'`]?([^\]"'`]*)$/.exec(before);
+  if (bracket)
+    return { start: bracket.index, end: caret, text: bracket[1], notation: 'bracket' };
+
+  // After a dot, e.g. .friends.na
+  const dot = /(^|\.)([\w$]*)$/.exec(before);
+  if (dot && (dot[1] === '.' || before.trim() === dot[2])) {
+    const start = dot[1] === '.' ? dot.index : before.length - dot[2].length;
+    return { start, end: caret, text: dot[2], notation: 'dot' };
+  }
+
+  return null;
+}
+
+// Lists the candidate completions for the given completion target.
+// candidates is a list of context terms and/or compacted property names or IRIs.
+export function getCompletions(target, candidates, maxCompletions = 10) {
+  if (!target)
+    return [];
+  const typed = target.text.toLowerCase();
+  const seen = new Set();
+  return candidates
+    .filter(candidate => {
+      if (seen.has(candidate))
+        return false;
+      seen.add(candidate);
+      return candidate.toLowerCase().startsWith(typed) && candidate !== target.text;
+    })
+    .slice(0, maxCompletions);
+}
+
+// Replaces the completion target in the expression with the given completion.
+// Returns { expression, caret }.
+export function applyCompletion(expression, target, completion) {
+  // A prefix completion (e.g. "foaf:") leaves the segment open for the local name
+  const segment = completion.endsWith(':') ? `["${completion}` : formatPathSegment(completion);
+  const newExpression = expression.slice(0, target.start) + segment + expression.slice(target.end);
+  return { expression: newExpression, caret: target.start + segment.length };
+}
+
+// Explains how a term is expanded to an IRI by the given JSON-LD context object,
+// as the chain of context entries applied, e.g. for "friends" in the default context:
+//   { rule: 'term', key: 'friends', from: 'friends', to: 'knows' }
+//   { rule: 'vocab', key: '@vocab', from: 'knows', to: 'http://xmlns.com/foaf/0.1/knows' }
+//
+// The raw (non-normalized) context is used, as normalization already expands
+// term definitions and so hides the intermediate steps. The steps are informative
+// only; validateDataPath() gives the IRI the term actually expands to.
+export function explainTermExpansion(term, contextObj) {
+  const ctx = flattenContext(contextObj);
+  const definitionId = definition =>
+    (typeof definition === 'string' ? definition : (definition && (definition['@id'] || definition['@reverse'])));
+
+  const steps = [];
+  const seen = new Set();
+  let current = term;
+  while (!seen.has(current)) {
+    seen.add(current);
+    let step = null;
+
+    const prefixMatch = /^([A-Za-z][\w.-]*):(?!\/\/)(.*)$/.exec(current);
+    if (!current.startsWith('@') && typeof definitionId(ctx[current]) === 'string')
+      step = { rule: 'term', key: current, to: definitionId(ctx[current]) };
+    else if (prefixMatch && typeof definitionId(ctx[prefixMatch[1]]) === 'string')
+      step = { rule: 'prefix', key: prefixMatch[1], to: definitionId(ctx[prefixMatch[1]]) + prefixMatch[2] };
+    else if (!current.includes(':') && typeof ctx['@vocab'] === 'string')
+      step = { rule: 'vocab', key: '@vocab', to: ctx['@vocab'] + current };
+
+    if (!step)
+      break;
+    steps.push({ ...step, from: current });
+    current = step.to;
+  }
+  return steps;
+}
+
+// ------------------------------------------------------------------
+
+// Compacts a property IRI to the name under which it's known in the given
+// (normalized) JSON-LD context, falling back to the full IRI where the context
+// has no suitable term or prefix.
+//
+// A term explicitly aliasing the IRI is preferred (e.g. "friends" for foaf:knows),
+// then whatever jsonld-context-parser compacts it to (a @vocab relative name or a
+// prefixed name). The compacted name is only used if it expands back to the same IRI.
+export function compactPropertyIri(iri, normalizedContext) {
+  if (!normalizedContext)
+    return iri;
+
+  const contextRaw = normalizedContext.getContextRaw();
+  const candidates = Object.keys(contextRaw).filter(key => {
+    const value = contextRaw[key];
+    return !key.startsWith('@') && (value === iri || (value && value['@id'] === iri && !value['@reverse']));
+  });
+  candidates.push(normalizedContext.compactIri(iri, true));
+
+  const term = candidates.find(candidate => {
+    if (candidate === iri || ldfBuiltinProperties.includes(candidate))
+      return false;
+    try {
+      return normalizedContext.expandTerm(candidate, true) === iri;
+    }
+    catch (ex) {
+      return false;
+    }
+  });
+
+  return term || iri;
+}
+
+// Returns the term of the given (normalized) JSON-LD context defined as the
+// reverse of a property IRI (i.e. { "@reverse": iri }), or null if there's none.
+// A data path can only follow a property backwards through such a term.
+export function compactReversePropertyIri(iri, normalizedContext) {
+  if (!normalizedContext)
+    return null;
+
+  const contextRaw = normalizedContext.getContextRaw();
+  const term = Object.keys(contextRaw).find(key => {
+    const value = contextRaw[key];
+    return !key.startsWith('@') && !ldfBuiltinProperties.includes(key) &&
+      value && value['@id'] === iri && value['@reverse'];
+  });
+  return term || null;
+}
+
+// Builds a data path expression from a list of property IRIs,
+// compacting each one through the given (normalized) JSON-LD context.
+export function buildDataPath(propertyIris, normalizedContext) {
+  return propertyIris.map(iri => formatPathSegment(compactPropertyIri(iri, normalizedContext))).join('');
+}
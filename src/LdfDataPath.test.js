@@ -0,0 +1,116 @@
+import {
+  parseDataPath, checkDataPath, parseJsonLdContext, formatPathSegment,
+  getContextTerms, getCompletionTarget, getCompletions, applyCompletion,
+  compactPropertyIri, compactReversePropertyIri, buildDataPath, explainTermExpansion
+} from './LdfDataPath';
+
+const context = {
+  "@context": {
+    "@vocab": "http://xmlns.com/foaf/0.1/",
+    "friends": "knows",
+    "label": "http://www.w3.org/2000/01/rdf-schema#label",
+    "foaf": "http://xmlns.com/foaf/0.1/"
+  }
+};
+
+test('parses dot and bracket notation segments', () => {
+  const { segments, errors } = parseDataPath('.friends["foaf:name"][label]');
+  expect(errors).toEqual([]);
+  expect(segments.map(s => [s.name, s.notation])).toEqual([
+    ['friends', 'dot'], ['foaf:name', 'bracket'], ['label', 'bracket']
+  ]);
+});
+
+test('accepts a path without a leading dot and a single bare URL', () => {
+  expect(parseDataPath('interest.label').segments.map(s => s.name)).toEqual(['interest', 'label']);
+  expect(parseDataPath('http://xmlns.com/foaf/0.1/name').segments.map(s => s.name))
+    .toEqual(['http://xmlns.com/foaf/0.1/name']);
+});
+
+test('parses call arguments', () => {
+  const { segments, errors } = parseDataPath(".friends.sort('name')");
+  expect(errors).toEqual([]);
+  expect(segments[1].args).toEqual(['name']);
+});
+
+test('reports syntax errors against the offending segment', () => {
+  const { errors } = parseDataPath('.interest.["label"');
+  expect(errors).toHaveLength(1);
+  expect(errors[0].segmentIndex).toBe(1);
+  expect(errors[0].start).toBe(9);
+  expect(parseDataPath('').errors[0].message).toBe('Data path not set');
+  expect(parseDataPath('.a["b').errors[0].message).toMatch(/Unterminated string/);
+});
+
+test('resolves segments through the JSON-LD context', async () => {
+  const { segments, errors } = await checkDataPath('.friends.label', context);
+  expect(errors).toEqual([]);
+  expect(segments.map(s => s.predicate)).toEqual([
+    'http://xmlns.com/foaf/0.1/knows', 'http://www.w3.org/2000/01/rdf-schema#label'
+  ]);
+});
+
+test('flags undefined prefixes and unresolvable terms', async () => {
+  let { errors } = await checkDataPath('.friends["ex:name"]', context);
+  expect(errors).toHaveLength(1);
+  expect(errors[0].message).toMatch(/Undefined prefix "ex"/);
+  expect(errors[0].segmentIndex).toBe(1);
+
+  ({ errors } = await checkDataPath('.interest', { "@context": { "label": "http://www.w3.org/2000/01/rdf-schema#label" } }));
+  expect(errors[0].message).toMatch(/can't expand "interest"/);
+});
+
+test('reports an invalid context', async () => {
+  const { errors } = await checkDataPath('.name', '{ not json');
+  expect(errors[0].message).toMatch(/^Invalid context/);
+});
+
+test('formats segments and completions', () => {
+  expect(formatPathSegment('name')).toBe('.name');
+  expect(formatPathSegment('foaf:name')).toBe('["foaf:name"]');
+  expect(getContextTerms(context)).toEqual(['friends', 'label', 'foaf:']);
+
+  let expression = '.friends.la';
+  let target = getCompletionTarget(expression, expression.length);
+  expect(target).toEqual({ start: 8, end: 11, text: 'la', notation: 'dot' });
+  expect(getCompletions(target, ['label', 'name', 'lastName'])).toEqual(['label', 'lastName']);
+  expect(applyCompletion(expression, target, 'label').expression).toBe('.friends.label');
+
+  expression = '.friends["foaf:na';
+  target = getCompletionTarget(expression, expression.length);
+  expect(target.text).toBe('foaf:na');
+  expect(applyCompletion(expression, target, 'foaf:name').expression).toBe('.friends["foaf:name"]');
+});
+
+test('builds data paths from property IRIs', async () => {
+  const normalizedContext = await parseJsonLdContext(context);
+  expect(compactPropertyIri('http://xmlns.com/foaf/0.1/knows', normalizedContext)).toBe('friends');
+  expect(compactPropertyIri('http://xmlns.com/foaf/0.1/name', normalizedContext)).toBe('name');
+  expect(compactPropertyIri('http://schema.org/name', normalizedContext)).toBe('http://schema.org/name');
+  expect(buildDataPath([
+    'http://xmlns.com/foaf/0.1/knows',
+    'http://www.w3.org/2000/01/rdf-schema#label',
+    'http://schema.org/name'
+  ], normalizedContext)).toBe('.friends.label["http://schema.org/name"]');
+  expect(buildDataPath(['http://xmlns.com/foaf/0.1/name'], null)).toBe('["http://xmlns.com/foaf/0.1/name"]');
+});
+
+test('finds reverse terms for property IRIs', async () => {
+  const normalizedContext = await parseJsonLdContext({
+    "@context": { ...context["@context"], "knownBy": { "@reverse": "http://xmlns.com/foaf/0.1/knows" } }
+  });
+  expect(compactReversePropertyIri('http://xmlns.com/foaf/0.1/knows', normalizedContext)).toBe('knownBy');
+  expect(compactReversePropertyIri('http://xmlns.com/foaf/0.1/name', normalizedContext)).toBe(null);
+  expect(compactPropertyIri('http://xmlns.com/foaf/0.1/knows', normalizedContext)).toBe('friends');
+});
+
+test('explains how terms expand through the context', () => {
+  expect(explainTermExpansion('friends', context)).toEqual([
+    { rule: 'term', key: 'friends', from: 'friends', to: 'knows' },
+    { rule: 'vocab', key: '@vocab', from: 'knows', to: 'http://xmlns.com/foaf/0.1/knows' },
+  ]);
+  expect(explainTermExpansion('foaf:name', context)).toEqual([
+    { rule: 'prefix', key: 'foaf', from: 'foaf:name', to: 'http://xmlns.com/foaf/0.1/name' },
+  ]);
+  expect(explainTermExpansion('http://schema.org/name', context)).toEqual([]);
+});
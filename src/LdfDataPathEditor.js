@@ -0,0 +1,194 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Form, ListGroup } from 'react-bootstrap';
+
+import {
+  checkDataPath, parseJsonLdContext, getContextTerms,
+  getCompletionTarget, getCompletions, applyCompletion
+} from './LdfDataPath';
+
+// ------------------------------------------------------------------
+
+// A free-form editor for LDflex data paths.
+//
+// The path is parsed and validated against the current JSON-LD context as it's typed.
+// Errors are listed beneath the editor, each quoting the segment at fault.
+// Autocompletion draws on the terms defined in the context and on the
+// properties of the current subject (property IRIs are compacted using the
+// context where possible).
+//
+// Props:
+// - value, onChange: The data path expression.
+// - context: The JSON-LD context (a string, as entered in the context textarea).
+// - properties: Property IRIs of the current subject.
+// - presets: Example data paths which can be selected as a starting point.
+// - onValidated: Optional callback receiving { segments, errors } after each validation.
+export function LdfDataPathEditor(props) {
+  const { value, onChange, context, properties, presets, onValidated } = props;
+
+  const [errors, setErrors] = useState([]);
+  const [candidates, setCandidates] = useState([]);
+  const [completions, setCompletions] = useState([]);
+  const [completionTarget, setCompletionTarget] = useState(null);
+  const [selectedCompletion, setSelectedCompletion] = useState(0);
+  const textAreaRef = useRef(null);
+  const pendingCaret = useRef(null);
+
+  // Validate the data path whenever it or the context changes.
+  useEffect(() => {
+    let cancelled = false;
+    checkDataPath(value, context).then(result => {
+      if (cancelled)
+        return;
+      setErrors(result.errors);
+      if (onValidated)
+        onValidated(result);
+    });
+    return () => { cancelled = true; };
+    // onValidated purposely omitted from the dependency array.
+    // eslint-disable-next-line
+  }, [value, context]);
+
+  // Rebuild the completion candidates whenever the context or subject properties change.
+  useEffect(() => {
+    let cancelled = false;
+    const buildCandidates = async () => {
+      let contextObj = null;
+      let normalizedContext = null;
+      try {
+        contextObj = JSON.parse(context);
+        normalizedContext = await parseJsonLdContext(contextObj);
+      }
+      catch (ex) {
+        // An invalid context is reported by validation; complete on properties alone.
+      }
+      const terms = getContextTerms(contextObj);
+      const propertyNames = (properties || []).map(iri =>
+        normalizedContext ? normalizedContext.compactIri(iri, true) : iri);
+      if (!cancelled)
+        setCandidates([...terms, ...propertyNames]);
+    };
+    buildCandidates();
+    return () => { cancelled = true; };
+  }, [context, properties]);
+
+  // Restore the caret position after a completion has been applied.
+  useEffect(() => {
+    if (pendingCaret.current !== null && textAreaRef.current) {
+      textAreaRef.current.setSelectionRange(pendingCaret.current, pendingCaret.current);
+      pendingCaret.current = null;
+    }
+  }, [value]);
+
+  const updateCompletions = (expression, caret) => {
+    const target = getCompletionTarget(expression, caret);
+    setCompletionTarget(target);
+    setCompletions(getCompletions(target, candidates));
+    setSelectedCompletion(0);
+  }
+
+  const hideCompletions = () => {
+    setCompletionTarget(null);
+    setCompletions([]);
+  }
+
+  const acceptCompletion = completion => {
+    const result = applyCompletion(value, completionTarget, completion);
+    pendingCaret.current = result.caret;
+    onChange(result.expression);
+    // A prefix completion leaves the segment open, so keep completing.
+    if (completion.endsWith(':'))
+      updateCompletions(result.expression, result.caret);
+    else
+      hideCompletions();
+  }
+
+  const changeHandler = event => {
+    onChange(event.target.value);
+    updateCompletions(event.target.value, event.target.selectionStart);
+  }
+
+  const keyDownHandler = event => {
+    if (!completions.length)
+      return;
+    switch (event.key) {
+      case 'ArrowDown':
+        setSelectedCompletion((selectedCompletion + 1) % completions.length);
+        break;
+      case 'ArrowUp':
+        setSelectedCompletion((selectedCompletion + completions.length - 1) % completions.length);
+        break;
+      case 'Enter':
+      case 'Tab':
+        acceptCompletion(completions[selectedCompletion]);
+        break;
+      case 'Escape':
+        hideCompletions();
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+  }
+
+  const presetChangeHandler = event => {
+    if (event.target.value)
+      onChange(event.target.value);
+    hideCompletions();
+  }
+
+  // Quotes the text of the data path around an error, highlighting the offending part.
+  const renderedErrorLocation = error => {
+    if (error.segmentIndex < 0 || error.start >= value.length)
+      return null;
+    return (
+      <code className="dataPathErrorLocation">
+        {value.slice(0, error.start)}
+        <mark>{value.slice(error.start, error.end)}</mark>
+        {value.slice(error.end)}
+      </code>
+    );
+  }
+
+  return (
+    <>
+      <div style={{ display: "flex" }}>
+        <Form.Label>LDflex data path:</Form.Label>
+        {presets && presets.length ?
+          <div style={{ flex: "1", textAlign: "right" }}>
+            <Form.Control as="select" size="sm" value="" onChange={presetChangeHandler}
+              className="dataPathPresets" style={{ fontSize: "80%" }}>
+              <option value="">Examples...</option>
+              {presets.map(preset => <option key={preset} value={preset}>{preset}</option>)}
+            </Form.Control>
+          </div>
+          : null
+        }
+      </div>
+      <div className="dataPathEditor">
+        <Form.Control className="inputCntrl1 inputTextArea" as="textarea" rows={7}
+          ref={textAreaRef} value={value} spellCheck={false}
+          onChange={changeHandler} onKeyDown={keyDownHandler}
+          onClick={event => updateCompletions(value, event.target.selectionStart)}
+          onBlur={() => setTimeout(hideCompletions, 200)}
+        />
+        {completions.length ?
+          <ListGroup className="dataPathCompletions">
+            {completions.map((completion, index) => (
+              <ListGroup.Item key={completion} action active={index === selectedCompletion}
+                onMouseDown={event => { event.preventDefault(); acceptCompletion(completion); }}>
+                {completion}
+              </ListGroup.Item>
+            ))}
+          </ListGroup>
+          : null
+        }
+      </div>
+      {errors.map((error, index) => (
+        <div key={index} className="dataPathError">
+          <span className="errorTxt">{error.message}</span>
+          {renderedErrorLocation(error)}
+        </div>
+      ))}
+    </>
+  );
+}
@@ -0,0 +1,171 @@
+// The node-link graph of a subject's neighbourhood.
+//
+// The graph starts from the triples a data path query walked through (see
+// LdfTriples.js), i.e. the subject, the properties the path follows and the nodes
+// reached along it. Expanding a node adds the triples of which it's the subject.
+//
+//   {
+//     nodes: [{ id, term, x, y, expanded }],  // term being a result object (see LdfResults.js)
+//     edges: [{ id, source, target, predicate }]
+//   }
+//
+// Named and blank nodes are shared by every triple they appear in. Each literal
+// gets a node of its own, so equal literals don't connect unrelated subjects.
+// Graphs are never modified: each function returns a new graph.
+
+import { termToResult, termKey } from './LdfResults';
+import { executeSparql } from './LdfSparqlQuery';
+import { checkSubjectIri } from './LdfProperties';
+
+// Most neighbours added by expanding a node
+export const maxNeighbours = 50;
+
+// Distance between a node and the neighbours placed around it
+const neighbourDistance = 120;
+
+// Ideal edge length of the force-directed layout
+const edgeLength = 100;
+
+// ------------------------------------------------------------------
+
+// The id of the node for a term, edgeKey identifying the triple a literal appears in.
+function nodeId(term, edgeKey) {
+  switch (term.termType) {
+    case 'NamedNode':
+      return term.value;
+    case 'BlankNode':
+      return '_:' + term.value;
+    default:
+      return `${edgeKey} ${termKey(term)}`;
+  }
+}
+
+// Converts RDF/JS quads into triples of result objects.
+export function quadsToTriples(quads) {
+  return quads.map(quad => ({
+    subject: termToResult(quad.subject),
+    predicate: termToResult(quad.predicate),
+    object: termToResult(quad.object)
+  }));
+}
+
+// Creates a graph holding only the given subject (IRI), at the origin.
+export function createGraph(subject) {
+  return {
+    nodes: [{ id: subject, term: { termType: 'NamedNode', value: subject }, x: 0, y: 0, expanded: false }],
+    edges: []
+  };
+}
+
+// Adds triples to a graph. New nodes are placed in a ring around the node
+// they're connected to, so the layout only has to tidy them up.
+export function addTriples(graph, triples) {
+  const nodes = new Map(graph.nodes.map(node => [node.id, node]));
+  const edges = new Map(graph.edges.map(edge => [edge.id, edge]));
+  const placed = new Map(); // Number of nodes placed around each node so far
+
+  const addNode = (id, term, anchorId, count) => {
+    if (nodes.has(id))
+      return;
+    const anchor = nodes.get(anchorId) || { x: 0, y: 0 };
+    const index = placed.get(anchorId) || 0;
+    placed.set(anchorId, index + 1);
+    const angle = (2 * Math.PI * index) / Math.max(count, 1);
+    nodes.set(id, {
+      id,
+      term,
+      x: anchor.x + neighbourDistance * Math.cos(angle),
+      y: anchor.y + neighbourDistance * Math.sin(angle),
+      expanded: false
+    });
+  };
+
+  // The number of neighbours to be placed around each subject, to space them evenly.
+  const counts = new Map();
+  triples.forEach(({ subject }) => {
+    const id = nodeId(subject);
+    counts.set(id, (counts.get(id) || 0) + 1);
+  });
+
+  triples.forEach(({ subject, predicate, object }) => {
+    const subjectId = nodeId(subject);
+    const objectId = nodeId(object, `${subjectId} ${predicate.value}`);
+    addNode(subjectId, subject, null, 1);
+    addNode(objectId, object, subjectId, counts.get(subjectId));
+    const id = `${subjectId} ${predicate.value} ${objectId}`;
+    if (!edges.has(id))
+      edges.set(id, { id, source: subjectId, target: objectId, predicate: predicate.value });
+  });
+
+  return { nodes: [...nodes.values()], edges: [...edges.values()] };
+}
+
+// Marks a node as expanded.
+export function markExpanded(graph, id) {
+  return { ...graph, nodes: graph.nodes.map(node => (node.id === id ? { ...node, expanded: true } : node)) };
+}
+
+// Tidies up the graph layout with a force-directed algorithm (Fruchterman-Reingold):
+// all nodes repel each other while edges pull the nodes they connect together.
+// The nodes whose ids are listed in fixed don't move.
+export function layoutGraph(graph, fixed = [], iterations = 60) {
+  const nodes = graph.nodes.map(node => ({ ...node }));
+  const index = new Map(nodes.map((node, i) => [node.id, i]));
+  let temperature = edgeLength;
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const forces = nodes.map(() => ({ x: 0, y: 0 }));
+    const push = (i, j, strength) => {
+      const dx = nodes[i].x - nodes[j].x;
+      const dy = nodes[i].y - nodes[j].y;
+      const distance = Math.max(Math.hypot(dx, dy), 0.01);
+      const force = strength(distance);
+      forces[i].x += (dx / distance) * force;
+      forces[i].y += (dy / distance) * force;
+      forces[j].x -= (dx / distance) * force;
+      forces[j].y -= (dy / distance) * force;
+    };
+
+    for (let i = 0; i < nodes.length; i++)
+      for (let j = i + 1; j < nodes.length; j++)
+        push(i, j, distance => (edgeLength * edgeLength) / distance);
+    graph.edges.forEach(edge => push(index.get(edge.source), index.get(edge.target),
+      distance => -(distance * distance) / edgeLength));
+
+    for (let i = 0; i < nodes.length; i++) {
+      if (fixed.includes(nodes[i].id))
+        continue;
+      const magnitude = Math.max(Math.hypot(forces[i].x, forces[i].y), 0.01);
+      const step = Math.min(magnitude, temperature);
+      nodes[i].x += (forces[i].x / magnitude) * step;
+      nodes[i].y += (forces[i].y / magnitude) * step;
+    }
+    temperature *= 0.95;
+  }
+
+  return { ...graph, nodes };
+}
+
+// The bounding box of the graph's nodes, with a margin around them.
+export function graphBounds(graph, margin = 60) {
+  const xs = graph.nodes.map(node => node.x);
+  const ys = graph.nodes.map(node => node.y);
+  const minX = Math.min(...xs) - margin;
+  const minY = Math.min(...ys) - margin;
+  return { x: minX, y: minY, width: Math.max(...xs) + margin - minX, height: Math.max(...ys) + margin - minY };
+}
+
+// Finds the triples of which a subject (IRI) is the subject, at most maxNeighbours of them.
+// options are those of executeSparql() (see LdfSparqlQuery.js).
+// Resolves to { triples, truncated }.
+export async function findNeighbours(queryEngine, subject, options = {}) {
+  checkSubjectIri(subject);
+  const sparql = `SELECT ?predicate ?object WHERE { <${subject}> ?predicate ?object. } LIMIT ${maxNeighbours + 1}`;
+  const { bindings } = await executeSparql(queryEngine, sparql, options);
+  const triples = bindings.slice(0, maxNeighbours).map(({ predicate, object }) => ({
+    subject: { termType: 'NamedNode', value: subject },
+    predicate,
+    object
+  }));
+  return { triples, truncated: bindings.length > maxNeighbours };
+}
@@ -0,0 +1,51 @@
+import {
+  maxNeighbours, createGraph, addTriples, markExpanded, layoutGraph, graphBounds, findNeighbours
+} from './LdfGraph';
+import { createTestEngine } from './TestFixtures';
+
+const FOAF = 'http://xmlns.com/foaf/0.1/';
+const ME = 'http://example.org/people#me';
+
+const iri = value => ({ termType: 'NamedNode', value });
+const literal = value => ({ termType: 'Literal', value, datatype: 'http://www.w3.org/2001/XMLSchema#string' });
+
+test('adds triples, sharing resource nodes but not literal nodes', () => {
+  let graph = addTriples(createGraph(ME), [
+    { subject: iri(ME), predicate: iri(FOAF + 'knows'), object: iri('http://example.org/people#you') },
+    { subject: iri(ME), predicate: iri(FOAF + 'name'), object: literal('Sam') },
+    { subject: iri('http://example.org/people#you'), predicate: iri(FOAF + 'name'), object: literal('Sam') },
+  ]);
+  graph = addTriples(graph, [{ subject: iri(ME), predicate: iri(FOAF + 'knows'), object: iri('http://example.org/people#you') }]);
+
+  expect(graph.nodes.map(node => node.term.value)).toEqual([ME, 'http://example.org/people#you', 'Sam', 'Sam']);
+  expect(graph.edges).toHaveLength(3);
+  expect(markExpanded(graph, ME).nodes[0].expanded).toBe(true);
+  expect(graph.nodes[0].expanded).toBe(false);
+});
+
+test('lays out graphs keeping fixed nodes in place', () => {
+  const triples = ['a', 'b', 'c'].map(name =>
+    ({ subject: iri(ME), predicate: iri(FOAF + 'knows'), object: iri('http://example.org/people#' + name) }));
+  const graph = layoutGraph(addTriples(createGraph(ME), triples), [ME]);
+
+  expect(graph.nodes[0]).toMatchObject({ x: 0, y: 0 });
+  graph.nodes.slice(1).forEach(node => {
+    const distance = Math.hypot(node.x, node.y);
+    expect(distance).toBeGreaterThan(30);
+    expect(distance).toBeLessThan(300);
+  });
+  const bounds = graphBounds(graph, 10);
+  expect(bounds.width).toBeGreaterThan(20);
+  expect(bounds.x).toBeLessThan(-10);
+});
+
+test('finds at most maxNeighbours neighbours of a node', async () => {
+  const turtle = `@prefix foaf: <http://xmlns.com/foaf/0.1/>.\n<#me> foaf:name "Me".\n` +
+    Array.from({ length: maxNeighbours + 5 }, (_, i) => `<#me> foaf:knows <#p${i}>.`).join('\n');
+  const { queryEngine } = await createTestEngine(turtle);
+  const { triples, truncated } = await findNeighbours(queryEngine, ME);
+
+  expect(triples).toHaveLength(maxNeighbours);
+  expect(truncated).toBe(true);
+  expect(triples[0].subject).toEqual(iri(ME));
+});
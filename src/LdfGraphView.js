@@ -0,0 +1,178 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Button } from 'react-bootstrap';
+
+import { parseJsonLdContext, compactPropertyIri } from './LdfDataPath';
+import {
+  quadsToTriples, createGraph, addTriples, markExpanded, layoutGraph, graphBounds, findNeighbours
+} from './LdfGraph';
+import { downloadText } from './ResultExport';
+
+const nodeRadius = 8;
+
+// Colours (Solarized) are given as SVG attributes rather than by CSS,
+// so a downloaded SVG looks the same.
+const nodeColors = { NamedNode: '#268bd2', BlankNode: '#6c71c4', Literal: '#859900' };
+const subjectColor = '#cb4b16';
+const edgeColor = '#839496';
+const textColor = '#93a1a1';
+
+// Longest node or edge label drawn; the full text is in the tooltip.
+const maxLabelLength = 30;
+
+const truncate = text => (text.length > maxLabelLength ? text.slice(0, maxLabelLength - 1) + '…' : text);
+
+// ------------------------------------------------------------------
+
+// Draws the subject's neighbourhood as an SVG node-link diagram (see LdfGraph.js):
+// the subject, the properties the data path follows and the nodes reached along it.
+//
+// Clicking a named node expands it, adding its neighbours one hop further.
+// Double-clicking a named node makes it the subject.
+//
+// Props:
+// - subject: The subject the data path was evaluated from.
+// - triples: The triples walked through by the query, as RDF/JS quads, or an Error.
+// - results: The query results, linked straight to the subject when the triples are unavailable.
+// - dataPath: The data path, labelling those links.
+// - context: The JSON-LD context (a string), used to name the properties.
+// - getQueryEngine: Returns the query engine to expand nodes with.
+// - onSelectSubject(iri): Makes a node the subject.
+export function LdfGraphView(props) {
+  const { subject, triples, results, dataPath, context, getQueryEngine, onSelectSubject } = props;
+
+  const [graph, setGraph] = useState(null);
+  const [normalizedContext, setNormalizedContext] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [pendingNode, setPendingNode] = useState(null);
+  const svgRef = useRef(null);
+
+  // The initial graph: the triples walked through, or else the results linked to the subject.
+  const initialGraph = () => {
+    if (!subject)
+      return null;
+    let walked;
+    if (Array.isArray(triples) && triples.length)
+      walked = quadsToTriples(triples);
+    else {
+      walked = (results || []).map(result => ({
+        subject: { termType: 'NamedNode', value: subject },
+        predicate: { termType: 'NamedNode', value: dataPath },
+        object: result
+      }));
+    }
+    return layoutGraph(markExpanded(addTriples(createGraph(subject), walked), subject), [subject]);
+  }
+
+  useEffect(() => {
+    setGraph(initialGraph());
+    setStatus(null);
+    // initialGraph purposely omitted from the dependency array.
+    // eslint-disable-next-line
+  }, [subject, triples, results]);
+
+  useEffect(() => {
+    let cancelled = false;
+    parseJsonLdContext(context)
+      .then(parsedContext => !cancelled && setNormalizedContext(parsedContext))
+      .catch(() => !cancelled && setNormalizedContext(null));
+    return () => { cancelled = true; };
+  }, [context]);
+
+  const expandNode = async node => {
+    if (node.term.termType !== 'NamedNode' || node.expanded || pendingNode)
+      return;
+    setStatus(null);
+    setPendingNode(node.id);
+    try {
+      const { triples: neighbours, truncated } = await findNeighbours(getQueryEngine(), node.id);
+      setGraph(current => layoutGraph(markExpanded(addTriples(current, neighbours), node.id), [subject]));
+      if (truncated)
+        setStatus(`Only the first ${neighbours.length} neighbours of ${node.id} are shown.`);
+      else if (!neighbours.length)
+        setStatus(`${node.id} has no properties.`);
+    }
+    catch (ex) {
+      setStatus(`Unable to expand ${node.id}: ${ex.message}`);
+    }
+    finally {
+      setPendingNode(null);
+    }
+  }
+
+  const downloadSvg = () => {
+    downloadText(new XMLSerializer().serializeToString(svgRef.current), 'flexpress-graph.svg', 'image/svg+xml');
+  }
+
+  const nodeLabel = node => {
+    switch (node.term.termType) {
+      case 'Literal':
+        return `"${node.term.value}"`;
+      case 'BlankNode':
+        return node.id;
+      default:
+        return node.term.value.replace(/^.*[#/](?=[^#/])/, '');
+    }
+  }
+
+  const predicateLabel = predicate => (predicate === dataPath ? dataPath : compactPropertyIri(predicate, normalizedContext));
+
+  if (!graph)
+    return <p className="errorTxt">No subject to draw the graph from.</p>;
+
+  const bounds = graphBounds(graph);
+  const nodesById = new Map(graph.nodes.map(node => [node.id, node]));
+
+  return (
+    <div className="graphView">
+      <div className="graphViewToolbar">
+        <span>
+          Click a node to expand it, double-click it to make it the subject.
+          {pendingNode ? ` Expanding ${pendingNode}...` : ''}
+        </span>
+        <Button size="sm" variant="link" onClick={() => setGraph(initialGraph())}>Reset</Button>
+        <Button size="sm" variant="link" onClick={() => downloadSvg()}>Download SVG</Button>
+      </div>
+      <svg ref={svgRef} xmlns="http://www.w3.org/2000/svg" className="graphViewSvg"
+        viewBox={`${bounds.x} ${bounds.y} ${bounds.width} ${bounds.height}`}
+        style={{ height: `${Math.min(Math.max(bounds.height, 200), 600)}px` }}>
+        <defs>
+          <marker id="graphArrow" viewBox="0 0 10 10" refX={10 + nodeRadius} refY="5"
+            markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+            <path d="M 0 0 L 10 5 L 0 10 z" fill={edgeColor} />
+          </marker>
+        </defs>
+        {graph.edges.map(edge => {
+          const source = nodesById.get(edge.source);
+          const target = nodesById.get(edge.target);
+          return (
+            <g key={edge.id} className="graphEdge">
+              <title>{edge.predicate}</title>
+              <line x1={source.x} y1={source.y} x2={target.x} y2={target.y} stroke={edgeColor} markerEnd="url(#graphArrow)" />
+              <text x={(source.x + target.x) / 2} y={(source.y + target.y) / 2 - 4} textAnchor="middle"
+                fill={edgeColor} fontSize="10">
+                {truncate(predicateLabel(edge.predicate))}
+              </text>
+            </g>
+          );
+        })}
+        {graph.nodes.map(node => {
+          return (
+            <g key={node.id} className={node.term.termType === 'NamedNode' ? 'graphNode graphNamedNode' : 'graphNode'}
+              onClick={() => expandNode(node)}
+              onDoubleClick={() => node.term.termType === 'NamedNode' && onSelectSubject(node.id)}>
+              <title>{node.term.value}</title>
+              <circle cx={node.x} cy={node.y} r={nodeRadius}
+                fill={node.id === subject ? subjectColor : nodeColors[node.term.termType]}
+                stroke={textColor} strokeWidth={node.expanded ? 2 : 0}
+              />
+              <text x={node.x} y={node.y + nodeRadius + 12} textAnchor="middle" fill={textColor} fontSize="11">
+                {truncate(nodeLabel(node))}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+      {status ? <p className="errorTxt">{status}</p> : null}
+    </div>
+  );
+}
@@ -0,0 +1,168 @@
+import React, { useState, useEffect } from 'react';
+import { Button, Form } from 'react-bootstrap';
+
+import {
+  mutationOperations, updateMethods, parseMutationValue, createMutation, planMutation, resolveMutation,
+  changesToSparqlUpdate, applyToStore, applyToEndpoint
+} from './LdfMutations';
+import { tokenizeSparql } from './LdfSparql';
+
+const N3 = require('n3');
+
+// e.g. 'prefixedName' tokens are styled by the sparqlPrefixedName class
+const tokenClassName = type => 'sparql' + type[0].toUpperCase() + type.slice(1);
+
+const toNTriples = triples => new N3.Writer({ format: 'N-Triples' }).quadsToString(triples).trim();
+
+// ------------------------------------------------------------------
+
+// Write mode: mutates the data path evaluated from the subject with LDflex's
+// .add(), .set(), .replace() or .delete() (see LdfMutations.js).
+//
+// Nothing is changed until the mutation has been previewed, showing the SPARQL
+// UPDATE LDflex generates and the triples it deletes and inserts, and then confirmed.
+// Local RDF is changed in its in-memory store; otherwise the changes are sent
+// to an HTTP endpoint accepting SPARQL UPDATE, by POST or PATCH.
+//
+// Props:
+// - subject: The subject the data path is evaluated from.
+// - dataPath: The LDflex data path whose values are mutated.
+// - getPathFactory: Returns a PathFactory for the current source(s) and context.
+// - getQueryEngine: Returns the query engine the changes are resolved with.
+// - localStore: The in-memory store to change, when querying local RDF; else null.
+// - defaultEndpoint: The endpoint proposed for changes, e.g. the (first) source URL.
+// - onApplied(): Called once changes have been applied, e.g. to drop stale cached data,
+//   or to show the new size of the local store.
+export function LdfMutationPanel(props) {
+  const { subject, dataPath, getPathFactory, getQueryEngine, localStore, defaultEndpoint, onApplied } = props;
+
+  const [operation, setOperation] = useState(mutationOperations[0].value);
+  const [valuesText, setValuesText] = useState('');
+  const [endpoint, setEndpoint] = useState(defaultEndpoint || '');
+  const [method, setMethod] = useState(updateMethods[0].value);
+  // plan: The previewed mutation, awaiting confirmation: { sparql, changes, update },
+  // update being the SPARQL UPDATE sent to the endpoint.
+  const [plan, setPlan] = useState(null);
+  // status: { message, error } describing the last preview or application, if noteworthy.
+  const [status, setStatus] = useState(null);
+  const [pending, setPending] = useState(false);
+
+  useEffect(() => setEndpoint(defaultEndpoint || ''), [defaultEndpoint]);
+
+  // A preview no longer describes the mutation once anything it depends on changes.
+  useEffect(() => setPlan(null), [subject, dataPath, operation, valuesText, endpoint, method, localStore]);
+
+  const preview = async () => {
+    setPlan(null);
+    setStatus(null);
+    setPending(true);
+    try {
+      if (!subject)
+        throw new Error('No subject selected.');
+      const values = valuesText.split('\n').filter(line => line.trim()).map(parseMutationValue);
+      const mutationPath = createMutation(getPathFactory(), subject, dataPath, operation, values);
+      const { sparql, expressions } = await planMutation(mutationPath);
+      const changes = await resolveMutation(expressions, getQueryEngine());
+      const update = localStore ? null : changesToSparqlUpdate(changes);
+      if (!changes.deletions.length && !changes.insertions.length)
+        setStatus({ message: 'The mutation changes nothing.', error: false });
+      else
+        setPlan({ sparql, changes, update });
+    }
+    catch (ex) {
+      setStatus({ message: 'Unable to prepare the mutation: ' + ex.message, error: true });
+    }
+    finally {
+      setPending(false);
+    }
+  }
+
+  const apply = async () => {
+    setPending(true);
+    try {
+      if (localStore)
+        applyToStore(localStore, plan.changes);
+      else
+        await applyToEndpoint(endpoint.trim(), plan.changes, method);
+      setStatus({
+        message: `Applied: ${plan.changes.deletions.length} triples deleted, ${plan.changes.insertions.length} inserted.`,
+        error: false
+      });
+      setPlan(null);
+      onApplied();
+    }
+    catch (ex) {
+      setStatus({ message: 'Unable to apply the mutation: ' + ex.message, error: true });
+    }
+    finally {
+      setPending(false);
+    }
+  }
+
+  const renderedSparql = sparql => {
+    return (
+      <pre className="sparqlText">
+        {tokenizeSparql(sparql).map((token, index) => (
+          token.type === 'text' ? token.text : <span key={index} className={tokenClassName(token.type)}>{token.text}</span>
+        ))}
+      </pre>
+    );
+  }
+
+  const renderedPlan = () => {
+    const { sparql, changes, update } = plan;
+    return (
+      <div className="mutationPlan">
+        <Form.Label>SPARQL UPDATE generated by LDflex:</Form.Label>
+        {renderedSparql(sparql)}
+        <Form.Label>
+          Changes: {changes.deletions.length} triples deleted, {changes.insertions.length} inserted
+          {localStore ? ' in the local RDF' : ` at ${endpoint.trim()}`}
+        </Form.Label>
+        <pre className="mutationChanges">
+          {changes.deletions.length ? <span className="mutationDeletions">{toNTriples(changes.deletions)}{'\n'}</span> : null}
+          {changes.insertions.length ? <span className="mutationInsertions">{toNTriples(changes.insertions)}</span> : null}
+        </pre>
+        {update ?
+          <>
+            <Form.Label>Sent by {method}:</Form.Label>
+            {renderedSparql(update)}
+          </>
+          : null
+        }
+        <Button onClick={() => apply()} disabled={pending} variant="danger">Apply</Button> &nbsp;
+        <Button onClick={() => setPlan(null)} disabled={pending} variant="secondary">Cancel</Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mutationPanel">
+      <div style={{ display: "flex", alignItems: "baseline" }}>
+        <Form.Control as="select" value={operation} onChange={event => setOperation(event.target.value)}
+          className="inputCntrl1" style={{ width: "20%" }} title="Mutation">
+          {mutationOperations.map(op => <option key={op.value} value={op.value}>{op.label}</option>)}
+        </Form.Control>
+        <span className="mutationPath" title="The data path mutated, from the subject">{dataPath}</span>
+      </div>
+      <Form.Control className="inputCntrl1 inputTextArea" as="textarea" rows={3} value={valuesText}
+        onChange={event => setValuesText(event.target.value)}
+        placeholder={'One value per line: text, "text"@lang, "text"^^<datatype> or <IRI>.\n' +
+          'Replace: the value replaced, then its replacements. Delete: none deletes all values.'}
+      />
+      {localStore ? null :
+        <div style={{ display: "flex", alignItems: "baseline" }}>
+          <Form.Label className="mutationEndpointLabel">Endpoint:</Form.Label>
+          <Form.Control className="inputCntrl1" value={endpoint} onChange={event => setEndpoint(event.target.value)} />
+          <Form.Control as="select" value={method} onChange={event => setMethod(event.target.value)}
+            className="inputCntrl1" style={{ width: "30%" }} title="Update request">
+            {updateMethods.map(um => <option key={um.value} value={um.value}>{um.label}</option>)}
+          </Form.Control>
+        </div>
+      }
+      <Button onClick={() => preview()} disabled={pending || !subject}>Preview mutation</Button>
+      {plan ? renderedPlan() : null}
+      {status ? <p className={status.error ? 'errorTxt' : 'mutationStatus'}>{status.message}</p> : null}
+    </div>
+  );
+}
@@ -0,0 +1,186 @@
+// Write mode: changing data through LDflex mutations (.add(), .set(), .replace() and .delete()).
+//
+// LDflex expresses a mutation of a path as SPARQL UPDATE, which it hands to the
+// query engine's executeUpdate(). The Comunica engine LDflex is used with here
+// doesn't support updates, and the SPARQL LDflex generates isn't always valid
+// (deleting all values yields a DELETE DATA holding a variable), so mutations are
+// applied from their mutation expressions rather than from that SPARQL:
+//
+//   1. The mutation is planned: LDflex's SPARQL (shown for confirmation) and its
+//      mutation expressions, i.e. which values of which path to delete or insert.
+//   2. The expressions are resolved against the current data into the concrete
+//      triples to delete and insert: { deletions: [quad, ...], insertions: [quad, ...] }.
+//      Deletions are resolved before anything is changed, so .set() deletes the old values only.
+//   3. The changes are applied to a writable in-memory store, or sent to an HTTP
+//      endpoint as a SPARQL UPDATE of DELETE DATA and INSERT DATA operations.
+
+import { executeSparql } from './LdfSparqlQuery';
+import { sourceFetch } from './SourceFetch';
+
+const { SparqlHandler } = require('ldflex');
+const { namedNode, literal, quad } = require('@rdfjs/data-model');
+const N3 = require('n3');
+
+export const mutationOperations = [
+  { label: "Add", value: "add" },
+  { label: "Set", value: "set" },
+  { label: "Replace", value: "replace" },
+  { label: "Delete", value: "delete" },
+];
+
+// How changes are sent to an HTTP endpoint: a SPARQL 1.1 Protocol update request (POST),
+// or a PATCH of the document, as accepted by Solid servers. Both use a SPARQL UPDATE body.
+export const updateMethods = [
+  { label: "SPARQL UPDATE (POST)", value: "POST" },
+  { label: "PATCH", value: "PATCH" },
+];
+
+const sparqlUpdateMediaType = 'application/sparql-update';
+
+// ------------------------------------------------------------------
+
+// Parses a value entered for a mutation: <IRI>, "text"@lang, "text"^^<datatype>,
+// or anything else as a plain string literal.
+export function parseMutationValue(text) {
+  const trimmed = text.trim();
+  let match;
+  if ((match = /^<([^<>"{}|\\^`\s]*)>$/.exec(trimmed)))
+    return namedNode(match[1]);
+  if ((match = /^"(.*)"@([a-zA-Z]+(?:-[a-zA-Z0-9]+)*)$/.exec(trimmed)))
+    return literal(match[1], match[2]);
+  if ((match = /^"(.*)"\^\^<([^<>"{}|\\^`\s]*)>$/.exec(trimmed)))
+    return literal(match[1], namedNode(match[2]));
+  if ((match = /^"(.*)"$/.exec(trimmed)))
+    return literal(match[1]);
+  return literal(trimmed);
+}
+
+// Creates the LDflex path mutating the data path evaluated from the subject (an IRI).
+// values are RDF/JS terms: for 'replace', the value replaced followed by its replacements;
+// for 'delete', none means all values.
+export function createMutation(pathFactory, subject, dataPath, operation, values) {
+  const path = pathFactory.create({ subject: namedNode(subject) }).resolve(dataPath);
+  switch (operation) {
+    case 'add':
+    case 'set':
+      if (!values.length)
+        throw new Error(`Give the value(s) to ${operation}.`);
+      return path[operation](...values);
+    case 'replace':
+      if (values.length < 2)
+        throw new Error('Give the value to replace, followed by its replacement(s).');
+      return path.replace(...values);
+    case 'delete':
+      return path.delete(...values);
+    default:
+      throw new Error(`Unknown mutation: ${operation}`);
+  }
+}
+
+// Resolves to the plan of a mutation path: { sparql, expressions },
+// sparql being the SPARQL UPDATE LDflex generates.
+export async function planMutation(mutationPath) {
+  const expressions = await mutationPath.mutationExpressions;
+  if (!Array.isArray(expressions))
+    throw new Error('The data path can\'t be mutated.');
+  const sparql = await mutationPath.sparql;
+  return { sparql, expressions: expressions.filter(expression => expression.mutationType) };
+}
+
+// Resolves the mutation expressions of a plan into the triples to delete and insert,
+// querying the current data with the query engine.
+// Resolves to { deletions, insertions }.
+export async function resolveMutation(expressions, queryEngine) {
+  const changes = { deletions: [], insertions: [] };
+  const sparqlHandler = new SparqlHandler();
+
+  for (const { mutationType, conditions, predicateObjects } of expressions) {
+    const targets = await findTargets(sparqlHandler, conditions, queryEngine);
+    for (const target of targets) {
+      for (const { predicate, reverse, objects } of predicateObjects) {
+        const values = objects ? objects : await findValues(sparqlHandler, target, predicate, reverse, queryEngine);
+        values.forEach(value => {
+          const triple = reverse ? quad(value, predicate, target) : quad(target, predicate, value);
+          (mutationType === 'DELETE' ? changes.deletions : changes.insertions).push(triple);
+        });
+      }
+    }
+  }
+  return changes;
+}
+
+// The nodes whose values are mutated: the subject, or the nodes the path leads to.
+async function findTargets(sparqlHandler, conditions, queryEngine) {
+  let targets = [conditions[0].subject];
+  if (conditions.length > 1) {
+    const { queryVar, clauses } = sparqlHandler.expressionToTriplePatterns(conditions, '?target');
+    const sparql = `SELECT DISTINCT ${queryVar} WHERE {\n  ${clauses.join('\n  ')}\n}`;
+    const { bindings } = await executeSparql(queryEngine, sparql);
+    targets = bindings.map(row => row[queryVar.slice(1)]).map(termFromResult);
+  }
+  const blankNode = targets.find(target => target.termType !== 'NamedNode');
+  if (blankNode)
+    throw new Error(`The data path leads to a blank node (${blankNode.value}), which can't be mutated.`);
+  return targets;
+}
+
+// All the values of a node's property, for deleting them.
+async function findValues(sparqlHandler, target, predicate, reverse, queryEngine) {
+  const node = sparqlHandler.termToString(target);
+  const property = sparqlHandler.termToString(predicate);
+  const sparql = reverse ?
+    `SELECT ?value WHERE { ?value ${property} ${node}. }` :
+    `SELECT ?value WHERE { ${node} ${property} ?value. }`;
+  const { bindings } = await executeSparql(queryEngine, sparql);
+  return bindings.map(row => termFromResult(row.value));
+}
+
+// Converts a result object (see LdfResults.js) back into an RDF/JS term.
+function termFromResult(result) {
+  switch (result.termType) {
+    case 'NamedNode':
+      return namedNode(result.value);
+    case 'Literal':
+      return literal(result.value, result.language ? result.language : namedNode(result.datatype));
+    default:
+      return N3.DataFactory.blankNode(result.value);
+  }
+}
+
+const toNTriples = triples => new N3.Writer({ format: 'N-Triples' }).quadsToString(triples).trim();
+
+// Describes changes as a SPARQL UPDATE of DELETE DATA and INSERT DATA operations.
+// Throws if the changes involve blank nodes, which such operations can't match.
+export function changesToSparqlUpdate({ deletions, insertions }) {
+  const withBlankNode = [...deletions, ...insertions].find(triple =>
+    triple.subject.termType === 'BlankNode' || triple.object.termType === 'BlankNode');
+  if (withBlankNode)
+    throw new Error(`Triples holding blank nodes can't be sent as SPARQL UPDATE: ${toNTriples([withBlankNode])}`);
+
+  const dataBlock = triples => toNTriples(triples).split('\n').map(line => '  ' + line).join('\n');
+  const operations = [];
+  if (deletions.length)
+    operations.push(`DELETE DATA {\n${dataBlock(deletions)}\n}`);
+  if (insertions.length)
+    operations.push(`INSERT DATA {\n${dataBlock(insertions)}\n}`);
+  return operations.join(';\n');
+}
+
+// Applies changes to a (writable) RDF/JS store, deletions first.
+export function applyToStore(store, { deletions, insertions }) {
+  store.removeQuads(deletions);
+  store.addQuads(insertions);
+}
+
+// Sends changes to an HTTP endpoint as a SPARQL UPDATE, using one of updateMethods.
+// The request is sent with fetchUrl, by default as queries fetch their sources (see SourceFetch.js):
+// authenticated as the logged-in Solid user, with the source's connection settings.
+// Rejects if the endpoint doesn't accept them.
+export async function applyToEndpoint(url, changes, method = 'POST', fetchUrl = sourceFetch) {
+  const body = changesToSparqlUpdate(changes);
+  if (!body)
+    return;
+  const response = await fetchUrl(url, { method, headers: { 'Content-Type': sparqlUpdateMediaType }, body });
+  if (!response.ok)
+    throw new Error(`${url} refused the update: ${response.status} ${response.statusText}`);
+}
@@ -0,0 +1,88 @@
+import {
+  parseMutationValue, createMutation, planMutation, resolveMutation, changesToSparqlUpdate, applyToStore, applyToEndpoint
+} from './LdfMutations';
+import { createStoreEngine, createTestEngine } from './TestFixtures';
+
+const { PathFactory } = require('ldflex');
+const { DataFactory } = require('n3');
+
+const ME = 'http://example.org/people#me';
+const context = { '@vocab': 'http://xmlns.com/foaf/0.1/', knows: { '@id': 'http://xmlns.com/foaf/0.1/knows', '@type': '@id' } };
+
+const turtle = `
+@prefix foaf: <http://xmlns.com/foaf/0.1/>.
+<#me> foaf:name "Me", "Myself"; foaf:knows <#you>, <#them>.
+<#you> foaf:nick "you1".
+<#them> foaf:nick "them1".
+`;
+
+// Plans, resolves and applies a mutation to an in-memory store.
+const mutate = async (store, dataPath, operation, values) => {
+  const queryEngine = createStoreEngine(store);
+  const mutationPath = createMutation(new PathFactory({ context, queryEngine }), ME, dataPath, operation,
+    values.map(parseMutationValue));
+  const { sparql, expressions } = await planMutation(mutationPath);
+  const changes = await resolveMutation(expressions, queryEngine);
+  applyToStore(store, changes);
+  return { sparql, changes };
+}
+
+const objects = (store, subject, property) =>
+  store.getQuads(subject, 'http://xmlns.com/foaf/0.1/' + property, null, null).map(triple => triple.object.value).sort();
+
+test('parses mutation values', () => {
+  expect(parseMutationValue(' <http://a.example/> ')).toMatchObject({ termType: 'NamedNode', value: 'http://a.example/' });
+  expect(parseMutationValue('"Moi"@fr')).toMatchObject({ termType: 'Literal', value: 'Moi', language: 'fr' });
+  expect(parseMutationValue('"42"^^<http://www.w3.org/2001/XMLSchema#integer>').datatype.value)
+    .toBe('http://www.w3.org/2001/XMLSchema#integer');
+  expect(parseMutationValue('plain text')).toMatchObject({ termType: 'Literal', value: 'plain text' });
+});
+
+test('adds, sets, replaces and deletes values in a store', async () => {
+  const { store } = await createTestEngine(turtle);
+
+  const { sparql } = await mutate(store, '.name', 'add', ['Moi']);
+  expect(sparql).toMatch(/^INSERT DATA/);
+  expect(objects(store, ME, 'name')).toEqual(['Me', 'Moi', 'Myself']);
+
+  await mutate(store, '.name', 'set', ['Sam']);
+  expect(objects(store, ME, 'name')).toEqual(['Sam']);
+
+  await mutate(store, '.name', 'replace', ['Sam', 'Samuel']);
+  expect(objects(store, ME, 'name')).toEqual(['Samuel']);
+
+  // Through the path, the nicks of everyone known are deleted.
+  const { changes } = await mutate(store, '.knows.nick', 'delete', []);
+  expect(changes.deletions).toHaveLength(2);
+  expect(objects(store, 'http://example.org/people#you', 'nick')).toEqual([]);
+  expect(objects(store, 'http://example.org/people#them', 'nick')).toEqual([]);
+});
+
+test('sends changes to an endpoint as a SPARQL UPDATE', async () => {
+  const { queryEngine } = await createTestEngine(turtle);
+  const mutationPath = createMutation(new PathFactory({ context, queryEngine }), ME, '.name', 'set', [parseMutationValue('Sam')]);
+  const changes = await resolveMutation((await planMutation(mutationPath)).expressions, queryEngine);
+
+  expect(changesToSparqlUpdate(changes)).toBe(
+    'DELETE DATA {\n' +
+    '  <http://example.org/people#me> <http://xmlns.com/foaf/0.1/name> "Me" .\n' +
+    '  <http://example.org/people#me> <http://xmlns.com/foaf/0.1/name> "Myself" .\n' +
+    '};\nINSERT DATA {\n' +
+    '  <http://example.org/people#me> <http://xmlns.com/foaf/0.1/name> "Sam" .\n' +
+    '}');
+
+  // The triple holding a blank node is named, whichever its position.
+  const blankSubject = DataFactory.quad(DataFactory.blankNode('b0'), DataFactory.namedNode('http://xmlns.com/foaf/0.1/name'),
+    DataFactory.literal('Anon'));
+  expect(() => changesToSparqlUpdate({ deletions: [], insertions: [blankSubject] }))
+    .toThrow('Triples holding blank nodes can\'t be sent as SPARQL UPDATE: _:b0 <http://xmlns.com/foaf/0.1/name> "Anon" .');
+
+  const fetchUrl = jest.fn()
+    .mockResolvedValueOnce({ ok: true, status: 204 })
+    .mockResolvedValueOnce({ ok: false, status: 403, statusText: 'Forbidden' });
+  await applyToEndpoint('http://localhost:3000/profile', changes, 'PATCH', fetchUrl);
+  expect(fetchUrl).toHaveBeenCalledWith('http://localhost:3000/profile', expect.objectContaining({
+    method: 'PATCH', headers: { 'Content-Type': 'application/sparql-update' }
+  }));
+  await expect(applyToEndpoint('http://localhost:3000/profile', changes, 'POST', fetchUrl)).rejects.toThrow('403 Forbidden');
+});
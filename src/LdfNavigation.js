@@ -0,0 +1,83 @@
+// Follow-your-nose navigation: following an IRI found in the results makes it the subject.
+//
+// Linked data puts a subject's description in the document its IRI, less any
+// fragment, dereferences to. An IRI living in a document other than the ones
+// queried is followed by querying that document instead.
+//
+// IRIs are shown alongside their label, where the sources queried give one.
+
+import { labelProperties } from './LdfSubjects';
+import { executeSparql } from './LdfSparqlQuery';
+import { checkSubjectIri } from './LdfProperties';
+
+// Most IRIs labelled by a single query
+export const maxLabelledIris = 500;
+
+// ------------------------------------------------------------------
+
+// The URL of the document describing an IRI: the IRI less any fragment.
+export function documentOf(iri) {
+  return iri.replace(/#.*$/, '');
+}
+
+// The sources to query after following an IRI: the current sources if one of them
+// is the IRI's document, else the IRI's document alone, as a source of the given type.
+export function navigationSources(iri, sources, sourceType) {
+  const document = documentOf(iri);
+  if (sources.some(source => documentOf(source.url.trim()) === document))
+    return sources;
+  return [{ url: document, type: sourceType }];
+}
+
+// The distinct IRIs among result objects (see LdfResults.js),
+// or among the result objects of SPARQL solutions (see LdfSparqlQuery.js).
+export function resultIris(results) {
+  const iris = new Set();
+  (results || []).forEach(result => {
+    const terms = result && result.termType ? [result] : Object.values(result || {});
+    terms.forEach(term => {
+      if (term && term.termType === 'NamedNode')
+        iris.add(term.value);
+    });
+  });
+  return [...iris];
+}
+
+// Finds the labels of IRIs in the sources queried by the query engine, each IRI's label
+// being the value of its most preferred label property (see LdfSubjects.js).
+// Only the first maxLabelledIris IRIs which can be written into a SPARQL query are labelled.
+// options are those of executeSparql() (see LdfSparqlQuery.js).
+// Resolves to a Map from IRI to label.
+export async function findLabels(queryEngine, iris, options = {}) {
+  const labelled = iris.filter(iri => {
+    try {
+      checkSubjectIri(iri);
+      return true;
+    }
+    catch (ex) {
+      return false;
+    }
+  }).slice(0, maxLabelledIris);
+  if (!labelled.length)
+    return new Map();
+
+  const sparql = `SELECT ?subject ?property ?label WHERE {
+  VALUES ?subject { ${labelled.map(iri => `<${iri}>`).join(' ')} }
+  VALUES ?property { ${labelProperties.map(iri => `<${iri}>`).join(' ')} }
+  ?subject ?property ?label.
+}`;
+  const { bindings } = await executeSparql(queryEngine, sparql, options);
+
+  const labels = new Map();
+  const ranks = new Map();
+  bindings.forEach(({ subject, property, label }) => {
+    if (!subject || !property || !label || label.termType !== 'Literal')
+      return;
+    const rank = labelProperties.indexOf(property.value);
+    if (!ranks.has(subject.value) || rank < ranks.get(subject.value)) {
+      ranks.set(subject.value, rank);
+      labels.set(subject.value, label.value);
+    }
+  });
+  return labels;
+}
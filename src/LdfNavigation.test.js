@@ -0,0 +1,39 @@
+import { documentOf, navigationSources, resultIris, findLabels } from './LdfNavigation';
+import { createTestEngine } from './TestFixtures';
+
+const iri = value => ({ termType: 'NamedNode', value });
+const literal = value => ({ termType: 'Literal', value, datatype: 'http://www.w3.org/2001/XMLSchema#string' });
+
+test('follows IRIs within the current sources or into their own document', () => {
+  const sources = [{ url: 'https://example.org/profile ', type: 'file' }, { url: 'https://example.org/other', type: 'sparql' }];
+
+  expect(documentOf('https://example.org/profile#me')).toBe('https://example.org/profile');
+  expect(navigationSources('https://example.org/profile#you', sources, 'file')).toBe(sources);
+  expect(navigationSources('https://elsewhere.example/card#i', sources, 'file'))
+    .toEqual([{ url: 'https://elsewhere.example/card', type: 'file' }]);
+});
+
+test('collects the distinct IRIs of results and of SPARQL solutions', () => {
+  expect(resultIris([iri('http://a.example/'), literal('http://b.example/'), iri('http://a.example/')]))
+    .toEqual(['http://a.example/']);
+  expect(resultIris([{ s: iri('http://a.example/'), o: iri('http://c.example/') }, { s: literal('x') }]))
+    .toEqual(['http://a.example/', 'http://c.example/']);
+});
+
+test('finds the preferred label of each IRI', async () => {
+  const turtle = `
+@prefix foaf: <http://xmlns.com/foaf/0.1/>.
+@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#>.
+<#me> foaf:name "Me"; rdfs:label "Myself".
+<#you> foaf:name "You".
+<#it> foaf:knows <#me>.
+`;
+  const { queryEngine } = await createTestEngine(turtle);
+  const labels = await findLabels(queryEngine,
+    ['http://example.org/people#me', 'http://example.org/people#you', 'http://example.org/people#it', 'bad iri']);
+
+  expect([...labels.entries()].sort()).toEqual([
+    ['http://example.org/people#me', 'Myself'],
+    ['http://example.org/people#you', 'You']
+  ]);
+});
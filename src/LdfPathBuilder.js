@@ -0,0 +1,168 @@
+import React, { useState, useEffect } from 'react';
+import { Breadcrumb, Button } from 'react-bootstrap';
+
+import { parseJsonLdContext, compactPropertyIri } from './LdfDataPath';
+import { explainFailure } from './SourceConnections';
+import { startRequestLog } from './SourceFetch';
+
+const { PathFactory } = require('ldflex');
+const { namedNode } = require('@rdfjs/data-model');
+
+// Maximum number of sample values displayed for the current node
+const maxSampleValues = 5;
+
+// ------------------------------------------------------------------
+
+// An interactive, breadcrumb-style data path builder.
+//
+// Starting from the current subject, the properties of the current node are listed.
+// Selecting a property descends to the objects it points to, whose properties are
+// listed in turn, and so on until a multi-step path has been built.
+// Selecting a breadcrumb returns to that step of the path.
+//
+// Props:
+// - subject: The subject URI the path starts from.
+// - steps: The property IRIs making up the path so far.
+// - onChange: Callback receiving the new list of property IRIs.
+// - context: The JSON-LD context (a string), used to display compact property names.
+// - getQueryEngine: Returns the query engine to explore the source with.
+export function LdfPathBuilder(props) {
+  const { subject, steps, onChange, context, getQueryEngine } = props;
+
+  const [explored, setExplored] = useState(false);
+  const [nodeProperties, setNodeProperties] = useState([]);
+  const [nodeValues, setNodeValues] = useState([]);
+  const [normalizedContext, setNormalizedContext] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [pending, setPending] = useState(false);
+
+  // Start afresh whenever the subject changes.
+  useEffect(() => {
+    setExplored(false);
+    setNodeProperties([]);
+    setNodeValues([]);
+    setStatus(null);
+  }, [subject]);
+
+  useEffect(() => {
+    let cancelled = false;
+    parseJsonLdContext(context)
+      .then(parsedContext => !cancelled && setNormalizedContext(parsedContext))
+      .catch(() => !cancelled && setNormalizedContext(null));
+    return () => { cancelled = true; };
+  }, [context]);
+
+  // (Re)explore the node at the end of the path whenever the path changes.
+  useEffect(() => {
+    if (!explored || !subject)
+      return;
+
+    let cancelled = false;
+
+    const exploreNode = async () => {
+      setStatus(null);
+      setPending(true);
+      const requestLog = startRequestLog();
+      try {
+        const queryEngine = getQueryEngine();
+
+        // Property IRIs are resolved as-is, so an empty context suffices.
+        const pathFactory = new PathFactory({ context: {}, queryEngine });
+        let nodePath = pathFactory.create({ subject: namedNode(subject) });
+        for (const step of steps)
+          nodePath = nodePath[step];
+
+        const values = [];
+        if (steps.length) {
+          for await (const value of nodePath) {
+            if (cancelled)
+              return;
+            values.push(value.toString());
+            if (values.length >= maxSampleValues)
+              break;
+          }
+        }
+
+        const properties = [];
+        for await (const property of nodePath.predicates) {
+          if (cancelled)
+            return;
+          properties.push(property.toString());
+        }
+
+        if (!cancelled) {
+          setNodeValues(values);
+          setNodeProperties(properties.sort());
+        }
+      }
+      catch (ex) {
+        if (!cancelled) {
+          // A failed request, e.g. one blocked by CORS, explains the failure better (see SourceConnections.js).
+          const explanation = explainFailure(ex, requestLog.requests);
+          setStatus(explanation ? explanation.message : ex.message);
+          setNodeProperties([]);
+          setNodeValues([]);
+        }
+      }
+      finally {
+        requestLog.stop();
+        if (!cancelled)
+          setPending(false);
+      }
+    };
+
+    exploreNode();
+    return () => { cancelled = true; };
+    // getQueryEngine purposely omitted from the dependency array.
+    // eslint-disable-next-line
+  }, [explored, subject, steps]);
+
+  const propertyName = iri => compactPropertyIri(iri, normalizedContext);
+
+  if (!explored) {
+    return (
+      <div className="pathBuilder">
+        <Button size="sm" onClick={() => setExplored(true)} disabled={!subject}>Build path from subject</Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="pathBuilder">
+      <Breadcrumb className="pathBuilderBreadcrumb">
+        <Breadcrumb.Item active={!steps.length} onClick={() => onChange([])} title={subject}>
+          {subject}
+        </Breadcrumb.Item>
+        {steps.map((step, index) => (
+          <Breadcrumb.Item key={index} active={index === steps.length - 1}
+            onClick={() => onChange(steps.slice(0, index + 1))} title={step}>
+            {propertyName(step)}
+          </Breadcrumb.Item>
+        ))}
+      </Breadcrumb>
+
+      {nodeValues.length ?
+        <div className="pathBuilderValues">
+          {nodeValues.join(', ')}{nodeValues.length >= maxSampleValues ? ', ...' : ''}
+        </div>
+        : null
+      }
+
+      <div className="pathBuilderProperties">
+        {pending ? <span>Exploring...</span> : null}
+        {!pending && !status && !nodeProperties.length ?
+          <span>{steps.length ? 'The path ends here: no further properties.' : 'The subject has no properties.'}</span>
+          : null
+        }
+        {!pending && nodeProperties.map(property => (
+          <Button key={property} size="sm" variant="outline-info" title={property}
+            onClick={() => onChange([...steps, property])}>
+            {propertyName(property)}
+          </Button>
+        ))}
+      </div>
+
+      {status ? <p className="errorTxt">{status}</p> : null}
+    </div>
+  );
+}
@@ -0,0 +1,181 @@
+import React, { useState } from 'react';
+import { Button, Form, Table } from 'react-bootstrap';
+
+import { logLevels, profileStatistics, summarizeProfile, compareProfiles } from './QueryProfiler';
+
+// e.g. 1235 ms, 12.3 kB
+const formatValue = (value, unit) => {
+  if (value === null || value === undefined)
+    return '-';
+  if (unit === 'ms')
+    return `${Math.round(value)} ms`;
+  if (unit === 'B')
+    return value < 1024 ? `${value} B` : `${(value / 1024).toFixed(1)} kB`;
+  return String(value);
+};
+
+const formatDifference = (value, unit) => {
+  if (value === null)
+    return '-';
+  return (value > 0 ? '+' : '') + formatValue(value, unit);
+};
+
+const describeProfile = profile =>
+  `#${profile.id} ${profile.kind}: ${profile.label} (${formatValue(profile.duration, 'ms')})`;
+
+// ------------------------------------------------------------------
+
+// Shows the profiles of the last runs of queries and listings (see QueryProfiler.js):
+// the timing of their phases, the HTTP requests made for them, their number of results
+// and Comunica's log output, and compares two of them.
+//
+// Props:
+// - profiles: The profiles of the runs, newest first.
+// - logLevel: The least severe level of the Comunica log entries recorded by the next runs.
+// - onLogLevelChange(logLevel): Changes the log level.
+// - onClear(): Discards the profiles.
+export function LdfProfilePanel(props) {
+  const { profiles, logLevel, onLogLevelChange, onClear } = props;
+
+  // The ids of the run shown and of the run it's compared with, if any.
+  // Until a run is chosen, the newest one is shown.
+  const [shownId, setShownId] = useState(null);
+  const [comparedId, setComparedId] = useState(null);
+
+  const findProfile = id => profiles.find(profile => profile.id === id);
+  const shown = findProfile(shownId) || profiles[0];
+  const compared = findProfile(comparedId);
+
+  const renderedSummary = profile => {
+    const summary = summarizeProfile(profile);
+    return (
+      <Table className="profileTable" size="sm" bordered>
+        <tbody>
+          {profileStatistics.map(({ label, key, unit }) =>
+            <tr key={key}><th>{label}</th><td>{formatValue(summary[key], unit)}</td></tr>
+          )}
+        </tbody>
+      </Table>
+    );
+  }
+
+  const renderedPhases = profile => {
+    return (
+      <Table className="profileTable" size="sm" bordered>
+        <thead>
+          <tr><th>Phase</th><th>Start</th><th>Duration</th></tr>
+        </thead>
+        <tbody>
+          {profile.phases.map((phase, index) =>
+            <tr key={index}>
+              <td>{phase.name}</td>
+              <td>{formatValue(phase.start, 'ms')}</td>
+              <td>{formatValue(phase.end - phase.start, 'ms')}</td>
+            </tr>
+          )}
+        </tbody>
+      </Table>
+    );
+  }
+
+  const renderedRequests = profile => {
+    if (!profile.requests.length)
+      return <p className="profileHint">No HTTP requests were made, e.g. the sources were cached or local.</p>;
+    return (
+      <div className="profileRequests">
+        <Table className="profileTable" size="sm" bordered>
+          <thead>
+            <tr><th>Method</th><th>URL</th><th>Status</th><th>Content type</th><th>Bytes</th><th>Start</th><th>Duration</th></tr>
+          </thead>
+          <tbody>
+            {profile.requests.map((request, index) =>
+              <tr key={index} className={request.error || request.status >= 400 ? 'profileFailed' : null}>
+                <td>{request.method}</td>
+                <td className="profileUrl">{request.url}</td>
+                <td title={request.error ? request.error : null}>{request.status !== null ? request.status : request.error}</td>
+                <td>{request.contentType ? request.contentType : '-'}</td>
+                <td>{formatValue(request.bytes, 'B')}</td>
+                <td>{formatValue(request.startTime, 'ms')}</td>
+                <td>{formatValue(request.endTime - request.startTime, 'ms')}</td>
+              </tr>
+            )}
+          </tbody>
+        </Table>
+      </div>
+    );
+  }
+
+  const renderedLog = profile => {
+    if (!profile.log.length)
+      return <p className="profileHint">Nothing was logged at level {profile.logLevel} or above.</p>;
+    const lines = profile.log.map(entry =>
+      `${formatValue(entry.time, 'ms')} ${entry.level.toUpperCase()} ${entry.actor ? `[${entry.actor}] ` : ''}${entry.message}`);
+    return <pre className="profileLog">{lines.join('\n')}</pre>;
+  }
+
+  const renderedComparison = (a, b) => {
+    return (
+      <Table className="profileTable" size="sm" bordered>
+        <thead>
+          <tr><th /><th>#{a.id}</th><th>#{b.id}</th><th>Difference</th></tr>
+        </thead>
+        <tbody>
+          {compareProfiles(a, b).map(row =>
+            <tr key={row.label}>
+              <th>{row.label}</th>
+              <td>{formatValue(row.a, row.unit)}</td>
+              <td>{formatValue(row.b, row.unit)}</td>
+              <td>{formatDifference(row.difference, row.unit)}</td>
+            </tr>
+          )}
+        </tbody>
+      </Table>
+    );
+  }
+
+  return (
+    <div className="profilePanel">
+      <div style={{ display: "flex", alignItems: "center" }}>
+        <Form.Label className="profileLabel">Comunica log level:</Form.Label>
+        <Form.Control as="select" size="sm" value={logLevel} onChange={e => onLogLevelChange(e.target.value)}
+          style={{ width: "auto" }}>
+          {logLevels.map(level => <option key={level} value={level}>{level}</option>)}
+        </Form.Control>
+        <span>&nbsp;</span>
+        <Button size="sm" variant="secondary" onClick={onClear} disabled={!profiles.length}>Clear</Button>
+      </div>
+
+      {!shown ?
+        <p className="profileHint">
+          Runs of queries and of subjects or properties listings are profiled while this panel is open.
+        </p>
+        :
+        <>
+          <div style={{ display: "flex", alignItems: "center" }}>
+            <Form.Label className="profileLabel">Run:</Form.Label>
+            <Form.Control as="select" size="sm" value={shown.id} onChange={e => setShownId(Number(e.target.value))}>
+              {profiles.map(profile => <option key={profile.id} value={profile.id}>{describeProfile(profile)}</option>)}
+            </Form.Control>
+          </div>
+          {shown.error ? <p className="profileFailed">{shown.error}</p> : null}
+          {renderedSummary(shown)}
+          {renderedPhases(shown)}
+          {renderedRequests(shown)}
+          {renderedLog(shown)}
+
+          <div style={{ display: "flex", alignItems: "center" }}>
+            <Form.Label className="profileLabel">Compare with:</Form.Label>
+            <Form.Control as="select" size="sm" value={compared ? compared.id : ''}
+              onChange={e => setComparedId(e.target.value ? Number(e.target.value) : null)}>
+              <option value="">No other run</option>
+              {profiles.filter(profile => profile.id !== shown.id).map(profile =>
+                <option key={profile.id} value={profile.id}>{describeProfile(profile)}</option>
+              )}
+            </Form.Control>
+          </div>
+          {compared && compared.id !== shown.id ? renderedComparison(shown, compared) : null}
+        </>
+      }
+    </div>
+  );
+}
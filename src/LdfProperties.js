@@ -0,0 +1,60 @@
+// The properties of a subject, with the number of values each has and sample values.
+//
+// LDflex's .properties lists the predicates of the subject's whole document, so
+// properties are found by a SPARQL query matching only the subject's own triples:
+// its outgoing properties (the subject being the triple subject) or its incoming
+// properties (the subject being the triple object). Each property is held as:
+//
+//   { iri, direction, count, samples: [result, ...] }
+//
+// samples being the first few values, as result objects (see LdfResults.js).
+// For an incoming property, the values are the subjects pointing at the subject.
+
+import { executeSparql } from './LdfSparqlQuery';
+
+export const PROPERTY_OUT = 'out';
+export const PROPERTY_IN = 'in';
+
+// Number of sample values kept for each property
+export const maxSampleValues = 3;
+
+const propertiesSparql = (subject, direction) => (direction === PROPERTY_IN ?
+  `SELECT DISTINCT ?property ?value WHERE { ?value ?property <${subject}>. }` :
+  `SELECT DISTINCT ?property ?value WHERE { <${subject}> ?property ?value. }`);
+
+// ------------------------------------------------------------------
+
+// Throws if a subject can't be written into a SPARQL query as an IRI.
+export function checkSubjectIri(subject) {
+  if (!subject || /[<>"{}|\\^`\s]/.test(subject))
+    throw new Error(`Invalid subject IRI: ${subject}`);
+}
+
+// Finds the outgoing (PROPERTY_OUT) or incoming (PROPERTY_IN) properties of a subject (IRI)
+// in the sources queried by the query engine.
+// options are those of executeSparql() (see LdfSparqlQuery.js), the result limit
+// applying to the property values rather than to the properties.
+// Resolves to { properties, stopReason }, properties being sorted by IRI.
+export async function findSubjectProperties(queryEngine, subject, direction = PROPERTY_OUT, options = {}) {
+  checkSubjectIri(subject);
+  const { bindings, stopReason } = await executeSparql(queryEngine, propertiesSparql(subject, direction), options);
+  return { properties: aggregateProperties(bindings, direction), stopReason };
+}
+
+// Merges the solutions of the properties query into one description per property.
+export function aggregateProperties(bindings, direction = PROPERTY_OUT) {
+  const properties = new Map();
+  bindings.forEach(({ property, value }) => {
+    if (!property)
+      return;
+    let entry = properties.get(property.value);
+    if (!entry) {
+      entry = { iri: property.value, direction, count: 0, samples: [] };
+      properties.set(property.value, entry);
+    }
+    entry.count++;
+    if (value && entry.samples.length < maxSampleValues)
+      entry.samples.push(value);
+  });
+  return [...properties.values()].sort((a, b) => a.iri.localeCompare(b.iri));
+}
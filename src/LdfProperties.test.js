@@ -0,0 +1,35 @@
+import { PROPERTY_OUT, PROPERTY_IN, maxSampleValues, findSubjectProperties } from './LdfProperties';
+import { createTestEngine } from './TestFixtures';
+
+const FOAF = 'http://xmlns.com/foaf/0.1/';
+
+const turtle = `
+@prefix foaf: <http://xmlns.com/foaf/0.1/>.
+<#me> foaf:name "Me"; foaf:knows <#a>, <#b>, <#c>, <#d>.
+<#a> foaf:name "A"; foaf:knows <#me>.
+<#b> foaf:knows <#me>.
+`;
+
+const createEngine = async () => (await createTestEngine(turtle)).queryEngine;
+
+test('lists only the outgoing properties of the subject', async () => {
+  const { properties, stopReason } = await findSubjectProperties(await createEngine(), 'http://example.org/people#me');
+  expect(stopReason).toBe(null);
+  expect(properties.map(({ iri, direction, count, samples }) => [iri, direction, count, samples.length])).toEqual([
+    [FOAF + 'knows', PROPERTY_OUT, 4, maxSampleValues],
+    [FOAF + 'name', PROPERTY_OUT, 1, 1],
+  ]);
+  expect(properties[1].samples[0].value).toBe('Me');
+});
+
+test('lists the incoming properties of the subject', async () => {
+  const { properties } = await findSubjectProperties(await createEngine(), 'http://example.org/people#me', PROPERTY_IN);
+  expect(properties).toHaveLength(1);
+  expect(properties[0]).toMatchObject({ iri: FOAF + 'knows', direction: PROPERTY_IN, count: 2 });
+  expect(properties[0].samples.map(sample => sample.value).sort())
+    .toEqual(['http://example.org/people#a', 'http://example.org/people#b']);
+});
+
+test('rejects subjects which are not IRIs', async () => {
+  await expect(findSubjectProperties(await createEngine(), 'http://example.org/> ?p ?o')).rejects.toThrow('Invalid subject IRI');
+});
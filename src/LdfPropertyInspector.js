@@ -0,0 +1,209 @@
+import React, { useState, useEffect } from 'react';
+import { Button, Form, Table } from 'react-bootstrap';
+
+import { parseJsonLdContext, compactPropertyIri, compactReversePropertyIri, formatPathSegment } from './LdfDataPath';
+import { PROPERTY_OUT, PROPERTY_IN, findSubjectProperties } from './LdfProperties';
+import { describeStopReason } from './QueryStream';
+import { startProfile } from './QueryProfiler';
+import { explainFailure } from './SourceConnections';
+
+// ------------------------------------------------------------------
+
+// Lists the properties of the selected subject (see LdfProperties.js): the number
+// of values each has, sample values and the name it has under the JSON-LD context.
+//
+// Outgoing properties are listed by default. Incoming properties, i.e. those of
+// other subjects pointing at the selected subject, can be listed instead. An incoming
+// property can only be run as a data path if the context defines a reverse term for it.
+//
+// Props:
+// - subject: The subject URI whose properties are listed.
+// - context: The JSON-LD context (a string), used to name the properties.
+// - listings: Incremented to list the properties without the user asking, e.g. on navigating to a subject.
+// - getQueryEngine: Returns the query engine to query the source(s) with.
+// - getRunOptions: Returns the options (signal, timeout, limit) of a new query run (see QueryStream.js).
+// - setResponsePending: Shows or hides the query progress indicator.
+// - profileRun(kind, label): Starts recording a listing, returning its recorder (see QueryProfiler.js).
+//   By default, listings are recorded without being profiled, only to explain their failures.
+// - onPropertiesFound(iris): Receives the outgoing property IRIs found, e.g. for data path completions.
+// - onRunPath(dataPath, steps): Runs the data path following a property from the subject,
+//   steps being the property IRIs it follows, if any.
+export function LdfPropertyInspector(props) {
+  const {
+    subject, context, listings, getQueryEngine, getRunOptions, setResponsePending, onPropertiesFound, onRunPath,
+    profileRun = (kind, label) => startProfile(kind, label, { detailed: false })
+  } = props;
+
+  // inspection: The number of times the properties were asked for, since the subject changed.
+  const [inspection, setInspection] = useState(0);
+  const [direction, setDirection] = useState(PROPERTY_OUT);
+  const [properties, setProperties] = useState([]);
+  const [normalizedContext, setNormalizedContext] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [pending, setPending] = useState(false);
+
+  // Start afresh whenever the subject changes.
+  useEffect(() => {
+    setInspection(0);
+    setProperties([]);
+    setStatus(null);
+    setPending(false);
+  }, [subject]);
+
+  useEffect(() => {
+    if (listings)
+      setInspection(count => count + 1);
+  }, [listings]);
+
+  useEffect(() => {
+    let cancelled = false;
+    parseJsonLdContext(context)
+      .then(parsedContext => !cancelled && setNormalizedContext(parsedContext))
+      .catch(() => !cancelled && setNormalizedContext(null));
+    return () => { cancelled = true; };
+  }, [context]);
+
+  // (Re)list the properties when asked to, and whenever the direction changes once listed.
+  useEffect(() => {
+    if (!inspection || !subject)
+      return;
+
+    let cancelled = false;
+
+    const listProperties = async () => {
+      setStatus(null);
+      setPending(true);
+      setResponsePending(true);
+      const profile = profileRun(direction === PROPERTY_OUT ? 'Properties' : 'Incoming properties', subject);
+      try {
+        const runOptions = getRunOptions();
+        const result = await findSubjectProperties(getQueryEngine(), subject, direction, runOptions);
+        const stopped = result.stopReason ?
+          `Listing the properties ${describeStopReason(result.stopReason, runOptions)}: the value counts are incomplete.` : null;
+        profile.finish({ resultCount: result.properties.length, error: stopped });
+        if (cancelled)
+          return;
+        setProperties(result.properties);
+        if (stopped)
+          setStatus(stopped);
+        if (direction === PROPERTY_OUT)
+          onPropertiesFound(result.properties.map(property => property.iri));
+      }
+      catch (ex) {
+        // A failed request, e.g. one blocked by CORS, explains the failure better (see SourceConnections.js).
+        const explanation = explainFailure(ex, profile.requests());
+        const error = explanation ? explanation.message : ex.message;
+        profile.finish({ error });
+        if (!cancelled) {
+          setStatus(error);
+          setProperties([]);
+        }
+      }
+      finally {
+        if (!cancelled)
+          setPending(false);
+        setResponsePending(false);
+      }
+    };
+
+    listProperties();
+    return () => { cancelled = true; };
+    // The callbacks purposely omitted from the dependency array.
+    // eslint-disable-next-line
+  }, [inspection, subject, direction]);
+
+  // The name a property has under the context: a term, a prefixed name or its IRI.
+  // An incoming property is named by its reverse term, or by ^IRI.
+  const propertyName = property => {
+    if (property.direction === PROPERTY_IN) {
+      const reverseTerm = compactReversePropertyIri(property.iri, normalizedContext);
+      return reverseTerm ? reverseTerm : '^' + compactPropertyIri(property.iri, normalizedContext);
+    }
+    return compactPropertyIri(property.iri, normalizedContext);
+  }
+
+  // The data path following the property from the subject, or null if there's none.
+  const propertyPath = property => {
+    if (property.direction === PROPERTY_IN) {
+      const reverseTerm = compactReversePropertyIri(property.iri, normalizedContext);
+      return reverseTerm ? formatPathSegment(reverseTerm) : null;
+    }
+    return formatPathSegment(compactPropertyIri(property.iri, normalizedContext));
+  }
+
+  const runProperty = property => {
+    const dataPath = propertyPath(property);
+    if (dataPath)
+      onRunPath(dataPath, property.direction === PROPERTY_OUT ? [property.iri] : []);
+  }
+
+  const renderedSamples = property => {
+    const text = property.samples.map(sample => sample.value).join(', ');
+    return property.count > property.samples.length ? text + ', ...' : text;
+  }
+
+  const sortedProperties = [...properties].sort((a, b) => propertyName(a).localeCompare(propertyName(b)));
+
+  return (
+    <div className="propertyInspector">
+      <div style={{ display: "flex", alignItems: "center" }}>
+        <Button onClick={() => setInspection(inspection + 1)} disabled={!subject} style={{ fontSize: "90%", width: "20%" }}>
+          Subject Properties
+        </Button>
+        <span>&nbsp;&nbsp;</span>
+        <Form.Check inline type="radio" id="propertiesOut" name="propertyDirection" label="Outgoing"
+          checked={direction === PROPERTY_OUT} onChange={() => setDirection(PROPERTY_OUT)}
+        />
+        <Form.Check inline type="radio" id="propertiesIn" name="propertyDirection" label="Incoming"
+          checked={direction === PROPERTY_IN} onChange={() => setDirection(PROPERTY_IN)}
+        />
+      </div>
+
+      {inspection > 0 && properties.length ?
+        <div className="propertyInspectorList">
+          <Table className="propertyInspectorTable" size="sm" bordered>
+            <thead>
+              <tr>
+                <th>Property</th>
+                <th>Values</th>
+                <th>{direction === PROPERTY_IN ? 'Sample subjects' : 'Sample values'}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sortedProperties.map(property => {
+                const runnable = propertyPath(property) !== null;
+                return (
+                  <tr key={property.iri}>
+                    <td title={property.iri}>
+                      {runnable ?
+                        <Button size="sm" variant="link" className="propertyInspectorRun"
+                          title={`Run ${propertyPath(property)} (${property.iri})`} onClick={() => runProperty(property)}>
+                          {propertyName(property)}
+                        </Button>
+                        :
+                        <span title={`${property.iri}\nDefine a reverse term for this property in the context to follow it.`}>
+                          {propertyName(property)}
+                        </span>
+                      }
+                    </td>
+                    <td>{property.count}</td>
+                    <td className="propertyInspectorSamples">{renderedSamples(property)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </Table>
+        </div>
+        : null
+      }
+      {pending ? <p className="propertyInspectorHint">Listing the properties...</p> : null}
+      {inspection > 0 && !pending && !properties.length && !status ?
+        <p className="propertyInspectorHint">
+          {direction === PROPERTY_IN ? 'No other subject points at the subject.' : 'The subject has no properties.'}
+        </p>
+        : null
+      }
+      {status ? <p className="errorTxt">{status}</p> : null}
+    </div>
+  );
+}
@@ -0,0 +1,302 @@
+// The query logic of the client, free of any UI, so that it is shared by the
+// web client (LdFlexClient.js) and the command-line runner (LdfCli.js).
+//
+// A query is described as in the query history (see QueryStore.js):
+//
+//   { sources: [{ url, type }, ...], subject, context, dataPath, outputFormat }
+//
+// context being the JSON-LD context as text. Queries are evaluated within a query
+// execution context (see LdfQueryContext.js), which caches the query engines.
+
+import { streamValues, describeStopReason } from './QueryStream';
+import { checkDataPath } from './LdfDataPath';
+import { validateContext } from './LdfContext';
+import { toComunicaSource } from './LocalRdfSource';
+import { toComunicaSources, validateSources, getQueryStringSources, setQueryStringSources, findValueSources } from './LdfSources';
+import { termToResult, termKey, resultsToSparqlJson, sparqlResultToSparqlJson } from './LdfResults';
+import { collectPathTriples } from './LdfTriples';
+import { findSubjects } from './LdfSubjects';
+import { localSourceKey, sourcesCacheKey } from './LdfQueryContext';
+import {
+  resultsToCsv, resultsToTsv, resultsToSparqlXml, sparqlJsonToXml, bindingsToCsv, bindingsToTsv,
+  getContextPrefixes, triplesToN3, triplesToJsonLd
+} from './ResultExport';
+
+const { PathFactory } = require('ldflex');
+const { namedNode } = require('@rdfjs/data-model');
+const { default: ComunicaEngine } = require('@ldflex/comunica');
+
+export const defaultContext = `
+{
+  "@context": {
+    "@vocab": "http://xmlns.com/foaf/0.1/",
+    "friends": "knows",
+    "label": "http://www.w3.org/2000/01/rdf-schema#label"
+  }
+}
+`.trim();
+
+// Query results are held as RDF/JS-style term objects (see LdfResults.js).
+// The tree and JSON formats display these directly.
+// The RDF formats serialize the triples the query walked through (see LdfTriples.js).
+// The graph format draws them (see LdfGraphView.js), and exports them as Turtle.
+// Collecting these triples takes another query, so it's only done for the formats
+// marked walkedTriples (see needsWalkedTriples()).
+// mediaType and extension apply when the result is downloaded.
+// The links, tree and graph formats are only rendered by the web client;
+// elsewhere they serialize as their download does.
+export const outputFormats = [
+  { label: "Links", value: "fmt_links", mediaType: "application/json", extension: "json" },
+  { label: "Tree", value: "fmt_tree", mediaType: "application/json", extension: "json" },
+  { label: "Graph (Walked Triples)", value: "fmt_graph", mediaType: "text/turtle", extension: "ttl", walkedTriples: true },
+  { label: "JSON (Compact)", value: "fmt_json", mediaType: "application/json", extension: "json" },
+  { label: "JSON (Formatted)", value: "fmt_json_formatted", mediaType: "application/json", extension: "json" },
+  { label: "SPARQL JSON Results", value: "fmt_sparql_json", mediaType: "application/sparql-results+json", extension: "srj" },
+  { label: "SPARQL XML Results", value: "fmt_sparql_xml", mediaType: "application/sparql-results+xml", extension: "srx" },
+  { label: "CSV", value: "fmt_csv", mediaType: "text/csv", extension: "csv" },
+  { label: "TSV", value: "fmt_tsv", mediaType: "text/tab-separated-values", extension: "tsv" },
+  { label: "Turtle (Walked Triples)", value: "fmt_turtle", mediaType: "text/turtle", extension: "ttl", walkedTriples: true },
+  { label: "N-Triples (Walked Triples)", value: "fmt_ntriples", mediaType: "application/n-triples", extension: "nt", walkedTriples: true },
+  { label: "JSON-LD (Walked Triples)", value: "fmt_jsonld", mediaType: "application/ld+json", extension: "jsonld", walkedTriples: true },
+];
+
+export const defaultOutputFormat = "fmt_links"
+
+// Whether the output format (its value) shows the triples walked through by a data path query.
+export const needsWalkedTriples = format => outputFormats.some(fmt => fmt.value === format && fmt.walkedTriples);
+
+// ------------------------------------------------------------------
+
+// Reads a query from the query string (URLSearchParams) of a query permalink.
+// Whatever the query string doesn't specify is null.
+export function readQueryString(params) {
+  const param = name => (params.has(name) ? params.get(name).trim() : null);
+  return {
+    sources: getQueryStringSources(params),
+    subject: param('subject'),
+    dataPath: param('query'),
+    context: param('context'),
+    outputFormat: param('format')
+  };
+}
+
+// Writes a query as the query string of a query permalink.
+// Returns an empty string if the query can't be bookmarked,
+// i.e. it has no context or no sources.
+export function writeQueryString(query) {
+  const context = query.context ? query.context.trim() : '';
+  const sources = (query.sources || []).filter(({ url }) => url.trim()).map(({ url, type }) => ({ url: url.trim(), type }));
+  const subject = query.subject ? query.subject.trim() : '';
+  const dataPath = query.dataPath ? query.dataPath.trim() : '';
+
+  if (!context || !sources.length)
+    return '';
+
+  const params = new URLSearchParams();
+  setQueryStringSources(params, sources);
+  if (subject)
+    params.append('subject', subject);
+  if (dataPath)
+    params.append('query', dataPath);
+  params.append('format', query.outputFormat ? query.outputFormat : defaultOutputFormat);
+  params.append('context', context);
+  return params.toString();
+}
+
+// Describes the query engine for the given sources, for the engine cache.
+export function sourcesEngineSpec(sources) {
+  const validSources = validateSources(sources);
+  return {
+    key: sourcesCacheKey(validSources),
+    urls: validSources.map(source => source.url),
+    createEngine: () => new ComunicaEngine(toComunicaSources(validSources))
+  };
+}
+
+// Describes the query engine for an in-memory store holding local RDF, for the engine cache.
+export function localEngineSpec(store) {
+  return { key: localSourceKey, urls: [], createEngine: () => new ComunicaEngine(toComunicaSource(store)) };
+}
+
+// Checks the subject, context and data path of a query before it is evaluated.
+// The context must be valid JSON-LD, not just JSON (see LdfContext.js); warnings,
+// e.g. clashing terms, don't stop the query. The path is parsed and each segment
+// checked against the context.
+// Rejects with an error describing the first problem found.
+export async function checkQuery({ subject, context, dataPath }) {
+  if (!subject || !subject.trim())
+    throw new Error('Invalid subject URI: No subject selected.');
+
+  const contextErrors = (await validateContext(context)).filter(issue => issue.severity === 'error');
+  if (contextErrors.length)
+    throw new Error('Invalid context: ' + contextErrors.map(issue => issue.message).join('; '));
+
+  try {
+    const { errors } = await checkDataPath(dataPath, context);
+    if (errors.length)
+      throw new Error(errors.map(error => error.message).join('; '));
+  }
+  catch (ex) {
+    throw new Error('Invalid LDflex data path: ' + ex.message);
+  }
+}
+
+// Describes a query stopped before it completed, e.g. for a status message.
+export function describeStoppedQuery(stopReason, options, resultCount) {
+  return `Query ${describeStopReason(stopReason, options)}, with ${resultCount} results.`;
+}
+
+// Evaluates the data path of a (checked) query from its subject, with the query
+// engine described by engineSpec.
+//
+// Every value is kept, including repeated values: each is a distinct solution
+// of the query, e.g. two friends having the same name.
+//
+// options are those of streamValues() (see QueryStream.js), plus:
+// - federatedSources: The sources, when the query is federated over several,
+//   in which case the source(s) each value came from are noted.
+// - onResult(result, results): Called as each result streams in.
+// - onPhase(name): Called as the evaluation enters each of its phases
+//   (see QueryProfiler.js).
+// - collectTriples: Whether to collect the triples walked through, which takes
+//   another query (see collectWalkedTriples()), e.g. if needsWalkedTriples() of the output format.
+// Resolves to { results, triples, stopReason }, triples being the triples walked
+// through (see LdfTriples.js), an Error if they are unavailable, or null if not collected.
+// A stopped query's results are incomplete, so neither their sources nor the
+// triples walked through are looked for.
+export async function evaluateDataPath(queryContext, engineSpec, query, options = {}) {
+  const { subject, context, dataPath } = query;
+  const { federatedSources, onResult, onPhase = () => {}, collectTriples = false } = options;
+
+  // Only the parts of the query execution context affected by a change
+  // of source, context or subject are rebuilt.
+  const subjectPath = queryContext.getSubjectPath(engineSpec, context, subject);
+  const resolvedDataPath = subjectPath.resolve(dataPath);
+  // resolvedDataPath = subjectPath[dataPath]; // also works
+  // e.g.
+  // subjectPath.resolve('.interest.label') or
+  // subjectPath['interest']['label']
+
+  // An LDflex path is always async iterable, even one yielding a single value.
+  // Each value is not a simple value, it's a Proxy instance
+  // exposing the RDF/JS term properties of the value.
+  const results = [];
+  onPhase('Evaluating the data path');
+  const { stopReason } = await streamValues(resolvedDataPath, value => {
+    const result = termToResult(value, { subject, path: dataPath });
+    results.push(result);
+    if (onResult)
+      onResult(result, results);
+  }, options);
+
+  if (stopReason)
+    return { results, triples: new Error(describeStoppedQuery(stopReason, options, results.length)), stopReason };
+
+  // With several sources, note the source(s) each value came from.
+  // A value derived by joining data across sources has no single source.
+  if (federatedSources) {
+    onPhase('Finding the sources of the values');
+    const contextObj = JSON.parse(context);
+    const valueSources = await findValueSources(federatedSources, queryEngine =>
+      new PathFactory({ context: contextObj, queryEngine })
+        .create({ subject: namedNode(subject) })
+        .resolve(dataPath),
+      termKey, { signal: options.signal });
+    results.forEach(result => { result.sources = valueSources.get(termKey(result)) || []; });
+  }
+
+  if (!collectTriples)
+    return { results, triples: null, stopReason };
+
+  onPhase('Collecting the triples walked through');
+  const triples = await collectWalkedTriples(queryContext, engineSpec, query, { signal: options.signal });
+  return { results, triples, stopReason };
+}
+
+// Collects the triples walked through by a data path query which has been evaluated
+// (see evaluateDataPath()), e.g. once an output format showing them is chosen.
+// options:
+// - signal: An AbortSignal stopping the collection.
+// Resolves to the triples (see LdfTriples.js), or an Error if they are unavailable.
+export async function collectWalkedTriples(queryContext, engineSpec, query, options = {}) {
+  const { subject, context, dataPath } = query;
+  try {
+    const resolvedDataPath = queryContext.getSubjectPath(engineSpec, context, subject).resolve(dataPath);
+    return await collectPathTriples(resolvedDataPath, queryContext.getQueryEngine(engineSpec), { signal: options.signal });
+  }
+  catch (ex) {
+    return ex;
+  }
+}
+
+// Lists the subjects in the sources queried by the query engine, with their types
+// and labels (see LdfSubjects.js).
+// options are those of findSubjects(), plus:
+// - federatedSources: The sources, when several are queried, in which case
+//   the source(s) each subject was found in are noted.
+// - onPhase(name): Called as the listing enters each of its phases.
+// Resolves to { subjects, subjectSources, stopReason }, subjectSources being a Map
+// from each subject's IRI to the URLs of the sources it was found in.
+export async function listSubjects(queryEngine, options = {}) {
+  const { federatedSources, onPhase = () => {} } = options;
+  onPhase('Finding the subjects');
+  const { subjects, stopReason } = await findSubjects(queryEngine, options);
+  if (federatedSources && !stopReason)
+    onPhase('Finding the sources of the subjects');
+
+  // We don't require a context for these PathFactory instances as
+  // we're retrieving subjects, not executing an LDflex query.
+  const subjectSources = federatedSources && !stopReason ?
+    await findValueSources(federatedSources, sourceEngine =>
+      new PathFactory({ queryEngine: sourceEngine }).create({ subject: namedNode(federatedSources[0].url) }).subjects,
+      undefined, { signal: options.signal }) :
+    new Map();
+  return { subjects, subjectSources, stopReason };
+}
+
+// Serializes the result of a query in the given output format.
+// sparqlResult is the result of a hand-written SPARQL query (see LdfSparqlQuery.js),
+// if that's what was run, and otherwise results and triples are those of evaluateDataPath().
+// Resolves to the serialized text.
+export async function serializeResults(format, { results, triples, sparqlResult, context }) {
+  let contextObj = null;
+  try {
+    contextObj = JSON.parse(context);
+  }
+  catch (ex) {
+    // RDF serializations simply aren't compacted without a valid context.
+  }
+
+  const walkedTriples = () => {
+    if (triples instanceof Error)
+      throw new Error('The triples walked through by the query are unavailable: ' + triples.message);
+    if (!triples)
+      throw new Error("The triples walked through by the query haven't been collected.");
+    return triples;
+  }
+
+  switch (format) {
+    case "fmt_json":
+      return JSON.stringify(results);
+    case "fmt_sparql_json":
+      return JSON.stringify(sparqlResult ? sparqlResultToSparqlJson(sparqlResult) : resultsToSparqlJson(results), null, 2);
+    case "fmt_sparql_xml":
+      return sparqlResult ? sparqlJsonToXml(sparqlResultToSparqlJson(sparqlResult)) : resultsToSparqlXml(results);
+    case "fmt_csv":
+      return sparqlResult ? bindingsToCsv(sparqlResult.bindings, sparqlResult.variables) : resultsToCsv(results);
+    case "fmt_tsv":
+      return sparqlResult ? bindingsToTsv(sparqlResult.bindings, sparqlResult.variables) : resultsToTsv(results);
+    case "fmt_turtle":
+    case "fmt_graph":
+      return triplesToN3(walkedTriples(), 'Turtle', getContextPrefixes(contextObj));
+    case "fmt_ntriples":
+      return triplesToN3(walkedTriples(), 'N-Triples');
+    case "fmt_jsonld":
+      return triplesToJsonLd(walkedTriples(), contextObj);
+    case "fmt_links":
+    case "fmt_tree":
+    case "fmt_json_formatted":
+    default:
+      return JSON.stringify(results, null, 2);
+  }
+}
@@ -0,0 +1,71 @@
+import {
+  readQueryString, writeQueryString, localEngineSpec, checkQuery, evaluateDataPath, collectWalkedTriples, listSubjects,
+  serializeResults, needsWalkedTriples
+} from './LdfQuery';
+import { createEngineCache, createQueryContext } from './LdfQueryContext';
+import { createTestEngine } from './TestFixtures';
+
+const ME = 'http://example.org/people#me';
+const context = JSON.stringify({ '@context': { '@vocab': 'http://xmlns.com/foaf/0.1/', friends: 'knows' } });
+
+const turtle = `
+@prefix foaf: <http://xmlns.com/foaf/0.1/>.
+<#me> foaf:name "Me"; foaf:knows <#you>, <#them>.
+<#you> foaf:name "You".
+<#them> foaf:name "Them".
+`;
+
+test('reads back the query string it writes', () => {
+  const query = {
+    sources: [{ url: ' http://a.example/doc ', type: 'file' }, { url: 'http://b.example/sparql', type: 'sparql' }],
+    subject: 'http://a.example/doc#it', dataPath: '.friends.name', context, outputFormat: 'fmt_csv'
+  };
+  const queryString = writeQueryString(query);
+  expect(readQueryString(new URLSearchParams(queryString))).toEqual({
+    ...query, sources: [{ url: 'http://a.example/doc', type: 'file' }, query.sources[1]]
+  });
+  // Without a context or sources, there's nothing to bookmark.
+  expect(writeQueryString({ ...query, context: ' ' })).toBe('');
+  expect(readQueryString(new URLSearchParams('format=fmt_csv'))).toEqual({
+    sources: null, subject: null, dataPath: null, context: null, outputFormat: 'fmt_csv'
+  });
+});
+
+test('checks queries before evaluating them', async () => {
+  await expect(checkQuery({ subject: ME, context, dataPath: '.friends.name' })).resolves.toBeUndefined();
+  await expect(checkQuery({ subject: ' ', context, dataPath: '.name' })).rejects.toThrow('Invalid subject URI');
+  await expect(checkQuery({ subject: ME, context: '{ "@context": 1 }', dataPath: '.name' })).rejects.toThrow('Invalid context');
+  await expect(checkQuery({ subject: ME, context, dataPath: '.name..' })).rejects.toThrow('Invalid LDflex data path');
+});
+
+test('evaluates data paths and serializes their results', async () => {
+  const { store } = await createTestEngine(turtle);
+  const queryContext = createQueryContext(createEngineCache(1));
+  const engineSpec = localEngineSpec(store);
+
+  const streamed = [];
+  const { results, triples, stopReason } = await evaluateDataPath(queryContext, engineSpec,
+    { subject: ME, context, dataPath: '.friends.name' }, { onResult: result => streamed.push(result.value), collectTriples: true });
+  expect(stopReason).toBeNull();
+  expect(streamed.sort()).toEqual(['Them', 'You']);
+  expect(results.map(result => result.value).sort()).toEqual(['Them', 'You']);
+  expect(triples).toHaveLength(4);
+
+  expect(await serializeResults('fmt_tsv', { results: results.slice(0, 1), triples, context })).toMatch(/^value\t/);
+  expect(await serializeResults('fmt_ntriples', { results, triples, context })).toContain(`<${ME}> <http://xmlns.com/foaf/0.1/knows>`);
+
+  // The triples walked through are only collected when asked for.
+  const uncollected = await evaluateDataPath(queryContext, engineSpec, { subject: ME, context, dataPath: '.friends.name' });
+  expect(uncollected.triples).toBeNull();
+  await expect(serializeResults('fmt_turtle', { ...uncollected, context })).rejects.toThrow("haven't been collected");
+  expect(await collectWalkedTriples(queryContext, engineSpec, { subject: ME, context, dataPath: '.friends.name' })).toHaveLength(4);
+  expect(needsWalkedTriples('fmt_graph') && !needsWalkedTriples('fmt_csv')).toBe(true);
+
+  // A stopped query has no triples to serialize.
+  const stopped = await evaluateDataPath(queryContext, engineSpec, { subject: ME, context, dataPath: '.friends.name' }, { limit: 1 });
+  expect(stopped.results).toHaveLength(1);
+  await expect(serializeResults('fmt_turtle', { ...stopped, context })).rejects.toThrow('stopped at the limit of 1 results');
+
+  const { subjects } = await listSubjects(queryContext.getQueryEngine(engineSpec));
+  expect(subjects.map(subject => subject.id)).toContain(ME);
+});
@@ -0,0 +1,139 @@
+// The LDflex query execution context, which comprises:
+// - a query engine, for the data source(s),
+// - a PathFactory, for the query engine and the JSON-LD context,
+// - an LDflex path starting at the current subject, created by the PathFactory.
+//
+// Each part depends on the one before it:
+//   queryEngine: f(sources)
+//   pathFactory: f(queryEngine, context)
+//   subjectPath: f(pathFactory, subject)
+// so each part is only rebuilt when what it depends on has changed.
+//
+// Query engines are kept in an LRU cache keyed by their sources, so switching
+// back to a recently queried source reuses its engine and the documents Comunica
+// has already fetched for it, rather than fetching the source again.
+
+const { PathFactory } = require('ldflex');
+const { namedNode } = require('@rdfjs/data-model');
+
+export const defaultEngineCacheSize = 5;
+
+// The cache key of the engine querying the local RDF.
+// Only one local RDF store is loaded at a time.
+export const localSourceKey = 'local RDF';
+
+// Returns the cache key of the engine querying the given sources ({ url, type }).
+export function sourcesCacheKey(sources) {
+  return sources.map(({ url, type }) => `${type} ${url}`).join('\n');
+}
+
+// Creates an LRU cache of query engines holding at most capacity engines.
+// onChange, if given, is called with the cache entries whenever they change.
+//
+// A query engine is described by an engine spec:
+//   { key, urls, createEngine }
+// key being its cache key, urls the documents it fetches (cleared from
+// Comunica's HTTP cache when the engine is invalidated or evicted, unless another
+// cached engine fetches them too) and
+// createEngine a function creating the engine.
+export function createEngineCache(capacity = defaultEngineCacheSize, onChange) {
+  // A Map iterates in insertion order: least recently used first.
+  const cache = new Map();
+
+  const entries = () => [...cache.values()].reverse()
+    .map(({ key, urls, createdAt, lastUsedAt, uses }) => ({ key, urls, createdAt, lastUsedAt, uses }));
+  const changed = () => {
+    if (onChange)
+      onChange(entries());
+  };
+
+  // Comunica caches fetched documents in an HTTP cache shared by all engines,
+  // so a document is only cleared once no cached engine queries it any more.
+  const documentUrl = url => url.replace(/#.*/, '');
+  const remove = key => {
+    const entry = cache.get(key);
+    cache.delete(key);
+    const stillQueried = new Set([...cache.values()].flatMap(other => other.urls.map(documentUrl)));
+    entry.urls.map(documentUrl)
+      .filter(url => !stillQueried.has(url))
+      .forEach(url => entry.engine.clearCache(url).catch(() => null));
+  };
+
+  return {
+    // Returns the engine for the engine spec, creating it if it isn't cached.
+    get(spec) {
+      let entry = cache.get(spec.key);
+      if (entry)
+        cache.delete(spec.key);
+      else
+        entry = { key: spec.key, urls: spec.urls || [], engine: spec.createEngine(), createdAt: Date.now(), uses: 0 };
+      entry.lastUsedAt = Date.now();
+      entry.uses++;
+      cache.set(spec.key, entry);
+
+      while (cache.size > capacity)
+        remove(cache.keys().next().value);
+      changed();
+      return entry.engine;
+    },
+
+    has(key) {
+      return cache.has(key);
+    },
+
+    // Drops the engine for the given key, so its sources are fetched afresh.
+    invalidate(key) {
+      if (cache.has(key)) {
+        remove(key);
+        changed();
+      }
+    },
+
+    // Drops every engine.
+    clear() {
+      [...cache.keys()].forEach(remove);
+      changed();
+    },
+
+    // Lists the cached engines, most recently used first.
+    entries,
+
+    capacity
+  };
+}
+
+// Creates a query execution context using the given engine cache.
+export function createQueryContext(engineCache) {
+  let pathFactoryEntry = null;
+  let subjectPathEntry = null;
+
+  return {
+    engineCache,
+
+    getQueryEngine(engineSpec) {
+      return engineCache.get(engineSpec);
+    },
+
+    // Returns the PathFactory for the engine spec and JSON-LD context (text).
+    getPathFactory(engineSpec, context) {
+      const queryEngine = engineCache.get(engineSpec);
+      if (!pathFactoryEntry || pathFactoryEntry.queryEngine !== queryEngine || pathFactoryEntry.context !== context) {
+        // The settings given to the PathFactory constructor are the defaults of the paths it creates.
+        const pathFactory = new PathFactory({ context: JSON.parse(context), queryEngine });
+        pathFactoryEntry = { queryEngine, context, pathFactory };
+      }
+      return pathFactoryEntry.pathFactory;
+    },
+
+    // Returns the LDflex path starting at the subject (URI),
+    // for the engine spec and JSON-LD context (text).
+    getSubjectPath(engineSpec, context, subject) {
+      const pathFactory = this.getPathFactory(engineSpec, context);
+      if (!subjectPathEntry || subjectPathEntry.pathFactory !== pathFactory || subjectPathEntry.subject !== subject) {
+        const subjectPath = pathFactory.create({ subject: namedNode(subject) });
+        subjectPathEntry = { pathFactory, subject, subjectPath };
+      }
+      return subjectPathEntry.subjectPath;
+    }
+  };
+}
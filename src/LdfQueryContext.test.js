@@ -0,0 +1,107 @@
+import { sourcesCacheKey, createEngineCache, createQueryContext } from './LdfQueryContext';
+
+// A stand-in for a ComunicaEngine, recording the documents cleared from its HTTP cache.
+function createFakeEngine(name) {
+  const engine = {
+    name,
+    cleared: [],
+    clearCache: async url => { engine.cleared.push(url); }
+  };
+  return engine;
+}
+
+// An engine spec for the given source URLs, counting the engines created.
+function createSpec(urls, created) {
+  return {
+    key: sourcesCacheKey(urls.map(url => ({ url, type: 'file' }))),
+    urls,
+    createEngine: () => {
+      created.push(urls.join());
+      return createFakeEngine(urls.join());
+    }
+  };
+}
+
+test('reuses cached engines and evicts the least recently used', () => {
+  const created = [];
+  const changes = [];
+  const cache = createEngineCache(2, entries => changes.push(entries.map(entry => entry.key)));
+  const specA = createSpec(['http://a.example/'], created);
+  const specB = createSpec(['http://b.example/'], created);
+  const specC = createSpec(['http://c.example/doc#it'], created);
+
+  const engineA = cache.get(specA);
+  cache.get(specB);
+  expect(cache.get(specA)).toBe(engineA);
+  expect(created).toEqual(['http://a.example/', 'http://b.example/']);
+
+  // B is now the least recently used engine.
+  cache.get(specC);
+  expect(cache.has(specB.key)).toBe(false);
+  expect(cache.entries().map(entry => [entry.key, entry.uses])).toEqual([[specC.key, 1], [specA.key, 2]]);
+  expect(changes[changes.length - 1]).toEqual([specC.key, specA.key]);
+
+  cache.get(specB);
+  expect(created).toEqual(['http://a.example/', 'http://b.example/', 'http://c.example/doc#it', 'http://b.example/']);
+});
+
+test('invalidating an engine clears its documents from the HTTP cache', () => {
+  const created = [];
+  const cache = createEngineCache(2);
+  const spec = createSpec(['http://a.example/', 'http://c.example/doc#it'], created);
+
+  const engine = cache.get(spec);
+  cache.invalidate(spec.key);
+  expect(cache.has(spec.key)).toBe(false);
+  expect(engine.cleared).toEqual(['http://a.example/', 'http://c.example/doc']);
+  expect(cache.get(spec)).not.toBe(engine);
+
+  cache.clear();
+  expect(cache.entries()).toEqual([]);
+});
+
+test('keeps the documents other cached engines query in the HTTP cache', () => {
+  const created = [];
+  const cache = createEngineCache(3);
+  const specAB = createSpec(['http://a.example/', 'http://b.example/'], created);
+  const specB = createSpec(['http://b.example/#it'], created);
+  const specC = createSpec(['http://c.example/'], created);
+
+  const engineAB = cache.get(specAB);
+  const engineB = cache.get(specB);
+  cache.get(specC);
+  cache.invalidate(specAB.key);
+  expect(engineAB.cleared).toEqual(['http://a.example/']);
+
+  // Once no engine queries it, the document is cleared.
+  cache.clear();
+  expect(engineB.cleared).toEqual(['http://b.example/']);
+});
+
+test('rebuilds only the parts of the query context which changed', () => {
+  const created = [];
+  const queryContext = createQueryContext(createEngineCache(2));
+  const specA = createSpec(['http://a.example/'], created);
+  const specB = createSpec(['http://b.example/'], created);
+  const context = '{ "@context": { "@vocab": "http://xmlns.com/foaf/0.1/" } }';
+  const otherContext = '{ "@context": { "@vocab": "http://schema.org/" } }';
+  const subject = 'http://a.example/#me';
+
+  const pathFactory = queryContext.getPathFactory(specA, context);
+  const subjectPath = queryContext.getSubjectPath(specA, context, subject);
+  expect(queryContext.getPathFactory(specA, context)).toBe(pathFactory);
+  expect(queryContext.getSubjectPath(specA, context, subject)).toBe(subjectPath);
+
+  // A new subject only needs a new subject path.
+  expect(queryContext.getSubjectPath(specA, context, 'http://a.example/#you')).not.toBe(subjectPath);
+  expect(queryContext.getPathFactory(specA, context)).toBe(pathFactory);
+
+  // A new context needs a new path factory, but not a new engine.
+  expect(queryContext.getPathFactory(specA, otherContext)).not.toBe(pathFactory);
+  expect(created).toEqual(['http://a.example/']);
+
+  // Switching back to a cached source reuses its engine.
+  queryContext.getPathFactory(specB, context);
+  queryContext.getPathFactory(specA, context);
+  expect(created).toEqual(['http://a.example/', 'http://b.example/']);
+});
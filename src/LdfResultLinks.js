@@ -0,0 +1,96 @@
+import React, { useState, useEffect } from 'react';
+import { Button, Table } from 'react-bootstrap';
+
+import { resultIris, findLabels } from './LdfNavigation';
+
+// Delay after the results last changed before their IRIs are labelled (ms),
+// so results streaming in aren't labelled over and over.
+const labellingDelay = 300;
+
+// ------------------------------------------------------------------
+
+// Shows the query results with each IRI as a link making it the subject
+// (follow-your-nose navigation, see LdfNavigation.js), alongside its label if
+// the source(s) give one. Data path results are listed; SPARQL solutions are tabled.
+//
+// Props:
+// - results: The result objects (see LdfResults.js), or the SPARQL solutions.
+// - variables: The variables of the SPARQL solutions, or null for data path results
+//   (and for SPARQL solutions still streaming in, tabled by the variables they bind).
+// - getQueryEngine: Returns the query engine to find the labels with.
+// - onNavigate(iri): Follows an IRI.
+export function LdfResultLinks(props) {
+  const { results, variables, getQueryEngine, onNavigate } = props;
+
+  // labels: Maps the IRIs in the results to their labels.
+  const [labels, setLabels] = useState(new Map());
+
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const iris = resultIris(results);
+      try {
+        const newLabels = iris.length ? await findLabels(getQueryEngine(), iris) : new Map();
+        if (!cancelled)
+          setLabels(newLabels);
+      }
+      catch (ex) {
+        // Labels are a convenience: the IRIs are shown regardless.
+      }
+    }, labellingDelay);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+    // getQueryEngine purposely omitted from the dependency array.
+    // eslint-disable-next-line
+  }, [results]);
+
+  const renderedTerm = term => {
+    if (!term)
+      return null;
+    switch (term.termType) {
+      case 'NamedNode':
+        return (
+          <span>
+            <Button size="sm" variant="link" className="resultLink" title={`Make ${term.value} the subject`}
+              onClick={() => onNavigate(term.value)}>
+              {term.value}
+            </Button>
+            {labels.has(term.value) ? <span className="resultLabel">{labels.get(term.value)}</span> : null}
+          </span>
+        );
+      case 'BlankNode':
+        return <span className="resultBlankNode">_:{term.value}</span>;
+      default:
+        return <span>"{term.value}"{term.language ? '@' + term.language : ''}</span>;
+    }
+  }
+
+  if (!Array.isArray(results))
+    return null;
+  if (!results.length)
+    return <p className="qryRsltJsonText">No results.</p>;
+
+  const columns = variables || (results[0].termType ? null : Object.keys(results[0]));
+  if (columns) {
+    return (
+      <Table size="sm" bordered className="resultLinks">
+        <thead>
+          <tr>{columns.map(variable => <th key={variable}>?{variable}</th>)}</tr>
+        </thead>
+        <tbody>
+          {results.map((row, index) => (
+            <tr key={index}>{columns.map(variable => <td key={variable}>{renderedTerm(row[variable])}</td>)}</tr>
+          ))}
+        </tbody>
+      </Table>
+    );
+  }
+
+  return (
+    <ul className="resultLinks">
+      {results.map((result, index) => <li key={index}>{renderedTerm(result)}</li>)}
+    </ul>
+  );
+}
@@ -0,0 +1,96 @@
+// Query results as structured RDF terms.
+//
+// Each value yielded by an LDflex path is an RDF/JS term (wrapped in a path proxy).
+// Rather than flattening it to a string, it's held as a plain result object
+// preserving everything RDF says about the value:
+//
+//   {
+//     termType: 'Literal',                    // NamedNode, BlankNode or Literal
+//     value: 'Ruben',
+//     datatype: 'http://www.w3.org/2001/XMLSchema#string',  // Literals only
+//     language: 'en',                         // Language-tagged literals only
+//     subject: 'https://ruben.verborgh.org/profile/#me',    // Subject the path started from
+//     path: '.name',                          // Data path which produced the value
+//     sources: [...]                          // Source URLs, when querying several sources
+//   }
+
+const XSD_STRING = 'http://www.w3.org/2001/XMLSchema#string';
+const RDF_LANG_STRING = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#langString';
+
+// Converts an RDF/JS term, or an LDflex path proxy for one, into a result object.
+// provenance holds the subject and path which produced the value.
+export function termToResult(term, provenance = {}) {
+  const result = { termType: term.termType, value: term.value };
+
+  if (term.termType === 'Literal') {
+    const datatype = term.datatype && (term.datatype.value || term.datatype);
+    result.datatype = typeof datatype === 'string' ? datatype : XSD_STRING;
+    if (term.language)
+      result.language = term.language;
+  }
+
+  return Object.assign(result, provenance);
+}
+
+// A key identifying a term (or result object) by its term type, value, datatype and language.
+// Results with equal keys denote the same RDF term.
+export function termKey(term) {
+  // Only literals have a datatype and language. (On an LDflex path proxy for any
+  // other term, reading them would yield a promise rather than undefined.)
+  if (term.termType !== 'Literal')
+    return [term.termType, term.value].join('|');
+  const datatype = term.datatype && (term.datatype.value || term.datatype);
+  return [term.termType, term.value, datatype || '', term.language || ''].join('|');
+}
+
+// Converts a result object into a term of the SPARQL 1.1 Query Results JSON format.
+// See https://www.w3.org/TR/sparql11-results-json/#select-encode-terms
+export function resultToSparqlJsonTerm(result) {
+  switch (result.termType) {
+    case 'NamedNode':
+      return { type: 'uri', value: result.value };
+    case 'BlankNode':
+      return { type: 'bnode', value: result.value };
+    case 'Literal':
+    default: {
+      const term = { type: 'literal', value: result.value };
+      if (result.language)
+        term['xml:lang'] = result.language;
+      else if (result.datatype && result.datatype !== XSD_STRING && result.datatype !== RDF_LANG_STRING)
+        term.datatype = result.datatype;
+      return term;
+    }
+  }
+}
+
+// Converts result objects into a SPARQL 1.1 Query Results JSON document,
+// binding each value to the given variable.
+export function resultsToSparqlJson(results, variable = 'value') {
+  return bindingsToSparqlJson(results.map(result => ({ [variable]: result })), [variable]);
+}
+
+// Converts solutions, each mapping variable names to result objects,
+// into a SPARQL 1.1 Query Results JSON document.
+export function bindingsToSparqlJson(bindings, variables) {
+  return {
+    head: { vars: variables },
+    results: {
+      bindings: bindings.map(solution => {
+        const binding = {};
+        variables.forEach(variable => {
+          if (solution[variable])
+            binding[variable] = resultToSparqlJsonTerm(solution[variable]);
+        });
+        return binding;
+      })
+    }
+  };
+}
+
+// Converts the result of a raw SPARQL query (see LdfSparqlQuery.js)
+// into a SPARQL 1.1 Query Results JSON document.
+export function sparqlResultToSparqlJson(sparqlResult) {
+  if (sparqlResult.type === 'boolean')
+    return { head: {}, boolean: sparqlResult.boolean };
+  return bindingsToSparqlJson(sparqlResult.bindings, sparqlResult.variables);
+}
@@ -0,0 +1,73 @@
+import { termToResult, termKey, resultsToSparqlJson } from './LdfResults';
+import { createTestEngine } from './TestFixtures';
+
+const { PathFactory } = require('ldflex');
+const { namedNode, literal, blankNode } = require('@rdfjs/data-model');
+
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+test('converts RDF/JS terms into result objects', () => {
+  const provenance = { subject: 'http://example.org/#me', path: '.name' };
+  expect(termToResult(namedNode('http://example.org/#you'), provenance)).toEqual({
+    termType: 'NamedNode', value: 'http://example.org/#you', ...provenance
+  });
+  expect(termToResult(literal('Ruben', 'en'))).toEqual({
+    termType: 'Literal', value: 'Ruben', language: 'en',
+    datatype: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#langString'
+  });
+  expect(termToResult(literal('42', namedNode(XSD + 'integer')))).toEqual({
+    termType: 'Literal', value: '42', datatype: XSD + 'integer'
+  });
+});
+
+test('distinguishes terms by type, datatype and language', () => {
+  const keys = [
+    namedNode('http://example.org/a'), literal('http://example.org/a'),
+    literal('1', namedNode(XSD + 'integer')), literal('1'), literal('1', 'en'),
+  ].map(termKey);
+  expect(new Set(keys).size).toBe(keys.length);
+  expect(termKey(termToResult(literal('1', 'en')))).toBe(termKey(literal('1', 'en')));
+});
+
+test('converts results into SPARQL JSON results', () => {
+  const results = [
+    namedNode('http://example.org/a'), blankNode('b0'),
+    literal('x'), literal('x', 'en'), literal('1', namedNode(XSD + 'integer')),
+  ].map(term => termToResult(term));
+  expect(resultsToSparqlJson(results)).toEqual({
+    head: { vars: ['value'] },
+    results: {
+      bindings: [
+        { value: { type: 'uri', value: 'http://example.org/a' } },
+        { value: { type: 'bnode', value: 'b0' } },
+        { value: { type: 'literal', value: 'x' } },
+        { value: { type: 'literal', value: 'x', 'xml:lang': 'en' } },
+        { value: { type: 'literal', value: '1', datatype: XSD + 'integer' } },
+      ]
+    }
+  });
+});
+
+test('converts the values of an LDflex path, keeping repeated values', async () => {
+  const { queryEngine } = await createTestEngine(`
+    @prefix foaf: <http://xmlns.com/foaf/0.1/>.
+    <#me> foaf:knows <#you>, <#them>.
+    <#you> foaf:name "Sam"@en.
+    <#them> foaf:name "Sam"@en.
+  `);
+  const pathFactory = new PathFactory({ context: { "@vocab": "http://xmlns.com/foaf/0.1/" }, queryEngine });
+  const subjectPath = pathFactory.create({ subject: namedNode('http://example.org/people#me') });
+
+  const results = [];
+  for await (const value of subjectPath.resolve('.knows'))
+    results.push(termToResult(value));
+  expect(results.map(r => [r.termType, r.datatype])).toEqual([['NamedNode', undefined], ['NamedNode', undefined]]);
+
+  results.length = 0;
+  for await (const value of subjectPath.resolve('.knows.name'))
+    results.push(termToResult(value));
+  expect(results).toEqual([
+    { termType: 'Literal', value: 'Sam', language: 'en', datatype: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#langString' },
+    { termType: 'Literal', value: 'Sam', language: 'en', datatype: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#langString' },
+  ]);
+});
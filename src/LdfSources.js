@@ -0,0 +1,114 @@
+// Support for querying several data sources at once.
+//
+// Each source is described by { url, type }, the type telling Comunica how to
+// access it: as a plain RDF document, a SPARQL endpoint or a hypermedia interface
+// such as Triple Pattern Fragments (TPF). A single ComunicaEngine federates
+// queries over all the sources.
+
+import { streamValues, STOP_CANCELLED } from './QueryStream';
+
+const { default: ComunicaEngine } = require('@ldflex/comunica');
+
+// comunicaType is the source type passed to Comunica.
+// Hypermedia interfaces are left for Comunica to detect from their hypermedia controls.
+export const sourceTypes = [
+  { label: "Document", value: "file", comunicaType: "file" },
+  { label: "SPARQL endpoint", value: "sparql", comunicaType: "sparql" },
+  { label: "TPF / hypermedia", value: "hypermedia", comunicaType: undefined },
+];
+
+export const defaultSourceType = "file";
+
+// Converts a list of sources into the sources accepted by ComunicaEngine.
+export function toComunicaSources(sources) {
+  return sources.map(({ url, type }) => {
+    const sourceType = sourceTypes.find(st => st.value === type);
+    const comunicaType = sourceType ? sourceType.comunicaType : undefined;
+    // Strip the fragment off a URL, as ComunicaEngine does for a plain string source.
+    const value = url.trim().replace(/#.*/, '');
+    return comunicaType ? { type: comunicaType, value } : { value };
+  });
+}
+
+// Checks each source has a valid URL, ignoring blank entries.
+// Returns the remaining sources; throws an error describing the first invalid source.
+export function validateSources(sources) {
+  const validSources = sources.filter(({ url }) => url && url.trim());
+  if (!validSources.length)
+    throw new Error('No data source given');
+
+  validSources.forEach(({ url }) => {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url.trim()); // Will throw exception if not a valid URL
+    }
+    catch (ex) {
+      throw new Error(`Invalid source URL (${url.trim()}): ${ex.message}`);
+    }
+    if (!parsedUrl || parsedUrl.origin === 'null')
+      throw new Error(`Invalid source URL (${url.trim()}): URL parsing error`);
+  });
+
+  return validSources.map(({ url, type }) => ({ url: url.trim(), type }));
+}
+
+// Reads the sources from the query string of a query permalink.
+//
+// Sources are given by repeated source parameters. The type of each
+// is given by the sourceType parameter in the same position, if any.
+// Returns null if the query string names no sources.
+export function getQueryStringSources(params) {
+  const urls = params.getAll('source').map(url => url.trim()).filter(Boolean);
+  const types = params.getAll('sourceType');
+  if (!urls.length)
+    return null;
+  return urls.map((url, index) => ({
+    url,
+    type: sourceTypes.some(st => st.value === types[index]) ? types[index] : defaultSourceType
+  }));
+}
+
+// Appends the sources to the query string of a query permalink.
+// The type is only included when it isn't the default,
+// so a single document source gives the same permalink as before.
+export function setQueryStringSources(params, sources) {
+  const needTypes = sources.some(({ type }) => type !== defaultSourceType);
+  sources.forEach(({ url, type }) => {
+    params.append('source', url);
+    if (needTypes)
+      params.append('sourceType', type);
+  });
+}
+
+// Determines which of the sources each value yielded by an LDflex path comes from.
+//
+// The path is evaluated against each source separately: createPath is called with
+// a query engine for the source and should return the path to evaluate.
+// Resolves to a Map from each value's key to the URLs of the sources yielding it.
+// By default a value's key is its string value; keyOf overrides this.
+// A value produced only by combining data from several sources has no entry.
+// options are those of streamValues(), applying to each source in turn.
+export async function findValueSources(sources, createPath, keyOf = value => value.toString(), options = {}) {
+  const valueSources = new Map();
+
+  for (const source of sources) {
+    try {
+      const path = createPath(new ComunicaEngine(toComunicaSources([source])));
+      const { stopReason } = await streamValues(path, value => {
+        const key = keyOf(value);
+        if (!valueSources.has(key))
+          valueSources.set(key, []);
+        if (!valueSources.get(key).includes(source.url))
+          valueSources.get(key).push(source.url);
+      }, options);
+      if (stopReason === STOP_CANCELLED)
+        break;
+    }
+    catch (ex) {
+      // A source which can't be queried on its own contributes no values.
+      // Any error it causes is reported by the federated query.
+    }
+  }
+
+  return valueSources;
+}
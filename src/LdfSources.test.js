@@ -0,0 +1,37 @@
+import {
+  toComunicaSources, validateSources, getQueryStringSources, setQueryStringSources
+} from './LdfSources';
+
+test('converts sources to Comunica sources', () => {
+  expect(toComunicaSources([
+    { url: 'https://example.org/profile#me', type: 'file' },
+    { url: ' https://example.org/sparql ', type: 'sparql' },
+    { url: 'https://fragments.example.org/dataset', type: 'hypermedia' },
+  ])).toEqual([
+    { type: 'file', value: 'https://example.org/profile' },
+    { type: 'sparql', value: 'https://example.org/sparql' },
+    { value: 'https://fragments.example.org/dataset' },
+  ]);
+});
+
+test('validates sources, ignoring blank entries', () => {
+  expect(validateSources([{ url: ' https://example.org/a ', type: 'file' }, { url: '', type: 'file' }]))
+    .toEqual([{ url: 'https://example.org/a', type: 'file' }]);
+  expect(() => validateSources([{ url: ' ', type: 'file' }])).toThrow('No data source given');
+  expect(() => validateSources([{ url: 'not a url', type: 'file' }])).toThrow(/Invalid source URL \(not a url\)/);
+});
+
+test('round-trips sources through a query string', () => {
+  const single = [{ url: 'https://example.org/profile', type: 'file' }];
+  let params = new URLSearchParams();
+  setQueryStringSources(params, single);
+  expect(params.toString()).toBe('source=https%3A%2F%2Fexample.org%2Fprofile');
+  expect(getQueryStringSources(new URLSearchParams(params.toString()))).toEqual(single);
+
+  const several = [...single, { url: 'https://example.org/sparql', type: 'sparql' }];
+  params = new URLSearchParams();
+  setQueryStringSources(params, several);
+  expect(getQueryStringSources(new URLSearchParams(params.toString()))).toEqual(several);
+
+  expect(getQueryStringSources(new URLSearchParams('query=.name'))).toBeNull();
+});
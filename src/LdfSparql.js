@@ -0,0 +1,90 @@
+// The SPARQL generated by LDflex for a data path, and its display.
+//
+// LDflex translates a data path into a SPARQL query, which it hands to the query
+// engine (Comunica). The query can be obtained without executing it through the
+// path's builtin .sparql property, so no query engine or data source is needed.
+
+const { PathFactory } = require('ldflex');
+const { namedNode } = require('@rdfjs/data-model');
+const { Parser: SparqlParser, Generator: SparqlGenerator } = require('sparqljs');
+
+// SPARQL keywords highlighted as such (matched case insensitively)
+const sparqlKeywords = [
+  'BASE', 'PREFIX', 'SELECT', 'DISTINCT', 'REDUCED', 'CONSTRUCT', 'DESCRIBE', 'ASK', 'FROM', 'NAMED',
+  'WHERE', 'ORDER', 'BY', 'ASC', 'DESC', 'LIMIT', 'OFFSET', 'GROUP', 'HAVING', 'VALUES', 'OPTIONAL',
+  'UNION', 'MINUS', 'GRAPH', 'SERVICE', 'SILENT', 'FILTER', 'BIND', 'AS', 'NOT', 'EXISTS', 'IN',
+  'INSERT', 'DELETE', 'DATA', 'WITH', 'USING', 'DEFAULT', 'ALL', 'LOAD', 'CLEAR', 'DROP', 'CREATE',
+  'ADD', 'MOVE', 'COPY', 'INTO', 'TO', 'UNDEF', 'a', 'true', 'false',
+];
+
+// Token patterns, tried in order at each position. Anything else is plain text.
+const sparqlTokenPatterns = [
+  ['comment', /#[^\n]*/y],
+  ['iri', /<[^<>"{}|^`\\\s]*>/y],
+  ['literal', /"""[\s\S]*?"""|'''[\s\S]*?'''|"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'/y],
+  ['variable', /[?$][A-Za-z0-9_]+/y],
+  ['prefixedName', /(?:[A-Za-z][\w.-]*)?:[\w.:%-]*/y],
+  ['keyword', /[A-Za-z]+\b/y],
+  ['number', /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y],
+];
+
+const keywordSet = new Set(sparqlKeywords.map(keyword => keyword.toUpperCase()));
+
+// ------------------------------------------------------------------
+
+// Resolves to the SPARQL query LDflex generates for the data path,
+// evaluated from the given subject using the given JSON-LD context object.
+export async function generatePathSparql(contextObj, subject, dataPath) {
+  const pathFactory = new PathFactory({ context: contextObj });
+  const subjectPath = pathFactory.create({ subject: namedNode(subject) });
+  return subjectPath.resolve(dataPath).sparql;
+}
+
+// Reformats a SPARQL query, abbreviating IRIs using the given prefixes
+// (an object mapping prefix to namespace IRI).
+export function formatSparql(sparql, prefixes = {}) {
+  const query = new SparqlParser().parse(sparql);
+  query.prefixes = { ...query.prefixes, ...prefixes };
+  return new SparqlGenerator().stringify(query);
+}
+
+// Splits SPARQL text into tokens for syntax highlighting.
+// Returns a list of { type, text } where type is one of 'comment', 'iri', 'literal',
+// 'variable', 'prefixedName', 'keyword', 'number' or 'text'.
+// Joining the token texts gives back the original text.
+export function tokenizeSparql(sparql) {
+  const tokens = [];
+  const pushText = text => {
+    const last = tokens[tokens.length - 1];
+    if (last && last.type === 'text')
+      last.text += text;
+    else
+      tokens.push({ type: 'text', text });
+  };
+
+  let pos = 0;
+  while (pos < sparql.length) {
+    let token = null;
+    for (const [type, pattern] of sparqlTokenPatterns) {
+      pattern.lastIndex = pos;
+      const match = pattern.exec(sparql);
+      if (match && match[0].length) {
+        token = { type, text: match[0] };
+        break;
+      }
+    }
+
+    if (!token) {
+      pushText(sparql[pos]);
+      pos++;
+      continue;
+    }
+    // Words which aren't keywords, e.g. function names, are plain text.
+    if (token.type === 'keyword' && !keywordSet.has(token.text.toUpperCase()))
+      pushText(token.text);
+    else
+      tokens.push(token);
+    pos += token.text.length;
+  }
+  return tokens;
+}
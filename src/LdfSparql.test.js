@@ -0,0 +1,37 @@
+import { generatePathSparql, formatSparql, tokenizeSparql } from './LdfSparql';
+
+const context = {
+  "@context": {
+    "@vocab": "http://xmlns.com/foaf/0.1/",
+    "foaf": "http://xmlns.com/foaf/0.1/",
+    "friends": "knows",
+    "label": "http://www.w3.org/2000/01/rdf-schema#label"
+  }
+};
+
+test('generates the SPARQL for a data path without a query engine', async () => {
+  const sparql = await generatePathSparql(context, 'http://example.org/#me', '.friends.label');
+  expect(sparql).toContain('<http://example.org/#me> <http://xmlns.com/foaf/0.1/knows> ?v0.');
+  expect(sparql).toContain('?v0 <http://www.w3.org/2000/01/rdf-schema#label> ?label.');
+
+  const formatted = formatSparql(sparql, { foaf: 'http://xmlns.com/foaf/0.1/' });
+  expect(formatted).toContain('PREFIX foaf: <http://xmlns.com/foaf/0.1/>');
+  expect(formatted).toContain('foaf:knows ?v0');
+});
+
+test('tokenizes SPARQL for highlighting', () => {
+  const sparql = 'SELECT ?name WHERE { <#me> foaf:name "Me, #1"@en; a 3. } # done';
+  const tokens = tokenizeSparql(sparql);
+  expect(tokens.map(token => token.text).join('')).toBe(sparql);
+  expect(tokens.filter(token => token.type !== 'text').map(token => [token.type, token.text])).toEqual([
+    ['keyword', 'SELECT'],
+    ['variable', '?name'],
+    ['keyword', 'WHERE'],
+    ['iri', '<#me>'],
+    ['prefixedName', 'foaf:name'],
+    ['literal', '"Me, #1"'],
+    ['keyword', 'a'],
+    ['number', '3.'],
+    ['comment', '# done'],
+  ]);
+});
@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from 'react';
+import { Form, Table } from 'react-bootstrap';
+
+import { parseDataPath, validateDataPath, explainTermExpansion } from './LdfDataPath';
+import { generatePathSparql, formatSparql, tokenizeSparql } from './LdfSparql';
+import { getContextPrefixes } from './ResultExport';
+
+// Delay after the last edit before the SPARQL is regenerated (ms)
+const refreshDelay = 300;
+
+// How each context expansion rule is described
+const expansionRuleLabels = {
+  term: 'term definition',
+  prefix: 'prefix',
+  vocab: '@vocab',
+};
+
+// e.g. 'prefixedName' tokens are styled by the sparqlPrefixedName class
+const tokenClassName = type => 'sparql' + type[0].toUpperCase() + type.slice(1);
+
+// ------------------------------------------------------------------
+
+// Shows the SPARQL query LDflex generates for the data path, with syntax
+// highlighting, side by side with how the JSON-LD context expands each term
+// of the path to a predicate IRI.
+//
+// Updates as the subject, data path or context changes. Nothing is executed.
+//
+// Props:
+// - subject: The subject the data path is evaluated from.
+// - dataPath: The LDflex data path.
+// - context: The JSON-LD context (a string).
+export function LdfSparqlPanel(props) {
+  const { subject, dataPath, context } = props;
+
+  const [sparql, setSparql] = useState(null);
+  const [segments, setSegments] = useState([]);
+  const [contextObj, setContextObj] = useState(null);
+  const [compactIris, setCompactIris] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const refresh = async () => {
+      let newContextObj = null;
+      let newSegments = [];
+      let newSparql = null;
+      let newStatus = null;
+
+      try {
+        newContextObj = JSON.parse(context);
+        const parsed = parseDataPath(dataPath);
+        newSegments = parsed.segments;
+        const errors = parsed.errors.length ? parsed.errors : await validateDataPath(newSegments, newContextObj);
+        if (errors.length)
+          throw new Error(errors.map(error => error.message).join('; '));
+
+        newSparql = await generatePathSparql(newContextObj, subject, dataPath);
+        if (compactIris)
+          newSparql = formatSparql(newSparql, getContextPrefixes(newContextObj));
+      }
+      catch (ex) {
+        newStatus = 'No SPARQL generated: ' + ex.message;
+      }
+
+      if (cancelled)
+        return;
+      setContextObj(newContextObj);
+      setSegments(newSegments);
+      setSparql(newSparql);
+      setStatus(newStatus);
+    };
+
+    const timer = setTimeout(refresh, refreshDelay);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [subject, dataPath, context, compactIris]);
+
+  const renderedSparql = () => {
+    return (
+      <pre className="sparqlText">
+        {tokenizeSparql(sparql).map((token, index) => (
+          token.type === 'text' ? token.text : <span key={index} className={tokenClassName(token.type)}>{token.text}</span>
+        ))}
+      </pre>
+    );
+  }
+
+  const renderedExpansion = segment => {
+    if (segment.builtin)
+      return <td colSpan={2}><em>LDflex builtin</em></td>;
+
+    const steps = contextObj ? explainTermExpansion(segment.term || segment.name, contextObj) : [];
+    return (
+      <>
+        <td>
+          {steps.length ?
+            steps.map((step, index) => (
+              <div key={index}>
+                {step.from} &rarr; {step.to} <span className="sparqlExpansionRule">({expansionRuleLabels[step.rule]} "{step.key}")</span>
+              </div>
+            )) :
+            <span className="sparqlExpansionRule">{segment.predicate ? 'absolute IRI' : 'not expanded'}</span>
+          }
+        </td>
+        <td>
+          {segment.predicate ? segment.predicate : '-'}
+          {segment.reverse ? <span className="sparqlExpansionRule"> (reverse)</span> : null}
+        </td>
+      </>
+    );
+  }
+
+  return (
+    <div className="sparqlPanel">
+      <div className="sparqlPanelColumn">
+        <div style={{ display: "flex" }}>
+          <Form.Label style={{ flex: "1" }}>Generated SPARQL:</Form.Label>
+          <Form.Check type="checkbox" id="sparqlCompactIris" label="Use context prefixes"
+            checked={compactIris} onChange={event => setCompactIris(event.target.checked)}
+          />
+        </div>
+        {sparql ? renderedSparql() : null}
+        {status ? <p className="errorTxt">{status}</p> : null}
+      </div>
+
+      <div>&nbsp;</div>
+
+      <div className="sparqlPanelColumn">
+        <Form.Label>Context expansion:</Form.Label>
+        <Table className="sparqlExpansion" size="sm" bordered>
+          <thead>
+            <tr><th>Segment</th><th>Expansion</th><th>Predicate IRI</th></tr>
+          </thead>
+          <tbody>
+            {segments.map((segment, index) => (
+              <tr key={index}>
+                <td>{segment.raw}</td>
+                {renderedExpansion(segment)}
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      </div>
+    </div>
+  );
+}
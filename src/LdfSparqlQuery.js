@@ -0,0 +1,105 @@
+// Raw SPARQL queries, executed by the same query engine LDflex uses.
+//
+// ComunicaEngine.execute() only streams the bindings of SELECT queries, so
+// ASK, CONSTRUCT and DESCRIBE queries are run on the Comunica engine it wraps,
+// against the sources it was created with.
+//
+// Solutions are held as rows mapping each variable (without '?') to a result
+// object (see LdfResults.js). Triples and booleans are given a tabular form too,
+// so every query type can be shown by the same result renderers:
+//
+//   SELECT:              { type: 'bindings', variables, bindings }
+//   ASK:                 { type: 'boolean', boolean, variables: ['boolean'], bindings }
+//   CONSTRUCT, DESCRIBE: { type: 'quads', quads, variables: ['subject', 'predicate', 'object'], bindings }
+
+import { termToResult } from './LdfResults';
+import { streamValues } from './QueryStream';
+
+const { Parser: SparqlParser } = require('sparqljs');
+
+const XSD_BOOLEAN = 'http://www.w3.org/2001/XMLSchema#boolean';
+
+const supportedQueryTypes = ['SELECT', 'ASK', 'CONSTRUCT', 'DESCRIBE'];
+
+// Stops Comunica producing results nobody will read.
+function destroyStream(stream) {
+  if (typeof stream.destroy === 'function')
+    stream.destroy();
+}
+
+// ------------------------------------------------------------------
+
+// Returns the query type (SELECT, ASK, CONSTRUCT or DESCRIBE) of a SPARQL query.
+// Throws if the query is malformed or is an update.
+export function getSparqlQueryType(sparql) {
+  if (!sparql || !sparql.trim())
+    throw new Error('No SPARQL query given');
+  const query = new SparqlParser().parse(sparql);
+  if (query.type !== 'query' || !supportedQueryTypes.includes(query.queryType))
+    throw new Error('Only SELECT, ASK, CONSTRUCT and DESCRIBE queries are supported');
+  return query.queryType;
+}
+
+// Executes a SPARQL query using the given ComunicaEngine.
+// Resolves to the query result, as described above, with the stopReason of streamValues()
+// given the options (see QueryStream.js). onProgress, if given, is called with the
+// result so far as solutions or triples arrive.
+export async function executeSparql(queryEngine, sparql, options = {}, onProgress) {
+  getSparqlQueryType(sparql);
+
+  const sources = await queryEngine._sources;
+  if (!sources.length)
+    throw new Error('No data source given');
+  const result = await queryEngine._engine.query(sparql, { sources });
+
+  switch (result.type) {
+    case 'boolean': {
+      const boolean = await result.booleanResult;
+      return {
+        type: 'boolean',
+        boolean,
+        variables: ['boolean'],
+        bindings: [{ boolean: { termType: 'Literal', value: String(boolean), datatype: XSD_BOOLEAN } }],
+        stopReason: null
+      };
+    }
+
+    case 'quads': {
+      const quadsResult = { type: 'quads', quads: [], variables: ['subject', 'predicate', 'object'], bindings: [] };
+      const { stopReason } = await streamValues(queryEngine.streamToAsyncIterable(result.quadStream), quad => {
+        quadsResult.quads.push(quad);
+        quadsResult.bindings.push({
+          subject: termToResult(quad.subject),
+          predicate: termToResult(quad.predicate),
+          object: termToResult(quad.object)
+        });
+        if (onProgress)
+          onProgress(quadsResult);
+      }, options);
+      if (stopReason)
+        destroyStream(result.quadStream);
+      return { ...quadsResult, stopReason };
+    }
+
+    case 'bindings':
+    default: {
+      const variables = result.variables.map(variable => variable.replace(/^\?/, ''));
+      const bindingsResult = { type: 'bindings', variables, bindings: [] };
+      const { stopReason } = await streamValues(queryEngine.streamToAsyncIterable(result.bindingsStream), solution => {
+        const row = {};
+        variables.forEach(variable => {
+          const term = solution.get('?' + variable);
+          // Unbound variables (e.g. in an OPTIONAL) are left out of the row.
+          if (term)
+            row[variable] = termToResult(term);
+        });
+        bindingsResult.bindings.push(row);
+        if (onProgress)
+          onProgress(bindingsResult);
+      }, options);
+      if (stopReason)
+        destroyStream(result.bindingsStream);
+      return { ...bindingsResult, stopReason };
+    }
+  }
+}
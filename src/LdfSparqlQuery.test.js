@@ -0,0 +1,55 @@
+import { getSparqlQueryType, executeSparql } from './LdfSparqlQuery';
+import { createTestEngine } from './TestFixtures';
+
+const turtle = `
+@prefix foaf: <http://xmlns.com/foaf/0.1/>.
+<#me> foaf:name "Me"; foaf:knows <#you>.
+<#you> foaf:name "You"@en.
+`;
+
+const createEngine = async () => (await createTestEngine(turtle)).queryEngine;
+
+test('recognizes the supported query types', () => {
+  expect(getSparqlQueryType('PREFIX foaf: <http://xmlns.com/foaf/0.1/> SELECT ?s WHERE { ?s foaf:name ?n }')).toBe('SELECT');
+  expect(getSparqlQueryType('ASK { ?s ?p ?o }')).toBe('ASK');
+  expect(() => getSparqlQueryType('INSERT DATA { <http://example.org/#a> <http://example.org/#b> <http://example.org/#c> }')).toThrow('Only SELECT, ASK, CONSTRUCT and DESCRIBE');
+  expect(() => getSparqlQueryType('SELECT ?s WHERE {')).toThrow();
+  expect(() => getSparqlQueryType(' ')).toThrow('No SPARQL query given');
+});
+
+test('executes SELECT queries', async () => {
+  const result = await executeSparql(await createEngine(), `
+    PREFIX foaf: <http://xmlns.com/foaf/0.1/>
+    SELECT ?person ?name ?friend WHERE { ?person foaf:name ?name. OPTIONAL { ?person foaf:knows ?friend } }
+    ORDER BY ?name`);
+  expect(result.type).toBe('bindings');
+  expect(result.variables).toEqual(['person', 'name', 'friend']);
+  expect(result.bindings).toEqual([
+    {
+      person: { termType: 'NamedNode', value: 'http://example.org/people#me' },
+      name: { termType: 'Literal', value: 'Me', datatype: 'http://www.w3.org/2001/XMLSchema#string' },
+      friend: { termType: 'NamedNode', value: 'http://example.org/people#you' },
+    },
+    {
+      person: { termType: 'NamedNode', value: 'http://example.org/people#you' },
+      name: { termType: 'Literal', value: 'You', datatype: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#langString', language: 'en' },
+    },
+  ]);
+});
+
+test('executes ASK and CONSTRUCT queries', async () => {
+  const queryEngine = await createEngine();
+
+  const ask = await executeSparql(queryEngine, 'ASK { ?s <http://xmlns.com/foaf/0.1/knows> ?o }');
+  expect(ask).toMatchObject({ type: 'boolean', boolean: true, variables: ['boolean'] });
+
+  const construct = await executeSparql(queryEngine,
+    'CONSTRUCT { ?o <http://xmlns.com/foaf/0.1/knows> ?s } WHERE { ?s <http://xmlns.com/foaf/0.1/knows> ?o }');
+  expect(construct.type).toBe('quads');
+  expect(construct.quads).toHaveLength(1);
+  expect(construct.bindings).toEqual([{
+    subject: { termType: 'NamedNode', value: 'http://example.org/people#you' },
+    predicate: { termType: 'NamedNode', value: 'http://xmlns.com/foaf/0.1/knows' },
+    object: { termType: 'NamedNode', value: 'http://example.org/people#me' },
+  }]);
+});
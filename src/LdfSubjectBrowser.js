@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import { Form, Pagination } from 'react-bootstrap';
+
+import {
+  UNTYPED, isDocumentSubject, subjectDisplayName, searchSubjects, sortSubjects, groupSubjectsByType
+} from './LdfSubjects';
+import { paginateTableRows } from './LdfTable';
+
+const pageSizes = [25, 100, 500];
+
+// The last segment of an IRI, for a compact type label.
+const localName = iri => iri.replace(/^.*[#/]/, '') || iri;
+
+// ------------------------------------------------------------------
+
+// Lists the subjects found in the source(s) (see LdfSubjects.js), optionally grouped
+// by rdf:type, with incremental search, sorting and pagination.
+//
+// By default only the documents' own subjects are listed, and blank nodes are hidden.
+// Blank nodes, when shown, can't be selected, as they can't start a data path.
+//
+// Props:
+// - subjects: The subjects found, as { id, termType, types, labels }.
+// - subject: The IRI of the selected subject.
+// - documentUrls: The URLs of the documents queried.
+// - subjectTag(id): Returns a note shown after a subject, e.g. the sources it was found in, or null.
+// - onSelect(iri): Selects a subject.
+export function LdfSubjectBrowser(props) {
+  const { subjects, subject, documentUrls, subjectTag, onSelect } = props;
+
+  const [searchText, setSearchText] = useState('');
+  const [sortBy, setSortBy] = useState('label');
+  const [groupByType, setGroupByType] = useState(true);
+  const [documentOnly, setDocumentOnly] = useState(true);
+  const [showBlankNodes, setShowBlankNodes] = useState(false);
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(pageSizes[0]);
+
+  // Changing what's listed returns to the first page.
+  const listingChange = setter => value => {
+    setter(value);
+    setPage(0);
+  }
+
+  const listed = sortSubjects(searchSubjects(subjects.filter(subj =>
+    subj.termType === 'BlankNode' ?
+      showBlankNodes :
+      !documentOnly || isDocumentSubject(subj, documentUrls)
+  ), searchText), sortBy);
+
+  // Each row is a subject together with the type group it's listed in, if grouped.
+  const groups = groupByType ? groupSubjectsByType(listed) : [];
+  const rows = groupByType ?
+    groups.flatMap(group => group.subjects.map(subj => ({ group: group.type, subject: subj }))) :
+    listed.map(subj => ({ group: null, subject: subj }));
+  const { pageRows, page: currentPage, pageCount } = paginateTableRows(rows, page, pageSize);
+  const groupSizes = new Map(groups.map(group => [group.type, group.subjects.length]));
+
+  const renderedGroupHeading = type => {
+    return (
+      <div key={'group ' + type} className="subjectBrowserGroup" title={type}>
+        {type === UNTYPED ? 'No type' : localName(type)} ({groupSizes.get(type)})
+      </div>
+    );
+  }
+
+  const renderedSubject = (subj, group) => {
+    const isBlankNode = subj.termType === 'BlankNode';
+    const tag = isBlankNode ? null : subjectTag(subj.id);
+    const classNames = ['subjectBrowserItem'];
+    if (subj.id === subject)
+      classNames.push('subjectBrowserSelected');
+    if (isBlankNode)
+      classNames.push('subjectBrowserBlank');
+
+    return (
+      <div key={`${group} ${subj.id}`} className={classNames.join(' ')}
+        title={isBlankNode ? 'Blank nodes can\'t start a data path' : subj.types.join('\n')}
+        onClick={isBlankNode ? undefined : () => onSelect(subj.id)}>
+        {subj.labels.length ? <strong>{subjectDisplayName(subj)}</strong> : null}
+        <span>{isBlankNode ? '_:' + subj.id : subj.id}</span>
+        {tag ? <span>{tag}</span> : null}
+      </div>
+    );
+  }
+
+  const renderedRows = () => {
+    const rendered = [];
+    pageRows.forEach((row, index) => {
+      if (row.group !== null && (index === 0 || pageRows[index - 1].group !== row.group))
+        rendered.push(renderedGroupHeading(row.group));
+      rendered.push(renderedSubject(row.subject, row.group));
+    });
+    return rendered;
+  }
+
+  return (
+    <div className="subjectBrowser">
+      <div style={{ display: "flex", alignItems: "center", marginBottom: "5px" }}>
+        <Form.Control className="inputCntrl1" size="sm" placeholder="Search subjects, labels and types..."
+          value={searchText} onChange={event => listingChange(setSearchText)(event.target.value)} style={{ marginBottom: "0" }}
+        />
+        <span>&nbsp;</span>
+        <Form.Control as="select" size="sm" value={sortBy} title="Sort by"
+          onChange={event => listingChange(setSortBy)(event.target.value)} style={{ width: "20%" }}>
+          <option value="label">Sort by label</option>
+          <option value="iri">Sort by IRI</option>
+        </Form.Control>
+      </div>
+      <div style={{ display: "flex", fontSize: "90%" }}>
+        <Form.Check inline type="checkbox" id="subjectsByType" label="Group by type"
+          checked={groupByType} onChange={event => listingChange(setGroupByType)(event.target.checked)}
+        />
+        <Form.Check inline type="checkbox" id="subjectsDocumentOnly" label="Only the documents' own subjects"
+          checked={documentOnly} onChange={event => listingChange(setDocumentOnly)(event.target.checked)}
+        />
+        <Form.Check inline type="checkbox" id="subjectsBlankNodes" label="Blank nodes"
+          checked={showBlankNodes} onChange={event => listingChange(setShowBlankNodes)(event.target.checked)}
+        />
+      </div>
+      <div className="subjectBrowserList">
+        {renderedRows()}
+      </div>
+      <div style={{ display: "flex", alignItems: "center", marginTop: "5px" }}>
+        <span className="subjectBrowserHint" style={{ flex: "1" }}>
+          {listed.length} of {subjects.length} subjects listed.
+        </span>
+        {pageCount > 1 ?
+          <Pagination size="sm" className="tableViewPagination">
+            <Pagination.Prev disabled={currentPage === 0} onClick={() => setPage(currentPage - 1)} />
+            <Pagination.Item active>{currentPage + 1} / {pageCount}</Pagination.Item>
+            <Pagination.Next disabled={currentPage >= pageCount - 1} onClick={() => setPage(currentPage + 1)} />
+          </Pagination>
+          : null
+        }
+        <Form.Control as="select" size="sm" value={pageSize} title="Subjects per page"
+          onChange={event => listingChange(setPageSize)(Number(event.target.value))} style={{ width: "auto", marginLeft: "5px" }}>
+          {pageSizes.map(size => <option key={size} value={size}>{size} per page</option>)}
+        </Form.Control>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,134 @@
+// Subject discovery: the subjects described in the source(s), with their types and labels.
+//
+// A single SPARQL query finds every subject together with its rdf:type(s) and
+// label(s), rather than LDflex's .subjects, which yields only the subject terms.
+// Each subject is held as:
+//
+//   { id, termType, types: [typeIri, ...], labels: [label, ...] }
+//
+// id being the subject IRI, or the blank node label for a blank node. Blank node
+// labels are only meaningful within the query which found them, so blank nodes
+// can be listed but can't start a data path.
+//
+// A document often also describes subjects defined elsewhere, e.g. the friends in
+// a profile. The subjects of a document are those whose IRI, less any fragment,
+// is the document URL.
+
+import { executeSparql } from './LdfSparqlQuery';
+
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+
+// Properties giving a subject's label, in order of preference
+export const labelProperties = [
+  'http://www.w3.org/2000/01/rdf-schema#label',
+  'http://www.w3.org/2004/02/skos/core#prefLabel',
+  'http://xmlns.com/foaf/0.1/name',
+  'http://schema.org/name',
+  'http://purl.org/dc/terms/title'
+];
+
+// The group of subjects having no rdf:type
+export const UNTYPED = '';
+
+const subjectsSparql = `
+SELECT DISTINCT ?subject ?type ?label WHERE {
+  ?subject ?predicate ?object.
+  OPTIONAL { ?subject <${RDF_TYPE}> ?type. }
+  OPTIONAL { ?subject ${labelProperties.map(iri => `<${iri}>`).join('|')} ?label. }
+}`.trim();
+
+const withoutFragment = iri => iri.replace(/#.*$/, '');
+
+// ------------------------------------------------------------------
+
+// Returns the subject description of a subject IRI about which nothing more is known,
+// e.g. a subject given by a query permalink.
+export function subjectEntry(iri) {
+  return { id: iri, termType: 'NamedNode', types: [], labels: [] };
+}
+
+// Finds the subjects in the sources queried by the query engine.
+// options are those of executeSparql() (see LdfSparqlQuery.js), the result limit
+// applying to the query solutions rather than to the subjects.
+// Resolves to { subjects, stopReason }, subjects being in order of discovery.
+export async function findSubjects(queryEngine, options = {}) {
+  const { bindings, stopReason } = await executeSparql(queryEngine, subjectsSparql, options);
+  return { subjects: collectSubjects(bindings), stopReason };
+}
+
+// Merges the solutions of the subjects query into one description per subject.
+export function collectSubjects(bindings) {
+  const subjects = new Map();
+  bindings.forEach(({ subject, type, label }) => {
+    if (!subject || (subject.termType !== 'NamedNode' && subject.termType !== 'BlankNode'))
+      return;
+    let entry = subjects.get(subject.value);
+    if (!entry) {
+      entry = { id: subject.value, termType: subject.termType, types: [], labels: [] };
+      subjects.set(subject.value, entry);
+    }
+    if (type && type.termType === 'NamedNode' && !entry.types.includes(type.value))
+      entry.types.push(type.value);
+    if (label && !entry.labels.includes(label.value))
+      entry.labels.push(label.value);
+  });
+  return [...subjects.values()];
+}
+
+// Whether the subject is one of the documents' own, i.e. its IRI, less any
+// fragment, is one of the document URLs.
+export function isDocumentSubject(subject, documentUrls) {
+  if (subject.termType !== 'NamedNode')
+    return false;
+  const document = withoutFragment(subject.id);
+  return documentUrls.some(url => withoutFragment(url.trim()) === document);
+}
+
+// The text a subject is listed, sorted and searched by.
+export function subjectDisplayName(subject) {
+  return subject.labels.length ? subject.labels[0] : subject.id;
+}
+
+// Keeps the subjects whose IRI, labels or types contain all the words of the search text.
+export function searchSubjects(subjects, searchText) {
+  const words = (searchText || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length)
+    return subjects;
+  return subjects.filter(subject => {
+    const text = [subject.id, ...subject.labels, ...subject.types].join(' ').toLowerCase();
+    return words.every(word => text.includes(word));
+  });
+}
+
+// Sorts subjects by display name ('label') or by IRI ('iri').
+// Blank nodes sort after named nodes.
+export function sortSubjects(subjects, sortBy = 'label') {
+  const sortKey = subject => (sortBy === 'iri' ? subject.id : subjectDisplayName(subject));
+  return [...subjects].sort((a, b) =>
+    (a.termType === 'BlankNode') - (b.termType === 'BlankNode') ||
+    sortKey(a).localeCompare(sortKey(b), undefined, { sensitivity: 'base' }));
+}
+
+// Groups subjects by rdf:type, as [{ type, subjects }] in order of type IRI,
+// the UNTYPED group last. A subject having several types is in each of their groups.
+export function groupSubjectsByType(subjects) {
+  const groups = new Map();
+  subjects.forEach(subject => {
+    (subject.types.length ? subject.types : [UNTYPED]).forEach(type => {
+      if (!groups.has(type))
+        groups.set(type, []);
+      groups.get(type).push(subject);
+    });
+  });
+  return [...groups.keys()]
+    .sort((a, b) => (a === UNTYPED) - (b === UNTYPED) || a.localeCompare(b))
+    .map(type => ({ type, subjects: groups.get(type) }));
+}
+
+// The subject to select once subjects have been found: the first of the
+// documents' own subjects, or else the first named node found.
+export function defaultSubject(subjects, documentUrls) {
+  const named = sortSubjects(subjects.filter(subject => subject.termType === 'NamedNode'));
+  const own = named.filter(subject => isDocumentSubject(subject, documentUrls));
+  return own.length ? own[0] : named[0];
+}
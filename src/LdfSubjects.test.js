@@ -0,0 +1,47 @@
+import {
+  UNTYPED, findSubjects, isDocumentSubject, searchSubjects, sortSubjects, groupSubjectsByType, defaultSubject
+} from './LdfSubjects';
+import { createTestEngine } from './TestFixtures';
+
+const FOAF = 'http://xmlns.com/foaf/0.1/';
+
+const turtle = `
+@prefix foaf: <http://xmlns.com/foaf/0.1/>.
+@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#>.
+<#me> a foaf:Person, foaf:Agent; foaf:name "Me"; foaf:knows <http://other.example/#you>; foaf:account [ foaf:accountName "me1" ].
+<> a foaf:PersonalProfileDocument; rdfs:label "Profile".
+<http://other.example/#you> foaf:name "You".
+`;
+
+const findTestSubjects = async () => {
+  const { queryEngine } = await createTestEngine(turtle, 'http://example.org/profile');
+  const { subjects } = await findSubjects(queryEngine);
+  return subjects;
+}
+
+test('finds the subjects with their types and labels', async () => {
+  const subjects = sortSubjects(await findTestSubjects(), 'iri');
+  expect(subjects.map(({ id, types, labels }) => [id, types.sort(), labels])).toEqual([
+    ['http://example.org/profile', [FOAF + 'PersonalProfileDocument'], ['Profile']],
+    ['http://example.org/profile#me', [FOAF + 'Agent', FOAF + 'Person'], ['Me']],
+    ['http://other.example/#you', [], ['You']],
+    [subjects[3].id, [], []],
+  ]);
+  expect(subjects[3].termType).toBe('BlankNode');
+});
+
+test('filters, searches, sorts and groups subjects', async () => {
+  const subjects = await findTestSubjects();
+  const documentUrls = ['http://example.org/profile#ignored'];
+
+  expect(sortSubjects(subjects.filter(subject => isDocumentSubject(subject, documentUrls))).map(subject => subject.id))
+    .toEqual(['http://example.org/profile#me', 'http://example.org/profile']);
+  expect(searchSubjects(subjects, 'AGENT me').map(subject => subject.id)).toEqual(['http://example.org/profile#me']);
+  expect(defaultSubject(subjects, documentUrls).id).toBe('http://example.org/profile#me');
+  expect(defaultSubject(subjects, ['http://elsewhere.example/']).id).toBe('http://example.org/profile#me');
+
+  const groups = groupSubjectsByType(subjects);
+  expect(groups.map(group => [group.type, group.subjects.length])).toEqual([
+    [FOAF + 'Agent', 1], [FOAF + 'Person', 1], [FOAF + 'PersonalProfileDocument', 1], [UNTYPED, 2]
+  ]);
+});
@@ -0,0 +1,284 @@
+// Test suites: LDflex regression and data-contract checks, run case by case.
+//
+// A suite is loaded from a JSON or YAML file:
+//
+//   name: Profile checks
+//   defaults:                        # Any case property, applying to every case not giving it
+//     context: { "@vocab": "http://xmlns.com/foaf/0.1/" }
+//   fixtures:                        # Inline RDF which cases can query instead of sources
+//     people:
+//       data: '<#me> <http://xmlns.com/foaf/0.1/name> "Me".'
+//       format: text/turtle          # Optional, as for local RDF (see LocalRdfSource.js)
+//       baseIri: http://example.org/people
+//   cases:
+//     - name: Name
+//       fixture: people              # Or sources: [url, ...] or [{ url, type }, ...], or source: url
+//       subject: http://example.org/people#me
+//       dataPath: .name
+//       expect:                      # Any of:
+//         exact: [Me]                #   exactly these values, in any order
+//         contains: [Me]             #   at least these values
+//         count: 1                   #   this many values
+//         regex: ^M                  #   every value matching
+//
+// Running a case evaluates its data path like a query in the form, and checks the
+// values (as strings) against each expectation. Its result is:
+//
+//   { name, status, values, failures: [{ kind, message, missing, unexpected }], error, duration }
+//
+// status being CASE_PASSED, CASE_FAILED (an expectation isn't met) or CASE_ERROR
+// (the case couldn't be run). A suite run can be exported as a JUnit XML report.
+
+import { checkQuery, sourcesEngineSpec, localEngineSpec, evaluateDataPath } from './LdfQuery';
+import { createEngineCache, createQueryContext } from './LdfQueryContext';
+import { describeStopReason, STOP_CANCELLED } from './QueryStream';
+import { validateSources, defaultSourceType } from './LdfSources';
+import { parseLocalRdf, defaultLocalRdfFormat, defaultLocalBaseIri } from './LocalRdfSource';
+
+const yaml = require('js-yaml');
+
+export const CASE_PASSED = 'passed';
+export const CASE_FAILED = 'failed';
+export const CASE_ERROR = 'error';
+
+export const expectationKinds = ['exact', 'contains', 'count', 'regex'];
+
+// The case properties suite defaults can give
+const defaultableProperties = ['sources', 'source', 'fixture', 'subject', 'context', 'dataPath'];
+
+// ------------------------------------------------------------------
+
+// Parses a suite file, JSON or YAML (JSON being YAML too).
+// Returns the suite: { name, cases }, each case being
+// { name, sources, fixture, subject, context, dataPath, expect }, fixture being null
+// or { name, data, format, baseIri }, and context a string.
+// Throws if the file isn't a valid suite.
+export function parseSuite(text, fileName = 'suite') {
+  let file;
+  try {
+    file = yaml.safeLoad(text);
+  }
+  catch (ex) {
+    throw new Error(`Not a JSON or YAML file: ${ex.message}`);
+  }
+  if (!file || typeof file !== 'object' || !Array.isArray(file.cases) || !file.cases.length)
+    throw new Error('A suite must have a list of cases');
+
+  const defaults = file.defaults || {};
+  const fixtures = file.fixtures || {};
+  const cases = file.cases.map((testCase, index) => {
+    try {
+      return normalizeCase({ ...pick(defaults, defaultableProperties), ...testCase }, fixtures, index);
+    }
+    catch (ex) {
+      throw new Error(`Invalid case #${index + 1}${testCase && testCase.name ? ` (${testCase.name})` : ''}: ${ex.message}`);
+    }
+  });
+  return { name: typeof file.name === 'string' ? file.name : fileName.replace(/\.[^.]*$/, ''), cases };
+}
+
+function pick(object, properties) {
+  return Object.fromEntries(properties.filter(property => object[property] !== undefined)
+    .map(property => [property, object[property]]));
+}
+
+function normalizeCase(testCase, fixtures, index) {
+  if (typeof testCase.subject !== 'string' || !testCase.subject.trim())
+    throw new Error('No subject given');
+  if (typeof testCase.dataPath !== 'string' || !testCase.dataPath.trim())
+    throw new Error('No data path given');
+
+  let fixture = null;
+  let sources = [];
+  if (testCase.fixture) {
+    const fixtureName = typeof testCase.fixture === 'string' ? testCase.fixture : `case #${index + 1}`;
+    const description = typeof testCase.fixture === 'string' ? fixtures[testCase.fixture] : testCase.fixture;
+    if (!description || typeof description.data !== 'string')
+      throw new Error(`Unknown fixture: ${fixtureName}`);
+    fixture = {
+      name: fixtureName,
+      data: description.data,
+      format: description.format || defaultLocalRdfFormat,
+      baseIri: description.baseIri || defaultLocalBaseIri
+    };
+  }
+  else {
+    const given = testCase.sources !== undefined ? testCase.sources : testCase.source;
+    sources = (Array.isArray(given) ? given : [given]).filter(Boolean)
+      .map(source => (typeof source === 'string' ? { url: source, type: defaultSourceType } : source));
+    validateSources(sources);
+  }
+
+  const expect = testCase.expect || {};
+  if (!expectationKinds.some(kind => expect[kind] !== undefined))
+    throw new Error(`No expectation given (${expectationKinds.join(', ')})`);
+  if (expect.count !== undefined && !Number.isInteger(expect.count))
+    throw new Error('The expected count must be a whole number');
+  if (expect.regex !== undefined) {
+    try {
+      RegExp(expect.regex);
+    }
+    catch (ex) {
+      throw new Error(`Invalid regex: ${ex.message}`);
+    }
+  }
+
+  return {
+    name: testCase.name ? String(testCase.name) : `Case #${index + 1}`,
+    sources,
+    fixture,
+    subject: testCase.subject.trim(),
+    context: typeof testCase.context === 'string' ? testCase.context : JSON.stringify(testCase.context || {}),
+    dataPath: testCase.dataPath.trim(),
+    expect
+  };
+}
+
+// Checks values (strings) against the expectations of a case.
+// Returns the failures, none if every expectation is met.
+export function checkExpectations(values, expect) {
+  const failures = [];
+  const asStrings = list => (Array.isArray(list) ? list : [list]).map(String);
+  // The values of expected missing from actual, counting repeated values.
+  const missingFrom = (expected, actual) => {
+    const remaining = [...actual];
+    return expected.filter(value => {
+      const index = remaining.indexOf(value);
+      if (index < 0)
+        return true;
+      remaining.splice(index, 1);
+      return false;
+    });
+  };
+
+  if (expect.exact !== undefined) {
+    const expected = asStrings(expect.exact);
+    const missing = missingFrom(expected, values);
+    const unexpected = missingFrom(values, expected);
+    if (missing.length || unexpected.length)
+      failures.push({ kind: 'exact', message: `Expected exactly ${expected.length} values, got ${values.length}`, missing, unexpected });
+  }
+  if (expect.contains !== undefined) {
+    const missing = missingFrom(asStrings(expect.contains), values);
+    if (missing.length)
+      failures.push({ kind: 'contains', message: `${missing.length} expected values are missing`, missing, unexpected: [] });
+  }
+  if (expect.count !== undefined && values.length !== expect.count)
+    failures.push({ kind: 'count', message: `Expected ${expect.count} values, got ${values.length}`, missing: [], unexpected: [] });
+  if (expect.regex !== undefined) {
+    const regex = new RegExp(expect.regex);
+    const unexpected = values.filter(value => !regex.test(value));
+    if (unexpected.length)
+      failures.push({ kind: 'regex', message: `${unexpected.length} values don't match /${expect.regex}/`, missing: [], unexpected });
+  }
+  return failures;
+}
+
+// Runs the cases of a suite in order.
+// options:
+// - queryContext: The query execution context evaluating the cases querying sources
+//   (see LdfQueryContext.js), e.g. the client's, caching their engines. By default, a new one.
+// - signal, timeout, limit: As for streamValues() (see QueryStream.js), applying to each case.
+// - onResult(result, index): Called as each case completes.
+// Resolves to the case results, those of the cases not run if the run is cancelled being left out.
+export async function runSuite(suite, options = {}) {
+  const { queryContext = createQueryContext(createEngineCache()), onResult } = options;
+  // The fixtures of a run are its own: their engines are cached by a query context of their own.
+  const fixtureStores = new Map(); // The store of each fixture, shared by the cases querying it
+  const fixtureNames = new Set(suite.cases.filter(testCase => testCase.fixture).map(testCase => testCase.fixture.name));
+  const fixtureContext = createQueryContext(createEngineCache(Math.max(fixtureNames.size, 1)));
+  const results = [];
+
+  for (const [index, testCase] of suite.cases.entries()) {
+    if (options.signal && options.signal.aborted)
+      break;
+    const startTime = Date.now();
+    let result;
+    try {
+      let values;
+      if (testCase.fixture) {
+        const { name, data, format, baseIri } = testCase.fixture;
+        if (!fixtureStores.has(name))
+          fixtureStores.set(name, parseLocalRdf(data, format, baseIri));
+        const engineSpec = { ...localEngineSpec(await fixtureStores.get(name)), key: `fixture ${name}` };
+        values = await evaluateCase(testCase, fixtureContext, engineSpec, options);
+      }
+      else
+        values = await evaluateCase(testCase, queryContext, sourcesEngineSpec(testCase.sources), options);
+      const failures = checkExpectations(values, testCase.expect);
+      result = { status: failures.length ? CASE_FAILED : CASE_PASSED, values, failures, error: null };
+    }
+    catch (ex) {
+      result = { status: CASE_ERROR, values: [], failures: [], error: ex.message };
+    }
+    result = { name: testCase.name, ...result, duration: Date.now() - startTime };
+    results.push(result);
+    if (onResult)
+      onResult(result, index);
+  }
+  return results;
+}
+
+// Evaluates a case's data path as the client evaluates a query (see LdfQuery.js),
+// with the query engine described by engineSpec. Resolves to the values, as strings.
+async function evaluateCase(testCase, queryContext, engineSpec, options) {
+  await checkQuery(testCase);
+
+  const { signal, timeout, limit } = options;
+  const { results, stopReason } = await evaluateDataPath(queryContext, engineSpec, testCase,
+    { signal, timeout, limit });
+  // An incomplete list of values can't be checked.
+  if (stopReason)
+    throw new Error(stopReason === STOP_CANCELLED ? 'Cancelled' : `Query ${describeStopReason(stopReason, options)}`);
+  return results.map(result => result.value);
+}
+
+// Counts the case results of each status: { tests, passed, failed, errors, duration }.
+export function summarizeResults(results) {
+  return {
+    tests: results.length,
+    passed: results.filter(result => result.status === CASE_PASSED).length,
+    failed: results.filter(result => result.status === CASE_FAILED).length,
+    errors: results.filter(result => result.status === CASE_ERROR).length,
+    duration: results.reduce((total, result) => total + result.duration, 0)
+  };
+}
+
+const escapeXml = text => String(text).replace(/[<>&"']/g, char =>
+  ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[char]));
+
+// Describes a failure's differences, e.g. for a JUnit report.
+export function describeFailure(failure) {
+  const lines = [failure.message];
+  failure.missing.forEach(value => lines.push(`- ${value}`));
+  failure.unexpected.forEach(value => lines.push(`+ ${value}`));
+  return lines.join('\n');
+}
+
+// Writes a suite run as a JUnit XML report, as read by CI servers.
+// startedAt is the ISO date and time the run started.
+export function resultsToJUnitXml(suite, results, startedAt) {
+  const { tests, failed, errors, duration } = summarizeResults(results);
+  const seconds = ms => (ms / 1000).toFixed(3);
+  const suiteName = escapeXml(suite.name);
+  const testCases = results.map(result => {
+    const attributes = `name="${escapeXml(result.name)}" classname="${suiteName}" time="${seconds(result.duration)}"`;
+    let body = '';
+    if (result.status === CASE_FAILED) {
+      body = result.failures.map(failure =>
+        `      <failure message="${escapeXml(failure.message)}" type="${failure.kind}">${escapeXml(describeFailure(failure))}</failure>\n`
+      ).join('');
+    }
+    else if (result.status === CASE_ERROR)
+      body = `      <error message="${escapeXml(result.error)}" type="Error"/>\n`;
+    return body ? `    <testcase ${attributes}>\n${body}    </testcase>\n` : `    <testcase ${attributes}/>\n`;
+  }).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<testsuites name="${suiteName}" tests="${tests}" failures="${failed}" errors="${errors}" time="${seconds(duration)}">\n` +
+    `  <testsuite name="${suiteName}" tests="${tests}" failures="${failed}" errors="${errors}" skipped="0" ` +
+    `time="${seconds(duration)}" timestamp="${startedAt.replace(/\.\d+Z$|Z$/, '')}">\n` +
+    testCases +
+    '  </testsuite>\n' +
+    '</testsuites>\n';
+}
@@ -0,0 +1,76 @@
+import {
+  CASE_PASSED, CASE_FAILED, CASE_ERROR, parseSuite, checkExpectations, runSuite, summarizeResults, resultsToJUnitXml
+} from './LdfSuite';
+
+const suiteYaml = `
+name: People
+defaults:
+  context: { "@vocab": "http://xmlns.com/foaf/0.1/" }
+  fixture: people
+  subject: http://example.org/people#me
+fixtures:
+  people:
+    baseIri: http://example.org/people
+    data: |
+      @prefix foaf: <http://xmlns.com/foaf/0.1/>.
+      <#me> foaf:name "Me"; foaf:nick "me1", "me2"; foaf:knows <#you>.
+      <#you> foaf:name "You".
+cases:
+  - name: Name
+    dataPath: .name
+    expect: { exact: [Me], count: 1 }
+  - name: Nicks
+    dataPath: .nick
+    expect: { contains: [me2, me3], regex: "^me" }
+  - name: Friend names
+    dataPath: .knows.name
+    expect: { exact: ["You"] }
+  - name: Bad path
+    dataPath: .name..nick
+    expect: { count: 0 }
+`;
+
+test('parses suites, applying the defaults to each case', () => {
+  const suite = parseSuite(suiteYaml);
+  expect(suite.name).toBe('People');
+  expect(suite.cases).toHaveLength(4);
+  expect(suite.cases[0]).toMatchObject({
+    name: 'Name', sources: [], subject: 'http://example.org/people#me', dataPath: '.name',
+    fixture: { name: 'people', baseIri: 'http://example.org/people', format: 'text/turtle' }
+  });
+  expect(JSON.parse(suite.cases[0].context)).toEqual({ '@vocab': 'http://xmlns.com/foaf/0.1/' });
+
+  expect(parseSuite('{ "cases": [{ "source": "https://example.org/doc", "subject": "https://example.org/doc#it", ' +
+    '"dataPath": ".label", "expect": { "count": 2 } }] }', 'checks.json').name).toBe('checks');
+  expect(() => parseSuite('cases: [{ subject: "http://a.example/", dataPath: .name, expect: { count: 1 } }]'))
+    .toThrow('Invalid case #1: No data source given');
+  expect(() => parseSuite('cases: [{ fixture: nope, subject: "http://a.example/", dataPath: .name, expect: {} }]'))
+    .toThrow('Unknown fixture: nope');
+});
+
+test('checks values against expectations, describing the differences', () => {
+  expect(checkExpectations(['a', 'b', 'b'], { exact: ['b', 'a', 'b'], count: 3, contains: ['b'], regex: '^[ab]$' })).toEqual([]);
+  expect(checkExpectations(['a', 'b', 'b'], { exact: ['a', 'c'], regex: 'a' })).toEqual([
+    { kind: 'exact', message: 'Expected exactly 2 values, got 3', missing: ['c'], unexpected: ['b', 'b'] },
+    { kind: 'regex', message: '2 values don\'t match /a/', missing: [], unexpected: ['b', 'b'] },
+  ]);
+  expect(checkExpectations(['1'], { exact: [1] })).toEqual([]);
+});
+
+test('runs suites and reports them as JUnit XML', async () => {
+  const suite = parseSuite(suiteYaml);
+  const onResult = jest.fn();
+  const results = await runSuite(suite, { onResult });
+
+  expect(results.map(result => result.status)).toEqual([CASE_PASSED, CASE_FAILED, CASE_PASSED, CASE_ERROR]);
+  expect(results[1].failures[0].missing).toEqual(['me3']);
+  expect(onResult).toHaveBeenCalledTimes(4);
+  expect(summarizeResults(results)).toMatchObject({ tests: 4, passed: 2, failed: 1, errors: 1 });
+
+  const xml = resultsToJUnitXml(suite, results, '2026-01-02T03:04:05.678Z');
+  expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="People" tests="4" failures="1" errors="1"/);
+  expect(xml).toContain('timestamp="2026-01-02T03:04:05"');
+  expect(xml).toContain('<testcase name="Name" classname="People"');
+  expect(xml).toContain('<failure message="1 expected values are missing" type="contains">1 expected values are missing\n- me3</failure>');
+  expect(xml).toMatch(/<testcase name="Bad path"[^>]*>\n\s*<error message="Invalid LDflex data path: /);
+});
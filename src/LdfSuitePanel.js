@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import { Button, Form, Table } from 'react-bootstrap';
+
+import {
+  CASE_PASSED, CASE_FAILED, CASE_ERROR, parseSuite, runSuite, summarizeResults, resultsToJUnitXml
+} from './LdfSuite';
+import { downloadText } from './ResultExport';
+
+const statusLabels = { [CASE_PASSED]: 'Pass', [CASE_FAILED]: 'Fail', [CASE_ERROR]: 'Error' };
+
+// ------------------------------------------------------------------
+
+// Suite mode: loads a test suite from a JSON or YAML file and runs its cases
+// in order, showing which pass and, for those failing, the differences between
+// the expected and actual values (see LdfSuite.js). A run can be exported as a
+// JUnit XML report.
+//
+// Props:
+// - queryContext: The query execution context evaluating the cases querying sources (see LdfQueryContext.js).
+// - getRunOptions: Returns the options (signal, timeout, limit) of a new query run (see QueryStream.js).
+// - setResponsePending: Shows or hides the query progress indicator.
+// - onOpenCase(query): Restores the form state of a case querying sources, for investigating it.
+export function LdfSuitePanel(props) {
+  const { queryContext, getRunOptions, setResponsePending, onOpenCase } = props;
+
+  const [suite, setSuite] = useState(null);
+  // results: The results of the cases run so far, in order.
+  const [results, setResults] = useState([]);
+  const [startedAt, setStartedAt] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  const suiteFileChangeHandler = async event => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file)
+      return;
+    try {
+      setSuite(parseSuite(await file.text(), file.name));
+      setResults([]);
+      setStatus(null);
+    }
+    catch (ex) {
+      setStatus(`Unable to load ${file.name}: ${ex.message}`);
+    }
+  }
+
+  const run = async () => {
+    setResults([]);
+    setStatus(null);
+    setStartedAt(new Date().toISOString());
+    setRunning(true);
+    setResponsePending(true);
+    try {
+      const runResults = [];
+      await runSuite(suite, {
+        ...getRunOptions(),
+        queryContext,
+        onResult: result => {
+          runResults.push(result);
+          setResults([...runResults]);
+        }
+      });
+      if (runResults.length < suite.cases.length)
+        setStatus(`Run stopped after ${runResults.length} of ${suite.cases.length} cases.`);
+    }
+    catch (ex) {
+      setStatus('Unable to run the suite: ' + ex.message);
+    }
+    finally {
+      setRunning(false);
+      setResponsePending(false);
+    }
+  }
+
+  const exportJUnit = () => {
+    const fileName = `flexpress-${suite.name.replace(/[^\w.-]+/g, '-')}-junit.xml`;
+    downloadText(resultsToJUnitXml(suite, results, startedAt), fileName, 'application/xml');
+  }
+
+  const renderedDetails = result => {
+    if (result.status === CASE_ERROR)
+      return <span className="errorTxt">{result.error}</span>;
+    return result.failures.map((failure, index) => (
+      <div key={index}>
+        <span className="suiteFailureKind">{failure.kind}:</span> {failure.message}
+        {failure.missing.map((value, i) => <div key={'m' + i} className="suiteMissing">- {value}</div>)}
+        {failure.unexpected.map((value, i) => <div key={'u' + i} className="suiteUnexpected">+ {value}</div>)}
+      </div>
+    ));
+  }
+
+  const renderedResults = () => {
+    const summary = summarizeResults(results);
+    return (
+      <>
+        <div className="suiteSummary">
+          {summary.passed} passed, {summary.failed} failed, {summary.errors} errors
+          {running ? ` (${results.length} of ${suite.cases.length} cases run)` : ''}
+          {' '}in {(summary.duration / 1000).toFixed(2)}s
+        </div>
+        <Table size="sm" bordered className="suiteResults">
+          <thead>
+            <tr><th>Result</th><th>Case</th><th>Time (ms)</th><th>Details</th></tr>
+          </thead>
+          <tbody>
+            {results.map((result, index) => {
+              const testCase = suite.cases[index];
+              return (
+                <tr key={index}>
+                  <td className={'suite' + result.status[0].toUpperCase() + result.status.slice(1)}>{statusLabels[result.status]}</td>
+                  <td>
+                    {testCase.fixture ?
+                      <span title={`Queries fixture ${testCase.fixture.name}`}>{result.name}</span> :
+                      <Button size="sm" variant="link" className="suiteCaseLink" title="Open the case in the form"
+                        onClick={() => onOpenCase({
+                          sources: testCase.sources, subject: testCase.subject, context: testCase.context, dataPath: testCase.dataPath
+                        })}>
+                        {result.name}
+                      </Button>
+                    }
+                  </td>
+                  <td>{result.duration}</td>
+                  <td>{renderedDetails(result)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </Table>
+      </>
+    );
+  }
+
+  return (
+    <div className="suitePanel">
+      <div style={{ display: "flex", alignItems: "center", marginBottom: "5px" }}>
+        <Form.File id="suiteFile" className="localRdfFile" custom accept=".json,.yaml,.yml"
+          label={suite ? `${suite.name} (${suite.cases.length} cases)` : 'Load suite...'}
+          onChange={suiteFileChangeHandler}
+        />
+        <span>&nbsp;</span>
+        <Button onClick={() => run()} disabled={!suite || running}>Run suite</Button>
+        <span>&nbsp;</span>
+        <Button onClick={() => exportJUnit()} disabled={!results.length || running}>Export JUnit XML</Button>
+      </div>
+      {status ? <p className="errorTxt">{status}</p> : null}
+      {results.length ? renderedResults() : null}
+    </div>
+  );
+}
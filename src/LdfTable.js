@@ -0,0 +1,92 @@
+// Tabular queries: several LDflex data paths evaluated for each of several subjects.
+//
+// The result is a table with one row per subject and one column per data path.
+// Each cell holds every value the path yields for the subject, as result objects
+// (see LdfResults.js), so multi-valued cells are kept together.
+
+import { termToResult } from './LdfResults';
+
+const { namedNode } = require('@rdfjs/data-model');
+
+// Evaluates each column path for each subject.
+//
+// pathFactory: A PathFactory set up with the query engine and JSON-LD context.
+// onRow: Optional callback receiving each row as it's completed, with the
+//   number of rows completed so far, so the table can be filled progressively.
+// Resolves to the rows, each being { subject, cells }.
+export async function evaluateTable(pathFactory, subjects, columnPaths, onRow) {
+  const rows = [];
+
+  for (const subject of subjects) {
+    const subjectPath = pathFactory.create({ subject: namedNode(subject) });
+    const cells = [];
+    for (const columnPath of columnPaths) {
+      const values = [];
+      for await (const value of subjectPath.resolve(columnPath))
+        values.push(termToResult(value, { subject, path: columnPath }));
+      cells.push(values);
+    }
+    const row = { subject, cells };
+    rows.push(row);
+    if (onRow)
+      onRow(row, rows.length);
+  }
+
+  return rows;
+}
+
+// Resolves to the distinct named nodes yielded by an LDflex path,
+// for use as the subjects of a table.
+export async function findPathSubjects(subjectPath, dataPath) {
+  const subjects = [];
+  for await (const value of subjectPath.resolve(dataPath)) {
+    if (value.termType === 'NamedNode' && !subjects.includes(value.value))
+      subjects.push(value.value);
+  }
+  return subjects;
+}
+
+// ------------------------------------------------------------------
+
+// The text a cell is sorted and filtered by.
+// A multi-valued cell sorts by its first value.
+export function cellText(cell) {
+  return cell.map(result => result.value).join(' ');
+}
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+// Sorts rows by the given column, -1 being the subject column.
+// Empty cells sort last, whatever the direction.
+export function sortTableRows(rows, columnIndex, descending = false) {
+  const sortKey = row => (columnIndex < 0 ? row.subject : (row.cells[columnIndex][0] || {}).value);
+  return [...rows].sort((a, b) => {
+    const keyA = sortKey(a);
+    const keyB = sortKey(b);
+    if (keyA === undefined || keyB === undefined)
+      return (keyA === undefined) - (keyB === undefined);
+    const order = collator.compare(keyA, keyB);
+    return descending ? -order : order;
+  });
+}
+
+// Keeps the rows with the filter text in their subject or any of their cells.
+export function filterTableRows(rows, filterText) {
+  const text = (filterText || '').trim().toLowerCase();
+  if (!text)
+    return rows;
+  return rows.filter(row =>
+    row.subject.toLowerCase().includes(text) ||
+    row.cells.some(cell => cellText(cell).toLowerCase().includes(text)));
+}
+
+// Returns the rows on the given (zero based) page, together with the page count.
+export function paginateTableRows(rows, page, pageSize) {
+  const pageCount = Math.max(1, Math.ceil(rows.length / pageSize));
+  const currentPage = Math.min(Math.max(page, 0), pageCount - 1);
+  return {
+    pageRows: rows.slice(currentPage * pageSize, (currentPage + 1) * pageSize),
+    page: currentPage,
+    pageCount
+  };
+}
@@ -0,0 +1,60 @@
+import { evaluateTable, findPathSubjects, sortTableRows, filterTableRows, paginateTableRows } from './LdfTable';
+import { createTestEngine } from './TestFixtures';
+
+const { PathFactory } = require('ldflex');
+const { namedNode } = require('@rdfjs/data-model');
+
+const row = (subject, ...values) => ({
+  subject,
+  cells: [values.map(value => ({ termType: 'Literal', value }))]
+});
+
+const rows = [
+  row('http://example.org/#c', 'item 10'),
+  row('http://example.org/#a'),
+  row('http://example.org/#b', 'item 9', 'extra'),
+];
+
+test('sorts rows by a column, numerically, with empty cells last', () => {
+  expect(sortTableRows(rows, 0).map(r => r.subject))
+    .toEqual(['http://example.org/#b', 'http://example.org/#c', 'http://example.org/#a']);
+  expect(sortTableRows(rows, 0, true).map(r => r.subject))
+    .toEqual(['http://example.org/#c', 'http://example.org/#b', 'http://example.org/#a']);
+  expect(sortTableRows(rows, -1).map(r => r.subject))
+    .toEqual(['http://example.org/#a', 'http://example.org/#b', 'http://example.org/#c']);
+});
+
+test('filters and paginates rows', () => {
+  expect(filterTableRows(rows, 'EXTRA').map(r => r.subject)).toEqual(['http://example.org/#b']);
+  expect(filterTableRows(rows, '#a').map(r => r.subject)).toEqual(['http://example.org/#a']);
+  expect(filterTableRows(rows, ' ')).toBe(rows);
+
+  expect(paginateTableRows(rows, 1, 2)).toEqual({ pageRows: [rows[2]], page: 1, pageCount: 2 });
+  expect(paginateTableRows(rows, 5, 2).page).toBe(1);
+  expect(paginateTableRows([], 0, 10)).toEqual({ pageRows: [], page: 0, pageCount: 1 });
+});
+
+test('evaluates column paths for each subject', async () => {
+  const { queryEngine } = await createTestEngine(`
+    @prefix foaf: <http://xmlns.com/foaf/0.1/>.
+    <#me> foaf:name "Me"; foaf:knows <#you>, <#them>.
+    <#you> foaf:name "You"; foaf:nick "Y", "Yo".
+    <#them> foaf:nick "T".
+  `);
+  const pathFactory = new PathFactory({ context: { "@vocab": "http://xmlns.com/foaf/0.1/" }, queryEngine });
+
+  const subjects = await findPathSubjects(pathFactory.create({ subject: namedNode('http://example.org/people#me') }), '.knows');
+  expect(subjects.sort()).toEqual(['http://example.org/people#them', 'http://example.org/people#you']);
+
+  const completed = [];
+  const table = await evaluateTable(pathFactory, subjects, ['.name', '.nick'], (r, count) => completed.push(count));
+  expect(completed).toEqual([1, 2]);
+
+  const you = table.find(r => r.subject === 'http://example.org/people#you');
+  expect(you.cells[0].map(result => result.value)).toEqual(['You']);
+  expect(you.cells[1].map(result => result.value).sort()).toEqual(['Y', 'Yo']);
+  expect(you.cells[1][0]).toMatchObject({ termType: 'Literal', subject: you.subject, path: '.nick' });
+
+  const them = table.find(r => r.subject === 'http://example.org/people#them');
+  expect(them.cells[0]).toEqual([]);
+});
@@ -0,0 +1,255 @@
+import React, { useState } from 'react';
+import { Button, Form, Pagination, Table } from 'react-bootstrap';
+
+import { checkDataPath } from './LdfDataPath';
+import {
+  evaluateTable, findPathSubjects, sortTableRows, filterTableRows, paginateTableRows
+} from './LdfTable';
+
+const { namedNode } = require('@rdfjs/data-model');
+
+// Where the table's subjects come from
+const SUBJECTS_FROM_LIST = 'list';
+const SUBJECTS_FROM_PATH = 'path';
+
+const pageSizes = [10, 25, 100];
+
+const defaultColumnPaths = ['.name'];
+
+// ------------------------------------------------------------------
+
+// Table mode: evaluates several data paths (the columns) for each of several
+// subjects (the rows), for checking data quality across a whole document.
+//
+// Subjects are either picked from the subjects found in the source, or are the
+// named nodes yielded by a data path evaluated from the current subject.
+//
+// Props:
+// - subjects: The subject IRIs found in the source (blank nodes excluded).
+// - subject: The current subject.
+// - context: The JSON-LD context (a string).
+// - getPathFactory: Returns a PathFactory for the current source(s) and context.
+// - setResponsePending: Shows/hides the loader indicator.
+export function LdfTableView(props) {
+  const { subjects, subject, context, getPathFactory, setResponsePending } = props;
+
+  const [subjectsFrom, setSubjectsFrom] = useState(SUBJECTS_FROM_LIST);
+  const [selectedSubjects, setSelectedSubjects] = useState([]);
+  const [subjectsPath, setSubjectsPath] = useState('.friends');
+  const [columnPaths, setColumnPaths] = useState(defaultColumnPaths);
+  const [rows, setRows] = useState(null);
+  const [tableColumns, setTableColumns] = useState([]);
+  const [sortColumn, setSortColumn] = useState(null);
+  const [sortDescending, setSortDescending] = useState(false);
+  const [filterText, setFilterText] = useState('');
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(pageSizes[1]);
+  const [status, setStatus] = useState(null);
+
+  const fillTable = async () => {
+    setStatus(null);
+    setRows(null);
+    setPage(0);
+
+    const paths = columnPaths.map(path => path.trim()).filter(Boolean);
+
+    try {
+      if (!paths.length)
+        throw new Error('No column data paths given.');
+
+      // Validate every path before evaluating any.
+      const pathsToCheck = subjectsFrom === SUBJECTS_FROM_PATH ? [subjectsPath, ...paths] : paths;
+      for (const path of pathsToCheck) {
+        const { errors } = await checkDataPath(path, context);
+        if (errors.length)
+          throw new Error(`Invalid LDflex data path ${path}: ${errors.map(error => error.message).join('; ')}`);
+      }
+
+      setResponsePending(true);
+      const pathFactory = getPathFactory();
+
+      let rowSubjects;
+      if (subjectsFrom === SUBJECTS_FROM_PATH) {
+        if (!subject)
+          throw new Error('No subject selected to evaluate the subjects path from.');
+        rowSubjects = await findPathSubjects(pathFactory.create({ subject: namedNode(subject) }), subjectsPath);
+      }
+      else {
+        rowSubjects = selectedSubjects.length ? selectedSubjects : subjects;
+      }
+      if (!rowSubjects.length)
+        throw new Error('No subjects to tabulate.');
+
+      // Fill the table progressively, as each row is completed.
+      const completedRows = [];
+      setTableColumns(paths);
+      setRows([]);
+      await evaluateTable(pathFactory, rowSubjects, paths, row => {
+        completedRows.push(row);
+        setRows([...completedRows]);
+      });
+    }
+    catch (ex) {
+      setStatus('Table query failed: ' + ex.message);
+    }
+    finally {
+      setResponsePending(false);
+    }
+  }
+
+  const columnPathChangeHandler = (index, value) => {
+    setColumnPaths(columnPaths.map((path, i) => (i === index ? value : path)));
+  }
+
+  const subjectsSelectionHandler = event => {
+    setSelectedSubjects([...event.target.selectedOptions].map(option => option.value));
+  }
+
+  const sortHandler = columnIndex => {
+    if (sortColumn === columnIndex)
+      setSortDescending(!sortDescending);
+    else {
+      setSortColumn(columnIndex);
+      setSortDescending(false);
+    }
+  }
+
+  const renderedCell = cell => {
+    if (!cell.length)
+      return <span className="tableCellEmpty">-</span>;
+    if (cell.length === 1)
+      return cell[0].value;
+    return (
+      <ul className="tableCellValues" title={`${cell.length} values`}>
+        {cell.map((result, index) => <li key={index}>{result.value}</li>)}
+      </ul>
+    );
+  }
+
+  const renderedSortIndicator = columnIndex => {
+    if (sortColumn !== columnIndex)
+      return null;
+    return <span className={sortDescending ? 'oi oi-caret-bottom' : 'oi oi-caret-top'} />;
+  }
+
+  const renderedTable = () => {
+    let displayedRows = filterTableRows(rows, filterText);
+    if (sortColumn !== null)
+      displayedRows = sortTableRows(displayedRows, sortColumn, sortDescending);
+    const { pageRows, page: currentPage, pageCount } = paginateTableRows(displayedRows, page, pageSize);
+
+    return (
+      <>
+        <div style={{ display: "flex", marginBottom: "5px" }}>
+          <Form.Control className="inputCntrl1" size="sm" placeholder="Filter rows..." value={filterText}
+            onChange={event => { setFilterText(event.target.value); setPage(0); }} style={{ marginBottom: "0" }}
+          />
+          <span>&nbsp;</span>
+          <Form.Control as="select" size="sm" value={pageSize} title="Rows per page"
+            onChange={event => { setPageSize(Number(event.target.value)); setPage(0); }} style={{ width: "15%" }}>
+            {pageSizes.map(size => <option key={size} value={size}>{size} rows</option>)}
+          </Form.Control>
+        </div>
+        <div className="tableViewSummary">
+          {displayedRows.length} of {rows.length} rows
+        </div>
+        <Table className="tableView" size="sm" bordered responsive>
+          <thead>
+            <tr>
+              <th onClick={() => sortHandler(-1)}>Subject {renderedSortIndicator(-1)}</th>
+              {tableColumns.map((path, index) => (
+                <th key={index} onClick={() => sortHandler(index)}>{path} {renderedSortIndicator(index)}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {pageRows.map(row => (
+              <tr key={row.subject}>
+                <td>{row.subject}</td>
+                {row.cells.map((cell, index) => <td key={index}>{renderedCell(cell)}</td>)}
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+        {pageCount > 1 ?
+          <Pagination size="sm" className="tableViewPagination">
+            <Pagination.Prev disabled={currentPage === 0} onClick={() => setPage(currentPage - 1)} />
+            <Pagination.Item active>{currentPage + 1} / {pageCount}</Pagination.Item>
+            <Pagination.Next disabled={currentPage >= pageCount - 1} onClick={() => setPage(currentPage + 1)} />
+          </Pagination>
+          : null
+        }
+      </>
+    );
+  }
+
+  return (
+    <div className="tableViewContainer">
+      <div style={{ display: "flex" }}>
+        <Form.Group style={{ flex: "1" }}>
+          <div style={{ display: "flex" }}>
+            <Form.Label style={{ paddingRight: "15px" }}>Row subjects:</Form.Label>
+            <Form.Check inline type="radio" id="tableSubjectsFromList" name="tableSubjectsFrom" label="From subjects list"
+              checked={subjectsFrom === SUBJECTS_FROM_LIST} onChange={() => setSubjectsFrom(SUBJECTS_FROM_LIST)}
+            />
+            <Form.Check inline type="radio" id="tableSubjectsFromPath" name="tableSubjectsFrom" label="From data path"
+              checked={subjectsFrom === SUBJECTS_FROM_PATH} onChange={() => setSubjectsFrom(SUBJECTS_FROM_PATH)}
+            />
+          </div>
+          {subjectsFrom === SUBJECTS_FROM_LIST ?
+            <>
+              <Form.Control as="select" multiple className="inputCntrl1" value={selectedSubjects}
+                onChange={subjectsSelectionHandler} style={{ fontSize: "90%", height: "120px" }}>
+                {subjects.map(subj => <option key={subj} value={subj}>{subj}</option>)}
+              </Form.Control>
+              <div className="tableViewHint">
+                {selectedSubjects.length ?
+                  `${selectedSubjects.length} subjects selected.` :
+                  'No subjects selected: all the subjects listed are used.'}
+              </div>
+            </>
+            :
+            <>
+              <Form.Control className="inputCntrl1" value={subjectsPath} spellCheck={false}
+                onChange={event => setSubjectsPath(event.target.value)}
+              />
+              <div className="tableViewHint">
+                Evaluated from the current subject; each IRI it yields becomes a row.
+              </div>
+            </>
+          }
+        </Form.Group>
+
+        <div>&nbsp;</div>
+
+        <Form.Group style={{ flex: "1" }}>
+          <Form.Label>Column data paths:</Form.Label>
+          {columnPaths.map((path, index) => (
+            <div key={index} style={{ display: "flex" }}>
+              <Form.Control className="inputCntrl1" size="sm" value={path} spellCheck={false}
+                onChange={event => columnPathChangeHandler(index, event.target.value)} style={{ marginBottom: "5px" }}
+              />
+              {columnPaths.length > 1 ?
+                <Button variant="link" className="sourceRemove" title="Remove column"
+                  onClick={() => setColumnPaths(columnPaths.filter((_, i) => i !== index))}>
+                  <span className="oi oi-x" />
+                </Button>
+                : null
+              }
+            </div>
+          ))}
+          <Button size="sm" variant="link" className="sourceAdd" onClick={() => setColumnPaths([...columnPaths, ''])}>
+            <span className="oi oi-plus" /> Add column
+          </Button>
+        </Form.Group>
+      </div>
+
+      <Button onClick={() => fillTable()}>Fill table</Button>
+
+      <div className="qryRsltContainer tableViewResult">
+        {rows ? renderedTable() : <div className="errorTxtContainer" />}
+        {status ? <p className="errorTxt">{status}</p> : ''}
+      </div>
+    </div>
+  );
+}
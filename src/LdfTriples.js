@@ -0,0 +1,66 @@
+// Collects the triples an LDflex path walks through.
+//
+// LDflex evaluates a path such as .friends.name by generating a SPARQL query
+// whose WHERE clause chains one triple pattern per path segment, e.g.
+//
+//   SELECT ?name WHERE {
+//     <https://ruben.verborgh.org/profile/#me> foaf:knows ?v0.
+//     ?v0 foaf:name ?name.
+//   }
+//
+// Selecting every variable of that query instead, and instantiating the triple
+// patterns with each solution, yields the triples which connect the subject to
+// each value along the path.
+
+import { streamValues, describeStopReason } from './QueryStream';
+
+const { Parser: SparqlParser, Generator: SparqlGenerator } = require('sparqljs');
+const N3 = require('n3');
+
+// Returns the triple patterns in the WHERE clause of a parsed SPARQL query.
+function getTriplePatterns(query) {
+  return (query.where || [])
+    .filter(pattern => pattern.type === 'bgp')
+    .reduce((patterns, bgp) => patterns.concat(bgp.triples), []);
+}
+
+// Replaces a variable by its binding, leaving any other term as is.
+function instantiate(term, bindings) {
+  return term.termType === 'Variable' ? bindings.get('?' + term.value) : term;
+}
+
+// Resolves to the distinct triples (RDF/JS quads in the default graph)
+// walked through by the given LDflex path, using the given query engine.
+// options are those of streamValues(); if the query is stopped, an error is thrown
+// as only some of the triples would be collected.
+export async function collectPathTriples(path, queryEngine, options = {}) {
+  const query = new SparqlParser().parse(await path.sparql);
+  const patterns = getTriplePatterns(query);
+
+  // Select every variable of the triple patterns.
+  const variables = new Map();
+  patterns.forEach(pattern => [pattern.subject, pattern.object].forEach(term => {
+    if (term.termType === 'Variable')
+      variables.set(term.value, term);
+  }));
+  query.variables = [...variables.values()];
+  query.distinct = true;
+  delete query.order;
+
+  const store = new N3.Store();
+  if (!variables.size)
+    return store.getQuads(null, null, null, null);
+
+  const { stopReason } = await streamValues(queryEngine.execute(new SparqlGenerator().stringify(query)), bindings => {
+    patterns.forEach(pattern => {
+      const subject = instantiate(pattern.subject, bindings);
+      const object = instantiate(pattern.object, bindings);
+      if (subject && object)
+        store.addQuad(N3.DataFactory.quad(subject, pattern.predicate, object));
+    });
+  }, { ...options, limit: 0 });
+  if (stopReason)
+    throw new Error('Collecting the triples ' + describeStopReason(stopReason, options));
+
+  return store.getQuads(null, null, null, null);
+}
@@ -0,0 +1,102 @@
+// Support for querying RDF held locally, i.e. an uploaded file or pasted RDF text,
+// rather than a document fetched from the Web.
+//
+// The RDF is parsed into an in-memory RDF/JS store which the Comunica query engine
+// queries directly, so no network access is involved.
+
+const N3 = require('n3');
+const { JsonLdParser } = require('jsonld-streaming-parser');
+
+// The RDF serializations which can be loaded.
+// n3Format is the format name expected by the N3 parser.
+export const localRdfFormats = [
+  { label: "Turtle", value: "text/turtle", n3Format: "Turtle", extensions: ["ttl", "n3"] },
+  { label: "N-Triples", value: "application/n-triples", n3Format: "N-Triples", extensions: ["nt"] },
+  { label: "N-Quads", value: "application/n-quads", n3Format: "N-Quads", extensions: ["nq"] },
+  { label: "TriG", value: "application/trig", n3Format: "TriG", extensions: ["trig"] },
+  { label: "JSON-LD", value: "application/ld+json", extensions: ["jsonld", "json"] },
+];
+
+export const defaultLocalRdfFormat = "text/turtle";
+
+// Base IRI against which relative IRIs in local RDF are resolved.
+export const defaultLocalBaseIri = "http://example.org/local-data";
+
+// Guesses the format of local RDF from the file name, if any, and its content.
+export function guessLocalRdfFormat(fileName, text) {
+  const extension = fileName && /\.([^.]+)$/.exec(fileName.toLowerCase());
+  if (extension) {
+    const format = localRdfFormats.find(fmt => fmt.extensions.includes(extension[1]));
+    if (format)
+      return format.value;
+  }
+
+  const trimmed = (text || '').trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('['))
+    return 'application/ld+json';
+  if (/^\s*(@prefix|@base|PREFIX|BASE)\b/im.test(trimmed))
+    return /\{\s*$/m.test(trimmed) ? 'application/trig' : 'text/turtle';
+  return defaultLocalRdfFormat;
+}
+
+// Parses RDF text in the given format into a new N3 store.
+// Resolves to the store; rejects with a parse error.
+export async function parseLocalRdf(text, format, baseIri = defaultLocalBaseIri) {
+  if (!text || !text.trim())
+    throw new Error('No RDF data to load');
+
+  const quads = format === 'application/ld+json' ?
+    await parseJsonLd(text, baseIri) :
+    parseN3(text, format, baseIri);
+
+  const store = new N3.Store();
+  store.addQuads(quads);
+  return store;
+}
+
+function parseN3(text, format, baseIri) {
+  const rdfFormat = localRdfFormats.find(fmt => fmt.value === format);
+  if (!rdfFormat || !rdfFormat.n3Format)
+    throw new Error(`Unsupported RDF format: ${format}`);
+
+  try {
+    return new N3.Parser({ format: rdfFormat.n3Format, baseIRI: baseIri }).parse(text);
+  }
+  catch (ex) {
+    throw new Error(`${rdfFormat.label} parse error: ${ex.message}`);
+  }
+}
+
+function parseJsonLd(text, baseIri) {
+  return new Promise((resolve, reject) => {
+    // The streaming parser silently accepts truncated JSON, so check it's well formed first.
+    try {
+      JSON.parse(text);
+    }
+    catch (ex) {
+      reject(new Error(`JSON-LD parse error: ${ex.message}`));
+      return;
+    }
+
+    const quads = [];
+    const parser = new JsonLdParser({ baseIRI: baseIri });
+    parser.on('data', quad => quads.push(quad));
+    parser.on('error', ex => reject(new Error(`JSON-LD parse error: ${ex.message}`)));
+    parser.on('end', () => resolve(quads));
+    parser.write(text);
+    parser.end();
+  });
+}
+
+// Wraps an RDF/JS store for use as a ComunicaEngine source.
+//
+// ComunicaEngine recognizes an RDF/JS source by its match function, but then
+// copies only the source's own properties, losing a match function inherited
+// from the store's prototype. Wrapping the store, with the store itself as the
+// source value, ensures Comunica queries the store itself.
+export function toComunicaSource(store) {
+  return {
+    match: (...args) => store.match(...args),
+    value: store,
+  };
+}
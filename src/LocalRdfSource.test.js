@@ -0,0 +1,53 @@
+import { guessLocalRdfFormat, parseLocalRdf, toComunicaSource } from './LocalRdfSource';
+
+const { PathFactory } = require('ldflex');
+const { namedNode } = require('@rdfjs/data-model');
+const { default: ComunicaEngine } = require('@ldflex/comunica');
+
+const turtle = `
+@prefix foaf: <http://xmlns.com/foaf/0.1/>.
+<#me> foaf:name "Me"; foaf:knows <#you>.
+<#you> foaf:name "You"@en.
+`;
+
+test('guesses the format from the file name or content', () => {
+  expect(guessLocalRdfFormat('people.nt', '')).toBe('application/n-triples');
+  expect(guessLocalRdfFormat('people.jsonld', '')).toBe('application/ld+json');
+  expect(guessLocalRdfFormat(null, '{ "@id": "#me" }')).toBe('application/ld+json');
+  expect(guessLocalRdfFormat(null, turtle)).toBe('text/turtle');
+});
+
+test('parses Turtle, resolving relative IRIs against the base IRI', async () => {
+  const store = await parseLocalRdf(turtle, 'text/turtle', 'http://example.org/people');
+  expect(store.size).toBe(3);
+  expect(store.getSubjects(null, null, null).map(s => s.value).sort())
+    .toEqual(['http://example.org/people#me', 'http://example.org/people#you']);
+});
+
+test('parses JSON-LD', async () => {
+  const jsonLd = JSON.stringify({
+    "@context": { "@vocab": "http://xmlns.com/foaf/0.1/" },
+    "@id": "#me",
+    "name": "Me"
+  });
+  const store = await parseLocalRdf(jsonLd, 'application/ld+json', 'http://example.org/people');
+  expect(store.getQuads(null, null, null, null).map(q => [q.subject.value, q.object.value]))
+    .toEqual([['http://example.org/people#me', 'Me']]);
+});
+
+test('reports parse errors', async () => {
+  await expect(parseLocalRdf('<#me> <#p> .', 'text/turtle')).rejects.toThrow(/Turtle parse error/);
+  await expect(parseLocalRdf('{ "@id": ', 'application/ld+json')).rejects.toThrow(/JSON-LD parse error/);
+  await expect(parseLocalRdf('  ', 'text/turtle')).rejects.toThrow('No RDF data to load');
+});
+
+test('queries the store through LDflex', async () => {
+  const store = await parseLocalRdf(turtle, 'text/turtle', 'http://example.org/people');
+  const queryEngine = new ComunicaEngine(toComunicaSource(store));
+  const pathFactory = new PathFactory({ context: { "@vocab": "http://xmlns.com/foaf/0.1/" }, queryEngine });
+  const subjectPath = pathFactory.create({ subject: namedNode('http://example.org/people#me') });
+  const names = [];
+  for await (const name of subjectPath.resolve('.knows.name'))
+    names.push(name.toString());
+  expect(names).toEqual(['You']);
+});
@@ -0,0 +1,195 @@
+import React, { useState } from 'react';
+import { Button, Form, ListGroup, Tab, Tabs } from 'react-bootstrap';
+
+import {
+  searchQueryHistory, loadSavedQueries, storeSavedQueries, saveQuery, deleteSavedQuery,
+  exportSavedQueries, importSavedQueries
+} from './QueryStore';
+import { downloadText } from './ResultExport';
+
+const defaultCollectionName = 'My queries';
+
+// Most history entries listed at once; searching narrows the list down
+const maxListedHistoryEntries = 50;
+
+// ------------------------------------------------------------------
+
+// Browses the query history and the saved query collections (see QueryStore.js).
+//
+// Props:
+// - history: The query history, newest first.
+// - getCurrentQuery: Returns the description of the query in the form.
+// - onLoad(query): Restores the form state of a query.
+// - onRun(query): Restores the form state of a query and executes it.
+// - onClearHistory: Clears the query history.
+export function QueryHistoryPanel(props) {
+  const { history, getCurrentQuery, onLoad, onRun, onClearHistory } = props;
+
+  const [show, setShow] = useState(false);
+  const [searchText, setSearchText] = useState('');
+  const [collections, setCollections] = useState(() => loadSavedQueries());
+  const [collectionName, setCollectionName] = useState(defaultCollectionName);
+  const [queryName, setQueryName] = useState('');
+  const [status, setStatus] = useState(null);
+
+  const updateCollections = newCollections => {
+    try {
+      storeSavedQueries(newCollections);
+      setCollections(newCollections);
+      setStatus(null);
+    }
+    catch (ex) {
+      setStatus('Unable to store the saved queries: ' + ex.message);
+    }
+  }
+
+  const saveCurrentQuery = () => {
+    try {
+      updateCollections(saveQuery(collections, collectionName, queryName, getCurrentQuery()));
+      setQueryName('');
+    }
+    catch (ex) {
+      setStatus('Unable to save the query: ' + ex.message);
+    }
+  }
+
+  const exportCollections = () => {
+    downloadText(exportSavedQueries(collections), 'flexpress-queries.json', 'application/json');
+  }
+
+  const importFileChangeHandler = async event => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file)
+      return;
+    try {
+      updateCollections(importSavedQueries(await file.text(), collections));
+    }
+    catch (ex) {
+      setStatus(`Unable to import ${file.name}: ${ex.message}`);
+    }
+  }
+
+  const describeSources = query => {
+    if (query.sourceMode === 'local')
+      return 'Local RDF';
+    return query.sources.map(source => source.url).join(', ');
+  }
+
+  const renderedQueryActions = query => {
+    return (
+      <>
+        <Button size="sm" variant="link" title="Restore the form to this query" onClick={() => onLoad(query)}>Load</Button>
+        <Button size="sm" variant="link" title="Restore the form to this query and execute it" onClick={() => onRun(query)}>Run</Button>
+      </>
+    );
+  }
+
+  const renderedHistory = () => {
+    const entries = searchQueryHistory(history, searchText);
+    return (
+      <>
+        <div style={{ display: "flex", margin: "5px 0" }}>
+          <Form.Control className="inputCntrl1" size="sm" placeholder="Search sources, subjects, paths, contexts and errors..."
+            value={searchText} onChange={event => setSearchText(event.target.value)} style={{ marginBottom: "0" }}
+          />
+          <span>&nbsp;</span>
+          <Button size="sm" onClick={() => onClearHistory()} disabled={!history.length}>Clear history</Button>
+        </div>
+        <ListGroup className="queryHistoryList">
+          {entries.slice(0, maxListedHistoryEntries).map(entry => (
+            <ListGroup.Item key={entry.id}>
+              <div className="queryHistoryHeading">
+                <span>{new Date(entry.startedAt).toLocaleString()}</span>
+                <span className={entry.error ? 'errorTxt' : ''}>
+                  {entry.error ? entry.error : `${entry.resultCount} results`} in {Math.round(entry.duration)} ms
+                </span>
+                <span style={{ flex: "1", textAlign: "right" }}>{renderedQueryActions(entry.query)}</span>
+              </div>
+              <div className="queryHistoryDetail">
+                <div>{describeSources(entry.query)}</div>
+                <div>{entry.query.subject} <strong>{entry.query.dataPath}</strong></div>
+              </div>
+            </ListGroup.Item>
+          ))}
+        </ListGroup>
+        <div className="queryHistoryHint">
+          {entries.length > maxListedHistoryEntries ?
+            `Showing the latest ${maxListedHistoryEntries} of ${entries.length} runs.` :
+            `${entries.length} runs.`}
+        </div>
+      </>
+    );
+  }
+
+  const renderedSavedQueries = () => {
+    return (
+      <>
+        <div style={{ display: "flex", margin: "5px 0" }}>
+          <Form.Control className="inputCntrl1" size="sm" placeholder="Collection" list="savedQueryCollections"
+            value={collectionName} onChange={event => setCollectionName(event.target.value)} style={{ marginBottom: "0" }}
+          />
+          <datalist id="savedQueryCollections">
+            {collections.map(coll => <option key={coll.name} value={coll.name} />)}
+          </datalist>
+          <span>&nbsp;</span>
+          <Form.Control className="inputCntrl1" size="sm" placeholder="Query name"
+            value={queryName} onChange={event => setQueryName(event.target.value)} style={{ marginBottom: "0" }}
+          />
+          <span>&nbsp;</span>
+          <Button size="sm" onClick={() => saveCurrentQuery()} style={{ whiteSpace: "nowrap" }}>Save current query</Button>
+        </div>
+        {collections.map(coll => (
+          <div key={coll.name} className="savedQueryCollection">
+            <Form.Label>{coll.name}</Form.Label>
+            <ListGroup className="queryHistoryList">
+              {coll.queries.map(savedQuery => (
+                <ListGroup.Item key={savedQuery.name}>
+                  <div className="queryHistoryHeading">
+                    <strong>{savedQuery.name}</strong>
+                    <span>{savedQuery.query.dataPath}</span>
+                    <span style={{ flex: "1", textAlign: "right" }}>
+                      {renderedQueryActions(savedQuery.query)}
+                      <Button size="sm" variant="link" title="Delete this saved query"
+                        onClick={() => updateCollections(deleteSavedQuery(collections, coll.name, savedQuery.name))}>
+                        Delete
+                      </Button>
+                    </span>
+                  </div>
+                  <div className="queryHistoryDetail">{describeSources(savedQuery.query)}</div>
+                </ListGroup.Item>
+              ))}
+            </ListGroup>
+          </div>
+        ))}
+        <div style={{ display: "flex", marginTop: "5px" }}>
+          <Button size="sm" onClick={() => exportCollections()} disabled={!collections.length}>Export</Button>
+          <span>&nbsp;</span>
+          <Form.File id="savedQueriesImport" className="localRdfFile" label="Import..." custom accept=".json,application/json"
+            onChange={importFileChangeHandler}
+          />
+        </div>
+      </>
+    );
+  }
+
+  return (
+    <div className="queryHistoryPanel">
+      <Button size="sm" variant="link" className="sourceAdd" onClick={() => setShow(!show)}>
+        <span className={show ? 'oi oi-chevron-bottom' : 'oi oi-chevron-right'} /> History and saved queries
+      </Button>
+      {show ?
+        <Tabs defaultActiveKey="history" id="queryHistoryTabs">
+          <Tab eventKey="history" title={`History (${history.length})`}>
+            {renderedHistory()}
+          </Tab>
+          <Tab eventKey="saved" title="Saved queries">
+            {renderedSavedQueries()}
+          </Tab>
+        </Tabs>
+        : null
+      }
+      {status ? <p className="errorTxt">{status}</p> : null}
+    </div>
+  );
+}
@@ -0,0 +1,197 @@
+// Profiling query runs: where the time of a run goes, the HTTP requests Comunica
+// made for it and Comunica's log output.
+//
+// A run (a query, or a subjects or properties listing) is profiled as:
+//
+//   { id, kind, label, logLevel, startedAt, duration, firstResult, resultCount, error,
+//     phases: [{ name, start, end }, ...], requests: [request, ...], log: [entry, ...] }
+//
+// times being in ms from the start of the run. The run marks the phases it goes
+// through, e.g. evaluating the path and then collecting the walked triples.
+// Requests are those made for the run (see SourceFetch.js), and log entries
+// ({ time, level, message, actor }) those Comunica writes at or above the chosen
+// log level while the run is recorded. Runs recorded at the same time share these.
+//
+// Every run is recorded, to explain its failure by the requests it made, but
+// only a detailed recording reads the response bodies and keeps the log.
+//
+// Documents are parsed and queried as they stream in, so the time spent fetching
+// overlaps the time spent parsing and evaluating: a run's summary tells apart the
+// time any request was pending from the rest of the run.
+
+import { startRequestLog } from './SourceFetch';
+
+// The query engine shared by every ComunicaEngine, whose logger is
+// the default of the queries it executes.
+const comunicaInit = require('@ldflex/comunica/lib/comunica-engine');
+
+// Comunica's log levels, from the most to the least verbose.
+export const logLevels = ['trace', 'debug', 'info', 'warn', 'error', 'fatal'];
+export const defaultLogLevel = 'info';
+
+// Most log entries kept for a run
+export const maxLogEntries = 1000;
+
+// The detailed runs being recorded, and the logger Comunica had before they started.
+const recording = new Set();
+let loggerInstalled = false;
+let previousLogger = null;
+
+let lastProfileId = 0;
+
+// ------------------------------------------------------------------
+
+// Passes Comunica's log output to the detailed runs being recorded, while any is.
+function installLogger() {
+  if (loggerInstalled)
+    return;
+  previousLogger = comunicaInit.logger;
+  comunicaInit.logger = Object.fromEntries(logLevels.map(level => [level, (message, data) =>
+    recording.forEach(recorder => recorder.logged(level, message, data))]));
+  loggerInstalled = true;
+}
+
+// Gives Comunica back its own logger once the last detailed run being recorded has finished.
+function restoreLogger() {
+  if (!loggerInstalled || recording.size)
+    return;
+  comunicaInit.logger = previousLogger;
+  previousLogger = null;
+  loggerInstalled = false;
+}
+
+// Starts recording the profile of a run of the given kind, e.g. 'Query', and label,
+// e.g. the data path, returning its recorder:
+// - phase(name): Starts the named phase of the run, ending the previous one.
+// - firstResult(): Notes the first result has been received.
+// - requests(): Returns the requests made for the run so far (see SourceFetch.js).
+// - finish({ resultCount, error }): Ends the run, returning its profile.
+// options:
+// - detailed: Whether to read the response bodies and keep the log (default: true).
+// - logLevel: The least severe level of the Comunica log entries kept.
+// - onFinish(profile): Called with the profile once the run has finished.
+export function startProfile(kind, label, options = {}) {
+  const { detailed = true, logLevel = defaultLogLevel, onFinish } = options;
+  const startTime = performance.now();
+  const elapsed = (time = performance.now()) => time - startTime;
+  const profile = {
+    id: ++lastProfileId, kind, label, logLevel, startedAt: new Date().toISOString(),
+    duration: null, firstResult: null, resultCount: null, error: null,
+    phases: [], requests: [], log: []
+  };
+
+  const recorder = {
+    logged(level, message, data) {
+      if (logLevels.indexOf(level) >= logLevels.indexOf(logLevel) && profile.log.length < maxLogEntries)
+        profile.log.push({ time: elapsed(), level, message, actor: data && data.actor ? data.actor : null });
+    },
+
+    phase(name) {
+      const now = elapsed();
+      const current = profile.phases[profile.phases.length - 1];
+      if (current && current.end === null)
+        current.end = now;
+      profile.phases.push({ name, start: now, end: null });
+    },
+
+    firstResult() {
+      if (profile.firstResult === null)
+        profile.firstResult = elapsed();
+    },
+
+    requests() {
+      return requestLog.requests;
+    },
+
+    finish({ resultCount = null, error = null } = {}) {
+      if (profile.duration !== null)
+        return profile;
+      requestLog.stop();
+      recording.delete(recorder);
+      restoreLogger();
+      profile.duration = elapsed();
+      profile.phases.filter(phase => phase.end === null).forEach(phase => { phase.end = profile.duration; });
+      // Requests still pending were so until the end of the run.
+      profile.requests = requestLog.requests.map(request => ({
+        ...request, startTime: elapsed(request.startTime),
+        endTime: request.endTime === null ? profile.duration : elapsed(request.endTime)
+      }));
+      profile.resultCount = resultCount;
+      profile.error = error;
+      if (onFinish)
+        onFinish(profile);
+      return profile;
+    }
+  };
+
+  const requestLog = startRequestLog({ bodies: detailed });
+  if (detailed) {
+    recording.add(recorder);
+    installLogger();
+  }
+  return recorder;
+}
+
+// The total length of the given intervals ({ start, end }), counting overlaps once.
+export function coveredTime(intervals) {
+  let total = 0;
+  let coveredUntil = -Infinity;
+  [...intervals].sort((a, b) => a.start - b.start).forEach(({ start, end }) => {
+    const from = Math.max(start, coveredUntil);
+    if (end > from)
+      total += end - from;
+    coveredUntil = Math.max(coveredUntil, end);
+  });
+  return total;
+}
+
+// Sums up a profile: { duration, fetching, processing, firstResult, requests, failedRequests, bytes, resultCount },
+// fetching being the time any request was pending, and processing the rest of the run.
+export function summarizeProfile(profile) {
+  const fetching = coveredTime(profile.requests.map(request => ({
+    start: Math.max(request.startTime, 0), end: Math.min(request.endTime, profile.duration)
+  })));
+  return {
+    duration: profile.duration,
+    fetching,
+    processing: profile.duration - fetching,
+    firstResult: profile.firstResult,
+    requests: profile.requests.length,
+    failedRequests: profile.requests.filter(request => request.error || request.status >= 400).length,
+    bytes: profile.requests.reduce((total, request) => total + (request.bytes || 0), 0),
+    resultCount: profile.resultCount
+  };
+}
+
+// The statistics compared between runs, with their units.
+export const profileStatistics = [
+  { label: 'Duration', key: 'duration', unit: 'ms' },
+  { label: 'Fetching', key: 'fetching', unit: 'ms' },
+  { label: 'Parsing and evaluating', key: 'processing', unit: 'ms' },
+  { label: 'First result', key: 'firstResult', unit: 'ms' },
+  { label: 'HTTP requests', key: 'requests', unit: '' },
+  { label: 'Failed requests', key: 'failedRequests', unit: '' },
+  { label: 'Bytes received', key: 'bytes', unit: 'B' },
+  { label: 'Results', key: 'resultCount', unit: '' },
+];
+
+// Compares the statistics of two runs, and the durations of their phases.
+// Returns [{ label, unit, a, b, difference }, ...], difference being b - a,
+// or null when either run lacks the statistic.
+export function compareProfiles(a, b) {
+  const summaryA = summarizeProfile(a);
+  const summaryB = summarizeProfile(b);
+  const row = (label, unit, valueA, valueB) => ({
+    label, unit, a: valueA, b: valueB,
+    difference: valueA === null || valueA === undefined || valueB === null || valueB === undefined ? null : valueB - valueA
+  });
+
+  const rows = profileStatistics.map(({ label, key, unit }) => row(label, unit, summaryA[key], summaryB[key]));
+  const phaseDuration = (profile, name) => {
+    const phases = profile.phases.filter(phase => phase.name === name);
+    return phases.length ? phases.reduce((total, phase) => total + phase.end - phase.start, 0) : null;
+  };
+  const phaseNames = [...new Set([...a.phases, ...b.phases].map(phase => phase.name))];
+  phaseNames.forEach(name => rows.push(row(`Phase: ${name}`, 'ms', phaseDuration(a, name), phaseDuration(b, name))));
+  return rows;
+}
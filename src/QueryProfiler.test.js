@@ -0,0 +1,87 @@
+import { startProfile, coveredTime, summarizeProfile, compareProfiles } from './QueryProfiler';
+import { authenticatedFetch } from './SolidSession';
+
+const solidAuth = require('solid-auth-client');
+const comunicaInit = require('@ldflex/comunica/lib/comunica-engine');
+
+jest.mock('./SolidSession', () => ({ authenticatedFetch: jest.fn() }));
+
+// A stand-in for a fetch() response with a body of the given size.
+const fakeResponse = (status, contentType, size) => ({
+  status,
+  headers: { get: name => (name === 'Content-Type' ? contentType : null) },
+  clone: () => ({ arrayBuffer: () => Promise.resolve(new ArrayBuffer(size)) })
+});
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('records the requests, log and phases of a run', async () => {
+  authenticatedFetch.mockImplementation(url => (url.includes('missing') ?
+    Promise.resolve(fakeResponse(404, 'text/plain', 9)) : Promise.resolve(fakeResponse(200, 'text/turtle', 2048))));
+  const onFinish = jest.fn();
+  const recorder = startProfile('Query', '.name', { logLevel: 'info', onFinish });
+
+  recorder.phase('Evaluating the data path');
+  await solidAuth.fetch('http://a.example/doc');
+  await solidAuth.fetch('http://a.example/missing', { method: 'HEAD' });
+  comunicaInit.logger.debug('Ignored', { actor: 'urn:actor' });
+  comunicaInit.logger.warn('Slow source', { actor: 'urn:actor' });
+  recorder.firstResult();
+  recorder.phase('Collecting the triples walked through');
+  await flushPromises();
+  const profile = recorder.finish({ resultCount: 1 });
+
+  expect(onFinish).toHaveBeenCalledWith(profile);
+  expect(profile.requests.map(({ url, method, status, contentType, bytes }) => ({ url, method, status, contentType, bytes })))
+    .toEqual([
+      { url: 'http://a.example/doc', method: 'GET', status: 200, contentType: 'text/turtle', bytes: 2048 },
+      { url: 'http://a.example/missing', method: 'HEAD', status: 404, contentType: 'text/plain', bytes: 9 }
+    ]);
+  expect(profile.log).toEqual([{ time: expect.any(Number), level: 'warn', message: 'Slow source', actor: 'urn:actor' }]);
+  expect(profile.phases.map(phase => phase.name)).toEqual(['Evaluating the data path', 'Collecting the triples walked through']);
+  expect(profile.phases.every(phase => phase.end >= phase.start && phase.end <= profile.duration)).toBe(true);
+  expect(summarizeProfile(profile)).toMatchObject({ requests: 2, failedRequests: 1, bytes: 2057, resultCount: 1 });
+
+  // Once finished, the run records nothing more.
+  await solidAuth.fetch('http://a.example/doc');
+  await flushPromises();
+  expect(recorder.finish()).toBe(profile);
+  expect(profile.requests).toHaveLength(2);
+  expect(onFinish).toHaveBeenCalledTimes(1);
+});
+
+test("installs Comunica's logger only while runs are recorded", () => {
+  const ownLogger = comunicaInit.logger;
+  // Runs which aren't detailed only record their requests.
+  const quiet = startProfile('Query', '.nick', { detailed: false });
+  expect(comunicaInit.logger).toBe(ownLogger);
+  expect(quiet.requests()).toEqual([]);
+  quiet.finish();
+
+  const first = startProfile('Query', '.name');
+  const second = startProfile('Query', '.nick');
+  expect(comunicaInit.logger).not.toBe(ownLogger);
+
+  first.finish();
+  comunicaInit.logger.warn('Slow source', {});
+  expect(comunicaInit.logger).not.toBe(ownLogger);
+  expect(second.finish().log).toEqual([{ time: expect.any(Number), level: 'warn', message: 'Slow source', actor: null }]);
+  expect(comunicaInit.logger).toBe(ownLogger);
+});
+
+test('tells apart fetching from the rest of a run, and compares runs', () => {
+  expect(coveredTime([{ start: 0, end: 10 }, { start: 5, end: 20 }, { start: 30, end: 40 }])).toBe(30);
+
+  const run = (duration, requests, phases) => ({
+    duration, firstResult: null, resultCount: 3, requests, phases, log: []
+  });
+  const request = (startTime, endTime, bytes) => ({ startTime, endTime, bytes, status: 200, error: null });
+  const a = run(100, [request(0, 60, 1000), request(20, 80, 500)], [{ name: 'Evaluating the data path', start: 0, end: 100 }]);
+  const b = run(50, [request(0, 30, 1000)], []);
+
+  expect(summarizeProfile(a)).toMatchObject({ duration: 100, fetching: 80, processing: 20, bytes: 1500 });
+  const rows = compareProfiles(a, b);
+  expect(rows.find(row => row.label === 'Duration')).toEqual({ label: 'Duration', unit: 'ms', a: 100, b: 50, difference: -50 });
+  expect(rows.find(row => row.label === 'First result').difference).toBeNull();
+  expect(rows.find(row => row.label === 'Phase: Evaluating the data path')).toMatchObject({ a: 100, b: null, difference: null });
+});
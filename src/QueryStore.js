@@ -0,0 +1,188 @@
+// Query history and saved queries, kept in browser storage (localStorage).
+//
+// A query is described by the form state it was run with:
+//
+//   {
+//     sourceMode: 'url',                      // 'url' or 'local'
+//     sources: [{ url, type }],               // Data sources, in URL source mode
+//     subject: 'https://ruben.verborgh.org/profile/#me',
+//     context: '{ "@context": ... }',         // JSON-LD context (text)
+//     dataPath: '.interest.label',
+//     outputFormat: 'fmt_json_formatted'
+//   }
+//
+// The history records each run of a query, newest first:
+//
+//   { id, startedAt, duration, resultCount, error, query }
+//
+// Saved queries are named queries grouped into named collections, which can be
+// exported to and imported from a JSON file to share a set of queries:
+//
+//   [{ name: 'Profile checks', queries: [{ name: 'Interests', savedAt, query }] }]
+
+const historyStorageKey = 'flexpress.queryHistory';
+const savedQueriesStorageKey = 'flexpress.savedQueries';
+
+// The oldest runs are dropped beyond this many
+export const maxHistoryEntries = 200;
+
+// Identifies an exported saved queries file
+const savedQueriesFileFormat = 'flexpress-saved-queries';
+const savedQueriesFileVersion = 1;
+
+// ------------------------------------------------------------------
+
+function readStorage(storage, key) {
+  try {
+    const json = storage.getItem(key);
+    return json ? JSON.parse(json) : null;
+  }
+  catch (ex) {
+    // Unavailable storage or corrupt entries simply start afresh.
+    return null;
+  }
+}
+
+// Throws if the storage is unavailable or full.
+function writeStorage(storage, key, value) {
+  storage.setItem(key, JSON.stringify(value));
+}
+
+// Returns a query description holding only the known properties,
+// or throws if it isn't one.
+export function normalizeQuery(query) {
+  if (!query || typeof query !== 'object' || typeof query.dataPath !== 'string')
+    throw new Error('A query must at least have a data path');
+  const sources = Array.isArray(query.sources) ? query.sources : [];
+  return {
+    sourceMode: query.sourceMode === 'local' ? 'local' : 'url',
+    sources: sources
+      .filter(source => source && typeof source.url === 'string')
+      .map(({ url, type }) => ({ url, type })),
+    subject: typeof query.subject === 'string' ? query.subject : '',
+    context: typeof query.context === 'string' ? query.context : '',
+    dataPath: query.dataPath,
+    outputFormat: typeof query.outputFormat === 'string' ? query.outputFormat : undefined
+  };
+}
+
+// ------------------------------------------------------------------
+
+export function loadQueryHistory(storage = window.localStorage) {
+  const history = readStorage(storage, historyStorageKey);
+  return Array.isArray(history) ? history : [];
+}
+
+// Records a run of a query, i.e. { startedAt, duration, resultCount, error, query }.
+// Returns the updated history.
+export function recordQueryRun(run, storage = window.localStorage) {
+  const entry = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    startedAt: run.startedAt,
+    duration: run.duration,
+    resultCount: run.resultCount === undefined ? null : run.resultCount,
+    error: run.error || null,
+    query: normalizeQuery(run.query)
+  };
+  const history = [entry, ...loadQueryHistory(storage)].slice(0, maxHistoryEntries);
+  writeStorage(storage, historyStorageKey, history);
+  return history;
+}
+
+export function clearQueryHistory(storage = window.localStorage) {
+  storage.removeItem(historyStorageKey);
+  return [];
+}
+
+// Keeps the history entries whose sources, subject, data path, context or error
+// contain all the words of the search text.
+export function searchQueryHistory(history, searchText) {
+  const words = (searchText || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length)
+    return history;
+  return history.filter(entry => {
+    const { sources, subject, dataPath, context } = entry.query;
+    const text = [...sources.map(source => source.url), subject, dataPath, context, entry.error || '']
+      .join(' ').toLowerCase();
+    return words.every(word => text.includes(word));
+  });
+}
+
+// ------------------------------------------------------------------
+
+export function loadSavedQueries(storage = window.localStorage) {
+  const collections = readStorage(storage, savedQueriesStorageKey);
+  return Array.isArray(collections) ? collections : [];
+}
+
+export function storeSavedQueries(collections, storage = window.localStorage) {
+  writeStorage(storage, savedQueriesStorageKey, collections);
+}
+
+// Saves a query by name into a collection, creating the collection if needed
+// and replacing any query of the same name in it. Returns the updated collections.
+export function saveQuery(collections, collectionName, name, query) {
+  collectionName = (collectionName || '').trim();
+  name = (name || '').trim();
+  if (!collectionName)
+    throw new Error('No collection name given');
+  if (!name)
+    throw new Error('No query name given');
+
+  const savedQuery = { name, savedAt: new Date().toISOString(), query: normalizeQuery(query) };
+  const collection = collections.find(coll => coll.name === collectionName) || { name: collectionName, queries: [] };
+  const updated = {
+    ...collection,
+    queries: [...collection.queries.filter(qry => qry.name !== name), savedQuery]
+  };
+  return collections.includes(collection) ?
+    collections.map(coll => (coll === collection ? updated : coll)) :
+    [...collections, updated];
+}
+
+// Deletes a saved query, and its collection once empty. Returns the updated collections.
+export function deleteSavedQuery(collections, collectionName, name) {
+  return collections
+    .map(coll => (coll.name === collectionName ? { ...coll, queries: coll.queries.filter(qry => qry.name !== name) } : coll))
+    .filter(coll => coll.queries.length);
+}
+
+// Serializes collections as the JSON text of a saved queries file.
+export function exportSavedQueries(collections) {
+  return JSON.stringify({
+    format: savedQueriesFileFormat,
+    version: savedQueriesFileVersion,
+    collections
+  }, null, 2);
+}
+
+// Merges the collections of a saved queries file into the given collections.
+// Imported queries replace saved queries of the same name in the same collection.
+// Returns the updated collections, or throws if the file is invalid.
+export function importSavedQueries(json, collections) {
+  let file;
+  try {
+    file = JSON.parse(json);
+  }
+  catch (ex) {
+    throw new Error('Not a JSON file: ' + ex.message);
+  }
+  if (!file || file.format !== savedQueriesFileFormat || !Array.isArray(file.collections))
+    throw new Error('Not a saved queries file');
+  if (file.version > savedQueriesFileVersion)
+    throw new Error(`Unsupported saved queries file version ${file.version}`);
+
+  return file.collections.reduce((merged, collection, collectionIndex) => {
+    if (!collection || typeof collection.name !== 'string' || !Array.isArray(collection.queries))
+      throw new Error(`Invalid collection #${collectionIndex + 1}`);
+    return collection.queries.reduce((mergedQueries, savedQuery, queryIndex) => {
+      const { name, query } = savedQuery || {};
+      try {
+        return saveQuery(mergedQueries, collection.name, name, query);
+      }
+      catch (ex) {
+        throw new Error(`Invalid query #${queryIndex + 1} in collection "${collection.name}": ${ex.message}`);
+      }
+    }, merged);
+  }, collections);
+}
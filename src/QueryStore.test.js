@@ -0,0 +1,75 @@
+import {
+  maxHistoryEntries, loadQueryHistory, recordQueryRun, clearQueryHistory, searchQueryHistory,
+  loadSavedQueries, storeSavedQueries, saveQuery, deleteSavedQuery, exportSavedQueries, importSavedQueries
+} from './QueryStore';
+
+const query = {
+  sourceMode: 'url',
+  sources: [{ url: 'https://ruben.verborgh.org/profile/', type: 'file', extra: true }],
+  subject: 'https://ruben.verborgh.org/profile/#me',
+  context: '{ "@context": { "@vocab": "http://xmlns.com/foaf/0.1/" } }',
+  dataPath: '.interest.label',
+  outputFormat: 'fmt_json'
+};
+
+beforeEach(() => window.localStorage.clear());
+
+test('records query runs, newest first, up to a maximum', () => {
+  recordQueryRun({ startedAt: '2020-01-01T00:00:00.000Z', duration: 12, resultCount: 3, query });
+  const history = recordQueryRun({ startedAt: '2020-01-02T00:00:00.000Z', duration: 5, error: 'Failed', query: { ...query, dataPath: '.name' } });
+
+  expect(loadQueryHistory()).toEqual(history);
+  expect(history.map(entry => [entry.query.dataPath, entry.resultCount, entry.error])).toEqual([
+    ['.name', null, 'Failed'],
+    ['.interest.label', 3, null],
+  ]);
+  expect(history[1].query.sources).toEqual([{ url: 'https://ruben.verborgh.org/profile/', type: 'file' }]);
+
+  for (let i = 0; i < maxHistoryEntries; i++)
+    recordQueryRun({ startedAt: '2020-01-03T00:00:00.000Z', duration: 1, resultCount: i, query });
+  expect(loadQueryHistory()).toHaveLength(maxHistoryEntries);
+
+  expect(clearQueryHistory()).toEqual([]);
+  expect(loadQueryHistory()).toEqual([]);
+});
+
+test('searches the query history', () => {
+  recordQueryRun({ startedAt: '2020-01-01T00:00:00.000Z', duration: 1, resultCount: 1, query });
+  const history = recordQueryRun({ startedAt: '2020-01-01T00:00:00.000Z', duration: 1, error: 'Timeout', query: { ...query, dataPath: '.name' } });
+  expect(searchQueryHistory(history, 'ruben INTEREST').map(entry => entry.query.dataPath)).toEqual(['.interest.label']);
+  expect(searchQueryHistory(history, 'timeout').map(entry => entry.query.dataPath)).toEqual(['.name']);
+  expect(searchQueryHistory(history, '')).toBe(history);
+});
+
+test('saves queries by name into collections', () => {
+  let collections = saveQuery([], 'Checks', 'Interests', query);
+  collections = saveQuery(collections, 'Checks', 'Names', { ...query, dataPath: '.name' });
+  collections = saveQuery(collections, 'Checks', 'Interests', { ...query, dataPath: '.interest' });
+  expect(collections).toHaveLength(1);
+  expect(collections[0].queries.map(qry => [qry.name, qry.query.dataPath])).toEqual([
+    ['Names', '.name'], ['Interests', '.interest'],
+  ]);
+  expect(() => saveQuery(collections, 'Checks', ' ', query)).toThrow('No query name given');
+
+  storeSavedQueries(collections);
+  expect(loadSavedQueries()).toEqual(collections);
+
+  collections = deleteSavedQuery(collections, 'Checks', 'Names');
+  expect(collections[0].queries).toHaveLength(1);
+  expect(deleteSavedQuery(collections, 'Checks', 'Interests')).toEqual([]);
+});
+
+test('exports and imports saved query collections', () => {
+  const exported = exportSavedQueries(saveQuery([], 'Checks', 'Interests', query));
+  const existing = saveQuery([], 'Mine', 'Names', { ...query, dataPath: '.name' });
+
+  const imported = importSavedQueries(exported, existing);
+  expect(imported.map(coll => coll.name)).toEqual(['Mine', 'Checks']);
+  expect(imported[1].queries[0].query.dataPath).toBe('.interest.label');
+
+  expect(() => importSavedQueries('{', existing)).toThrow('Not a JSON file');
+  expect(() => importSavedQueries('{ "collections": [] }', existing)).toThrow('Not a saved queries file');
+  expect(() => importSavedQueries(JSON.stringify({
+    format: 'flexpress-saved-queries', version: 1, collections: [{ name: 'Bad', queries: [{ name: 'No path', query: {} }] }]
+  }), existing)).toThrow('Invalid query #1 in collection "Bad"');
+});
@@ -0,0 +1,91 @@
+// Stoppable iteration over streamed query results.
+//
+// LDflex paths, and the Comunica bindings behind them, are async iterables which
+// may yield values slowly (a large or remote source) or for a long time.
+// streamValues() iterates one, handing each value over as soon as it arrives,
+// and stops on request (an AbortSignal), on a timeout or at a result limit.
+//
+// Stopping abandons the pending step of the iteration and asks the iterator to
+// finish (iterator.return()), so no further values are requested from the engine.
+
+// Why an iteration stopped before the iterable was exhausted
+export const STOP_CANCELLED = 'cancelled';
+export const STOP_TIMEOUT = 'timeout';
+export const STOP_LIMIT = 'limit';
+
+// Iterates an async iterable, calling onValue(value, index) for each value.
+//
+// options:
+// - signal: An AbortSignal stopping the iteration when aborted.
+// - timeout: Time (ms) after which the iteration stops. 0 means no timeout.
+// - limit: Number of values after which the iteration stops. 0 means no limit.
+// Resolves to { count, stopReason }, stopReason being null if the iterable was
+// exhausted, or else STOP_CANCELLED, STOP_TIMEOUT or STOP_LIMIT.
+// Errors thrown by the iterable or by onValue are passed on.
+export async function streamValues(iterable, onValue, options = {}) {
+  const { signal, timeout = 0, limit = 0 } = options;
+  const iterator = iterable[Symbol.asyncIterator]();
+
+  let stopReason = null;
+  let wakeUp;
+  const stopped = new Promise(resolve => { wakeUp = resolve; });
+  const stop = reason => {
+    if (!stopReason) {
+      stopReason = reason;
+      wakeUp(null);
+    }
+  };
+
+  const abortHandler = () => stop(STOP_CANCELLED);
+  if (signal) {
+    if (signal.aborted)
+      stop(STOP_CANCELLED);
+    else
+      signal.addEventListener('abort', abortHandler);
+  }
+  const timer = timeout > 0 ? setTimeout(() => stop(STOP_TIMEOUT), timeout) : null;
+
+  let count = 0;
+  try {
+    while (!stopReason) {
+      if (limit > 0 && count >= limit) {
+        stop(STOP_LIMIT);
+        break;
+      }
+
+      const pending = iterator.next();
+      // An abandoned step may still fail later, once nobody is waiting for it.
+      pending.catch(() => null);
+      const next = await Promise.race([pending, stopped]);
+      if (!next || next.done)
+        break;
+
+      onValue(next.value, count);
+      count++;
+    }
+  }
+  finally {
+    clearTimeout(timer);
+    if (signal)
+      signal.removeEventListener('abort', abortHandler);
+    // Not awaited: the iterator may only finish once its abandoned step settles.
+    if (stopReason && typeof iterator.return === 'function')
+      Promise.resolve().then(() => iterator.return()).catch(() => null);
+  }
+
+  return { count, stopReason };
+}
+
+// Describes why an iteration stopped, e.g. for a status message.
+export function describeStopReason(stopReason, options = {}) {
+  switch (stopReason) {
+    case STOP_CANCELLED:
+      return 'stopped';
+    case STOP_TIMEOUT:
+      return `timed out after ${options.timeout / 1000} s`;
+    case STOP_LIMIT:
+      return `stopped at the limit of ${options.limit} results`;
+    default:
+      return 'completed';
+  }
+}
@@ -0,0 +1,56 @@
+import { streamValues, describeStopReason, STOP_CANCELLED, STOP_TIMEOUT, STOP_LIMIT } from './QueryStream';
+
+// An async iterable yielding the given values, then never finishing if hang is set.
+// Records whether it was asked to finish early.
+function createIterable(values, hang = false) {
+  const iterable = {
+    returned: false,
+    [Symbol.asyncIterator]() {
+      let index = 0;
+      return {
+        next: () => (index < values.length ?
+          Promise.resolve({ value: values[index++], done: false }) :
+          hang ? new Promise(() => null) : Promise.resolve({ done: true })),
+        return: () => {
+          iterable.returned = true;
+          return Promise.resolve({ done: true });
+        }
+      };
+    }
+  };
+  return iterable;
+}
+
+test('streams every value of an exhausted iterable', async () => {
+  const values = [];
+  const iterable = createIterable(['a', 'b', 'c']);
+  expect(await streamValues(iterable, (value, index) => values.push([value, index]))).toEqual({ count: 3, stopReason: null });
+  expect(values).toEqual([['a', 0], ['b', 1], ['c', 2]]);
+  expect(iterable.returned).toBe(false);
+});
+
+test('stops at the result limit', async () => {
+  const values = [];
+  const iterable = createIterable(['a', 'b', 'c']);
+  expect(await streamValues(iterable, value => values.push(value), { limit: 2 })).toEqual({ count: 2, stopReason: STOP_LIMIT });
+  expect(values).toEqual(['a', 'b']);
+  await Promise.resolve();
+  expect(iterable.returned).toBe(true);
+});
+
+test('stops on timeout and on cancellation', async () => {
+  const timedOut = await streamValues(createIterable(['a'], true), () => null, { timeout: 20 });
+  expect(timedOut).toEqual({ count: 1, stopReason: STOP_TIMEOUT });
+
+  const controller = new AbortController();
+  const cancelled = streamValues(createIterable(['a', 'b'], true), () => null, { signal: controller.signal });
+  setTimeout(() => controller.abort(), 10);
+  expect(await cancelled).toEqual({ count: 2, stopReason: STOP_CANCELLED });
+
+  expect(describeStopReason(STOP_TIMEOUT, { timeout: 20000 })).toBe('timed out after 20 s');
+});
+
+test('passes on errors from the iterable', async () => {
+  const failing = { [Symbol.asyncIterator]: () => ({ next: () => Promise.reject(new Error('Source unavailable')) }) };
+  await expect(streamValues(failing, () => null)).rejects.toThrow('Source unavailable');
+});
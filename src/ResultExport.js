@@ -0,0 +1,176 @@
+// Serializations of query results for export, i.e. download or copying to the clipboard.
+//
+// Tabular and SPARQL results formats serialize the result objects themselves
+// (see LdfResults.js). RDF formats serialize the triples the query walked through
+// (see LdfTriples.js).
+
+import { resultsToSparqlJson } from './LdfResults';
+
+const N3 = require('n3');
+const { JsonLdSerializer } = require('jsonld-streaming-serializer');
+
+const XSD_STRING = 'http://www.w3.org/2001/XMLSchema#string';
+
+// Columns of the CSV and TSV serializations
+const tabularColumns = ['value', 'termType', 'datatype', 'language', 'subject', 'path', 'sources'];
+
+// ------------------------------------------------------------------
+
+// Serializes result objects as CSV (RFC 4180), one row per value.
+export function resultsToCsv(results) {
+  const quote = field => (/[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field);
+  return resultsToRows(results).map(row => row.map(quote).join(',')).join('\r\n') + '\r\n';
+}
+
+// Serializes result objects as TSV, one row per value.
+// Tabs and line breaks within values are escaped, as TSV has no quoting.
+export function resultsToTsv(results) {
+  const escape = field => field.replace(/\\/g, '\\\\').replace(/\t/g, '\\t').replace(/\n/g, '\\n').replace(/\r/g, '\\r');
+  return resultsToRows(results).map(row => row.map(escape).join('\t')).join('\n') + '\n';
+}
+
+function resultsToRows(results) {
+  const rows = results.map(result => tabularColumns.map(column => {
+    const field = result[column];
+    if (Array.isArray(field))
+      return field.join(' ');
+    return field === undefined || field === null ? '' : String(field);
+  }));
+  return [tabularColumns, ...rows];
+}
+
+// Serializes result objects as a SPARQL 1.1 Query Results XML document.
+export function resultsToSparqlXml(results, variable = 'value') {
+  return sparqlJsonToXml(resultsToSparqlJson(results, variable));
+}
+
+// Converts a SPARQL 1.1 Query Results JSON document into the XML format.
+// See https://www.w3.org/TR/rdf-sparql-XMLres/
+export function sparqlJsonToXml(sparqlJson) {
+  const escapeXml = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const variables = sparqlJson.head.vars || [];
+
+  const lines = [
+    '<?xml version="1.0"?>',
+    '<sparql xmlns="http://www.w3.org/2005/sparql-results#">',
+    '  <head>',
+    ...variables.map(variable => `    <variable name="${escapeXml(variable)}"/>`),
+    '  </head>',
+  ];
+
+  if (typeof sparqlJson.boolean === 'boolean') {
+    lines.push(`  <boolean>${sparqlJson.boolean}</boolean>`, '</sparql>');
+    return lines.join('\n') + '\n';
+  }
+
+  lines.push('  <results>');
+  sparqlJson.results.bindings.forEach(binding => {
+    lines.push('    <result>');
+    variables.filter(variable => binding[variable]).forEach(variable => {
+      const term = binding[variable];
+      let element;
+      if (term.type === 'uri')
+        element = `<uri>${escapeXml(term.value)}</uri>`;
+      else if (term.type === 'bnode')
+        element = `<bnode>${escapeXml(term.value)}</bnode>`;
+      else if (term['xml:lang'])
+        element = `<literal xml:lang="${escapeXml(term['xml:lang'])}">${escapeXml(term.value)}</literal>`;
+      else if (term.datatype)
+        element = `<literal datatype="${escapeXml(term.datatype)}">${escapeXml(term.value)}</literal>`;
+      else
+        element = `<literal>${escapeXml(term.value)}</literal>`;
+      lines.push(`      <binding name="${escapeXml(variable)}">${element}</binding>`);
+    });
+    lines.push('    </result>');
+  });
+  lines.push('  </results>', '</sparql>');
+  return lines.join('\n') + '\n';
+}
+
+// Serializes solutions, each mapping variable names to result objects,
+// in the SPARQL 1.1 Query Results CSV format: plain values, one column per variable.
+// See https://www.w3.org/TR/sparql11-results-csv-tsv/
+export function bindingsToCsv(bindings, variables) {
+  const quote = field => (/[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field);
+  const rows = bindings.map(solution => variables.map(variable => (solution[variable] ? solution[variable].value : '')));
+  return [variables, ...rows].map(row => row.map(quote).join(',')).join('\r\n') + '\r\n';
+}
+
+// Serializes solutions in the SPARQL 1.1 Query Results TSV format,
+// where values are written as RDF terms in Turtle syntax.
+export function bindingsToTsv(bindings, variables) {
+  const rows = bindings.map(solution => variables.map(variable => (solution[variable] ? resultToTsvTerm(solution[variable]) : '')));
+  return [variables.map(variable => '?' + variable), ...rows].map(row => row.join('\t')).join('\n') + '\n';
+}
+
+function resultToTsvTerm(result) {
+  if (result.termType === 'NamedNode')
+    return `<${result.value}>`;
+  if (result.termType === 'BlankNode')
+    return `_:${result.value}`;
+  const value = '"' + result.value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')
+    .replace(/\t/g, '\\t').replace(/\n/g, '\\n').replace(/\r/g, '\\r') + '"';
+  if (result.language)
+    return `${value}@${result.language}`;
+  if (result.datatype && result.datatype !== XSD_STRING)
+    return `${value}^^<${result.datatype}>`;
+  return value;
+}
+
+// ------------------------------------------------------------------
+
+// Extracts the prefix definitions from a JSON-LD context object,
+// i.e. the terms mapping to an IRI ending in '/' or '#'.
+export function getContextPrefixes(contextObj) {
+  const ctx = contextObj && contextObj['@context'] ? contextObj['@context'] : contextObj;
+  const prefixes = {};
+  if (ctx && typeof ctx === 'object' && !Array.isArray(ctx)) {
+    Object.keys(ctx).forEach(key => {
+      if (!key.startsWith('@') && typeof ctx[key] === 'string' && /^[a-z][\w.-]*:.*[/#]$/i.test(ctx[key]))
+        prefixes[key] = ctx[key];
+    });
+  }
+  return prefixes;
+}
+
+// Serializes triples as Turtle or N-Triples.
+// Turtle output abbreviates IRIs using the given prefixes.
+export function triplesToN3(triples, format, prefixes = {}) {
+  return new Promise((resolve, reject) => {
+    const writer = new N3.Writer(format === 'N-Triples' ? { format } : { format, prefixes });
+    writer.addQuads(triples);
+    writer.end((error, result) => (error ? reject(error) : resolve(result)));
+  });
+}
+
+// Serializes triples as JSON-LD, compacted using the given JSON-LD context, if any.
+export function triplesToJsonLd(triples, contextObj) {
+  return new Promise((resolve, reject) => {
+    const context = contextObj && contextObj['@context'] ? contextObj['@context'] : contextObj;
+    const serializer = new JsonLdSerializer({ space: '  ', context: context || undefined });
+    const chunks = [];
+    serializer.on('data', chunk => chunks.push(chunk));
+    serializer.on('error', reject);
+    serializer.on('end', () => resolve(chunks.join('')));
+    // The serializer only groups consecutive triples sharing a subject.
+    [...triples]
+      .sort((a, b) => (a.subject.value < b.subject.value ? -1 : a.subject.value > b.subject.value ? 1 : 0))
+      .forEach(triple => serializer.write(triple));
+    serializer.end();
+  });
+}
+
+// ------------------------------------------------------------------
+
+// Triggers a browser download of the given text as a file.
+export function downloadText(text, fileName, mediaType) {
+  const blob = new Blob([text], { type: mediaType });
+  const url = URL.createObjectURL(blob);
+  const anchor = document.createElement('a');
+  anchor.href = url;
+  anchor.download = fileName;
+  document.body.appendChild(anchor);
+  anchor.click();
+  document.body.removeChild(anchor);
+  URL.revokeObjectURL(url);
+}
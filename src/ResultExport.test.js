@@ -0,0 +1,73 @@
+import {
+  resultsToCsv, resultsToTsv, resultsToSparqlXml, sparqlJsonToXml, bindingsToCsv, bindingsToTsv,
+  getContextPrefixes, triplesToN3, triplesToJsonLd
+} from './ResultExport';
+import { collectPathTriples } from './LdfTriples';
+import { createTestEngine } from './TestFixtures';
+
+const { PathFactory } = require('ldflex');
+const { namedNode } = require('@rdfjs/data-model');
+
+const results = [
+  { termType: 'Literal', value: 'Sam, "the" man', language: 'en', datatype: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#langString', subject: 'http://example.org/#me', path: '.friends.name' },
+  { termType: 'NamedNode', value: 'http://example.org/#you', subject: 'http://example.org/#me', path: '.friends', sources: ['http://a.example/', 'http://b.example/'] },
+];
+
+test('serializes results as CSV and TSV', () => {
+  expect(resultsToCsv(results).split('\r\n')).toEqual([
+    'value,termType,datatype,language,subject,path,sources',
+    '"Sam, ""the"" man",Literal,http://www.w3.org/1999/02/22-rdf-syntax-ns#langString,en,http://example.org/#me,.friends.name,',
+    'http://example.org/#you,NamedNode,,,http://example.org/#me,.friends,http://a.example/ http://b.example/',
+    '',
+  ]);
+  expect(resultsToTsv([{ termType: 'Literal', value: 'a\tb\nc' }]).split('\n')[1]).toBe('a\\tb\\nc\tLiteral\t\t\t\t\t');
+});
+
+test('serializes results as SPARQL XML results', () => {
+  const xml = resultsToSparqlXml(results);
+  expect(xml).toContain('<binding name="value"><literal xml:lang="en">Sam, &quot;the&quot; man</literal></binding>');
+  expect(xml).toContain('<binding name="value"><uri>http://example.org/#you</uri></binding>');
+});
+
+test('serializes SPARQL solutions as CSV, TSV and XML', () => {
+  const variables = ['person', 'name'];
+  const bindings = [
+    { person: { termType: 'NamedNode', value: 'http://example.org/#me' }, name: { termType: 'Literal', value: 'Me, "I"', language: 'en' } },
+    { person: { termType: 'BlankNode', value: 'b0' } },
+  ];
+  expect(bindingsToCsv(bindings, variables)).toBe('person,name\r\nhttp://example.org/#me,"Me, ""I"""\r\nb0,\r\n');
+  expect(bindingsToTsv(bindings, variables)).toBe('?person\t?name\n<http://example.org/#me>\t"Me, \\"I\\""@en\n_:b0\t\n');
+
+  expect(sparqlJsonToXml({ head: {}, boolean: true })).toContain('<boolean>true</boolean>');
+});
+
+test('extracts prefixes from a context', () => {
+  expect(getContextPrefixes({
+    "@context": { "@vocab": "http://xmlns.com/foaf/0.1/", "foaf": "http://xmlns.com/foaf/0.1/", "friends": "knows" }
+  })).toEqual({ foaf: 'http://xmlns.com/foaf/0.1/' });
+});
+
+test('collects and serializes the triples a path walks through', async () => {
+  const { queryEngine } = await createTestEngine(`
+    @prefix foaf: <http://xmlns.com/foaf/0.1/>.
+    <#me> foaf:name "Me"; foaf:knows <#you>, <#them>.
+    <#you> foaf:name "You".
+    <#them> foaf:age 3.
+  `);
+  const pathFactory = new PathFactory({ context: { "@vocab": "http://xmlns.com/foaf/0.1/" }, queryEngine });
+  const subjectPath = pathFactory.create({ subject: namedNode('http://example.org/people#me') });
+
+  const triples = await collectPathTriples(subjectPath.resolve('.knows.name'), queryEngine);
+  const nTriples = await triplesToN3(triples, 'N-Triples');
+  expect(nTriples.trim().split('\n').sort()).toEqual([
+    '<http://example.org/people#me> <http://xmlns.com/foaf/0.1/knows> <http://example.org/people#you> .',
+    '<http://example.org/people#you> <http://xmlns.com/foaf/0.1/name> "You" .',
+  ]);
+
+  const turtle = await triplesToN3(triples, 'Turtle', { foaf: 'http://xmlns.com/foaf/0.1/' });
+  expect(turtle).toContain('foaf:knows');
+
+  const jsonLd = JSON.parse(await triplesToJsonLd(triples, { "@context": { "@vocab": "http://xmlns.com/foaf/0.1/" } }));
+  expect(jsonLd['@context']).toEqual({ "@vocab": "http://xmlns.com/foaf/0.1/" });
+  expect(jsonLd['@graph']).toHaveLength(2);
+});
@@ -0,0 +1,86 @@
+// Authenticated access to Solid pods.
+//
+// Users log in with Solid-OIDC (through @inrupt/solid-client-authn-browser), which
+// current Solid servers, e.g. Community Solid Server, speak. Every request Flexpress
+// makes goes through the session's fetch(), including those of the Comunica engine
+// LDflex queries with (see SourceFetch.js), so once the user has logged in with their
+// identity provider, queries and updates are authenticated as their WebID.
+//
+// Logging in redirects to the identity provider, which redirects back to the page.
+// The session is then completed from what it hands back, and restored on later visits.
+//
+// The logged-in user's profile is offered as a subject to start from, as the user
+// path of @solid/query-ldflex does. That path itself isn't available: @solid/query-ldflex
+// only knows the sessions of solid-auth-client, which speaks the older WebID-OIDC.
+
+const { getDefaultSession, EVENTS } = require('@inrupt/solid-client-authn-browser');
+
+// The identity provider of a locally run Solid server (Community Solid Server's default address).
+export const defaultIdentityProvider = 'http://localhost:3000';
+
+// The session events which may change the logged-in user.
+const sessionEvents = [EVENTS.LOGIN, EVENTS.LOGOUT, EVENTS.SESSION_RESTORED, EVENTS.SESSION_EXPIRED];
+
+// Completing a login, or restoring a previous session, is done once per page load.
+let sessionRestored = null;
+
+// ------------------------------------------------------------------
+
+// Checks an identity provider URL, which must be an HTTP(S) URL.
+// Returns the URL; throws if it's invalid.
+export function checkIdentityProvider(url) {
+  let idp;
+  try {
+    idp = new URL(url.trim());
+  }
+  catch (ex) {
+    throw new Error(`Invalid identity provider URL: ${url}`);
+  }
+  if (!/^https?:$/.test(idp.protocol))
+    throw new Error(`The identity provider must be an HTTP(S) URL: ${url}`);
+  return idp.href;
+}
+
+// Calls onChange with the WebID of the logged-in user, or null, once the session
+// has been restored and whenever the user logs in or out. The first call completes
+// a login the identity provider redirected back from, if any.
+// Returns a function which stops tracking the session.
+export function trackSession(onChange) {
+  const session = getDefaultSession();
+  let tracking = true;
+  const sessionChanged = () => {
+    if (tracking)
+      onChange(session.info.isLoggedIn ? session.info.webId : null);
+  }
+
+  if (!sessionRestored)
+    sessionRestored = session.handleIncomingRedirect({ restorePreviousSession: true });
+  // A login which can't be completed leaves the user logged out.
+  sessionRestored.then(sessionChanged, sessionChanged);
+  sessionEvents.forEach(event => session.events.on(event, sessionChanged));
+  return () => {
+    tracking = false;
+    sessionEvents.forEach(event => session.events.off(event, sessionChanged));
+  };
+}
+
+// Logs in with the given identity provider, redirecting to it and then back
+// to the given page. Rejects if the identity provider can't be reached.
+export async function login(identityProvider, returnUrl) {
+  const oidcIssuer = checkIdentityProvider(identityProvider);
+  try {
+    await getDefaultSession().login({ oidcIssuer, redirectUrl: returnUrl, clientName: 'Flexpress' });
+  }
+  catch (ex) {
+    throw new Error(`Unable to log in with ${identityProvider}: ${ex.message}`);
+  }
+}
+
+export function logout() {
+  return getDefaultSession().logout();
+}
+
+// fetch(), authenticated as the logged-in user, if any.
+export function authenticatedFetch(input, init) {
+  return getDefaultSession().fetch(input, init);
+}
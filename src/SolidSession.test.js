@@ -0,0 +1,46 @@
+import { checkIdentityProvider, trackSession, login, authenticatedFetch } from './SolidSession';
+
+const { getDefaultSession, EVENTS } = require('@inrupt/solid-client-authn-browser');
+
+const session = getDefaultSession();
+const WEBID = 'http://localhost:3000/profile/card#me';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  Object.assign(session.info, { isLoggedIn: false, webId: undefined });
+});
+
+test('checks identity provider URLs', async () => {
+  expect(checkIdentityProvider(' http://localhost:3000 ')).toBe('http://localhost:3000/');
+  expect(() => checkIdentityProvider('localhost:3000')).toThrow('must be an HTTP(S) URL');
+  expect(() => checkIdentityProvider('not a url')).toThrow('Invalid identity provider URL');
+  await expect(login('ftp://localhost/', 'http://localhost/')).rejects.toThrow('must be an HTTP(S) URL');
+
+  jest.spyOn(session, 'login').mockRejectedValue(new Error('Failed to fetch'));
+  await expect(login('http://localhost:3000', 'http://localhost/')).rejects.toThrow('Unable to log in with http://localhost:3000: Failed to fetch');
+  expect(session.login).toHaveBeenCalledWith(expect.objectContaining({ oidcIssuer: 'http://localhost:3000/', redirectUrl: 'http://localhost/' }));
+});
+
+test('tracks the WebID of the Solid-OIDC session and fetches through it', async () => {
+  const handleIncomingRedirect = jest.spyOn(session, 'handleIncomingRedirect').mockImplementation(async () => {
+    Object.assign(session.info, { isLoggedIn: true, webId: WEBID });
+    return session.info;
+  });
+  const fetch = jest.spyOn(session, 'fetch').mockResolvedValue({ ok: true });
+  const onChange = jest.fn();
+
+  const stop = trackSession(onChange);
+  await new Promise(resolve => setTimeout(resolve, 0));
+  expect(handleIncomingRedirect).toHaveBeenCalledWith({ restorePreviousSession: true });
+  expect(onChange).toHaveBeenLastCalledWith(WEBID);
+
+  Object.assign(session.info, { isLoggedIn: false, webId: undefined });
+  session.events.emit(EVENTS.LOGOUT);
+  expect(onChange).toHaveBeenLastCalledWith(null);
+  stop();
+  session.events.emit(EVENTS.LOGIN);
+  expect(onChange).toHaveBeenCalledTimes(2);
+
+  await authenticatedFetch('http://localhost:3000/private/', { method: 'GET' });
+  expect(fetch).toHaveBeenCalledWith('http://localhost:3000/private/', { method: 'GET' });
+});
@@ -0,0 +1,194 @@
+// Connection settings of data sources, and explaining why fetching them failed.
+//
+// Some sources can't be queried as they are: their server doesn't allow pages of
+// other origins to read them (CORS), wants request headers of its own, or labels its
+// documents with the wrong media type. Each source may be given connection settings,
+// kept in browser storage (localStorage):
+//
+//   {
+//     proxy: 'https://proxy.example/?url={url}',     // CORS proxy URL template, or ''
+//     headers: [{ name: 'Authorization', value }],   // Set on each request, e.g. overriding Accept
+//     mediaType: 'text/turtle'                       // Forced media type of responses, or ''
+//   }
+//
+// {url} in the proxy template is replaced by the URL-encoded URL of the request.
+// Without it, the URL is appended as is, e.g. https://cors-anywhere.example/
+// The settings of a source apply to requests for its URL, or for URLs extending it
+// with a query string or path, e.g. those to a SPARQL endpoint or the pages of
+// a TPF interface. Documents the source links to are fetched as they are.
+//
+// Settings are applied by the fetch() through which Comunica fetches everything
+// (see SourceFetch.js).
+//
+// A failed query can be explained by the requests it made (see explainFailure()):
+// the source couldn't be reached (network), its server didn't allow reading it (CORS),
+// answered with an HTTP error status, or sent a document which couldn't be parsed.
+
+const settingsStorageKey = 'flexpress.connectionSettings';
+
+// Failure kinds
+export const FAILURE_NETWORK = 'network';
+export const FAILURE_CORS = 'cors';
+export const FAILURE_HTTP = 'http';
+export const FAILURE_PARSE = 'parse';
+
+// The media types which may be forced on a source's documents.
+export const forcedMediaTypes = [
+  { label: "Turtle", value: "text/turtle" },
+  { label: "N-Triples", value: "application/n-triples" },
+  { label: "N-Quads", value: "application/n-quads" },
+  { label: "TriG", value: "application/trig" },
+  { label: "N3", value: "text/n3" },
+  { label: "JSON-LD", value: "application/ld+json" },
+  { label: "RDF/XML", value: "application/rdf+xml" },
+  { label: "HTML (RDFa)", value: "text/html" },
+];
+
+export const emptyConnectionSettings = { proxy: '', headers: [], mediaType: '' };
+
+// HTTP header names are tokens (RFC 7230).
+const headerNamePattern = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+const mediaTypePattern = /^[\w.+-]+\/[\w.+-]+$/;
+
+// ------------------------------------------------------------------
+
+// A source URL without its fragment, under which its settings are kept.
+export const connectionKey = url => url.trim().replace(/#.*/, '');
+
+// Whether settings are anything but the defaults.
+export function hasConnectionSettings(settings) {
+  return Boolean(settings && (settings.proxy || settings.headers.length || settings.mediaType));
+}
+
+// Checks connection settings, throwing an error describing the first invalid setting.
+// Returns the settings, trimmed and without blank headers.
+export function checkConnectionSettings(settings) {
+  const proxy = (settings.proxy || '').trim();
+  if (proxy) {
+    let proxyUrl;
+    try {
+      proxyUrl = new URL(proxiedUrl(proxy, 'http://example.org/'));
+    }
+    catch (ex) {
+      throw new Error(`Invalid CORS proxy URL: ${proxy}`);
+    }
+    if (!/^https?:$/.test(proxyUrl.protocol))
+      throw new Error(`The CORS proxy must be an HTTP(S) URL: ${proxy}`);
+  }
+
+  const headers = (settings.headers || [])
+    .map(({ name, value }) => ({ name: name.trim(), value: value.trim() }))
+    .filter(({ name, value }) => name || value);
+  headers.forEach(({ name }) => {
+    if (!headerNamePattern.test(name))
+      throw new Error(`Invalid header name: "${name}"`);
+  });
+
+  const mediaType = (settings.mediaType || '').trim();
+  if (mediaType && !mediaTypePattern.test(mediaType))
+    throw new Error(`Invalid media type: ${mediaType}`);
+
+  return { proxy, headers, mediaType };
+}
+
+// The URL of a request made through a CORS proxy.
+export function proxiedUrl(template, url) {
+  return template.includes('{url}') ? template.split('{url}').join(encodeURIComponent(url)) : template + url;
+}
+
+// Finds the settings applying to a request URL among those of each source URL,
+// the source with the longest URL winning. Returns null if none applies.
+export function findConnectionSettings(settingsByUrl, requestUrl) {
+  const url = connectionKey(requestUrl);
+  const extendsUrl = key => url === key || (url.startsWith(key) && (key.endsWith('/') || '?/'.includes(url[key.length])));
+  const sourceUrl = Object.keys(settingsByUrl)
+    .filter(extendsUrl)
+    .sort((a, b) => b.length - a.length)[0];
+  return sourceUrl ? settingsByUrl[sourceUrl] : null;
+}
+
+// ------------------------------------------------------------------
+
+function readStorage(storage) {
+  try {
+    const json = storage.getItem(settingsStorageKey);
+    const settings = json ? JSON.parse(json) : null;
+    return settings && typeof settings === 'object' ? settings : {};
+  }
+  catch (ex) {
+    // Unavailable storage or corrupt entries simply start afresh.
+    return {};
+  }
+}
+
+// Loads the settings of each source, from its URL.
+export function loadConnectionSettings(storage = window.localStorage) {
+  return readStorage(storage);
+}
+
+// Saves a source's (checked) settings, or forgets them if they're the defaults.
+// Returns the updated settings of each source; throws if the storage is unavailable or full.
+export function saveConnectionSettings(url, settings, storage = window.localStorage) {
+  const { [connectionKey(url)]: previous, ...others } = readStorage(storage);
+  const updated = hasConnectionSettings(settings) ? { ...others, [connectionKey(url)]: settings } : others;
+  storage.setItem(settingsStorageKey, JSON.stringify(updated));
+  return updated;
+}
+
+// ------------------------------------------------------------------
+
+// Errors of Comunica's parsers, or for documents none of them parses.
+const parseErrorPattern = /pars|syntax|unexpected|invalid|media ?type|content.type|no actors/i;
+
+const mediaTypeOf = contentType => (contentType ? contentType.split(';')[0].trim() : null);
+
+// Explains why a query, or a listing, failed with the given error, from the requests
+// it made (see SourceFetch.js).
+// Returns { failure, url, message }, failure being one of the failure kinds and url
+// that of the request at fault, or null if no request explains the error.
+export function explainFailure(error, requests) {
+  const reason = error && error.message ? error.message : String(error);
+  const hint = "in the source's connection settings";
+
+  const unreachable = requests.find(request => request.failure);
+  if (unreachable && unreachable.failure === FAILURE_CORS) {
+    return {
+      failure: FAILURE_CORS, url: unreachable.url,
+      message: `CORS error: ${unreachable.url} couldn't be read, most likely because its server doesn't allow` +
+        ` pages of other sites to read it. Set a CORS proxy ${hint}.`
+    };
+  }
+  if (unreachable) {
+    return {
+      failure: FAILURE_NETWORK, url: unreachable.url,
+      message: `Network error: ${unreachable.url} couldn't be reached (${unreachable.error}).`
+    };
+  }
+
+  const rejected = requests.find(request => request.status >= 400);
+  if (rejected) {
+    const status = `${rejected.status}${rejected.statusText ? ' ' + rejected.statusText : ''}`;
+    let advice = '';
+    if (rejected.status === 401 || rejected.status === 403)
+      advice = ` Log in, or set an Authorization header ${hint}.`;
+    else if (rejected.status === 406 || rejected.status === 415)
+      advice = ` Set the Accept header ${hint}.`;
+    return { failure: FAILURE_HTTP, url: rejected.url, message: `HTTP error: ${rejected.url} answered ${status}.${advice}` };
+  }
+
+  if (parseErrorPattern.test(reason) && requests.length) {
+    // Most likely the last document received, unless another wasn't labelled as RDF.
+    const received = requests.filter(request => request.status !== null);
+    const mislabelled = received.find(request => !forcedMediaTypes.some(({ value }) => value === mediaTypeOf(request.contentType)));
+    const document = mislabelled ? mislabelled : received[received.length - 1];
+    if (document) {
+      const servedAs = document.contentType ? `served as ${mediaTypeOf(document.contentType)}` : 'served without a media type';
+      return {
+        failure: FAILURE_PARSE, url: document.url,
+        message: `Parse error: ${document.url} (${servedAs}) couldn't be parsed: ${reason}` +
+          ` If its media type is wrong, force the right one ${hint}.`
+      };
+    }
+  }
+  return null;
+}
@@ -0,0 +1,55 @@
+import {
+  FAILURE_NETWORK, FAILURE_CORS, FAILURE_HTTP, FAILURE_PARSE, checkConnectionSettings, proxiedUrl, findConnectionSettings,
+  loadConnectionSettings, saveConnectionSettings, explainFailure
+} from './SourceConnections';
+
+beforeEach(() => window.localStorage.clear());
+
+test('checks, matches and saves the connection settings of sources', () => {
+  expect(checkConnectionSettings({ proxy: ' https://proxy.example/?url={url} ', headers: [{ name: ' Accept ', value: 'text/turtle' }, { name: '', value: ' ' }], mediaType: '' }))
+    .toEqual({ proxy: 'https://proxy.example/?url={url}', headers: [{ name: 'Accept', value: 'text/turtle' }], mediaType: '' });
+  expect(() => checkConnectionSettings({ proxy: 'proxy example/{url}', headers: [] })).toThrow('Invalid CORS proxy URL');
+  expect(() => checkConnectionSettings({ proxy: 'ftp://proxy.example/', headers: [] })).toThrow('must be an HTTP(S) URL');
+  expect(() => checkConnectionSettings({ headers: [{ name: 'Bad name', value: 'x' }] })).toThrow('Invalid header name');
+  expect(() => checkConnectionSettings({ headers: [], mediaType: 'turtle' })).toThrow('Invalid media type');
+
+  expect(proxiedUrl('https://proxy.example/?url={url}', 'http://a.example/doc?x=1'))
+    .toBe('https://proxy.example/?url=http%3A%2F%2Fa.example%2Fdoc%3Fx%3D1');
+  expect(proxiedUrl('https://cors-anywhere.example/', 'http://a.example/doc')).toBe('https://cors-anywhere.example/http://a.example/doc');
+
+  const settingsByUrl = { 'http://a.example/sparql': { mediaType: 'a' }, 'http://a.example/': { mediaType: 'root' } };
+  expect(findConnectionSettings(settingsByUrl, 'http://a.example/sparql?query=ASK%7B%7D')).toEqual({ mediaType: 'a' });
+  expect(findConnectionSettings(settingsByUrl, 'http://a.example/sparql2')).toEqual({ mediaType: 'root' });
+  expect(findConnectionSettings(settingsByUrl, 'http://b.example/sparql')).toBeNull();
+
+  const settings = { proxy: '', headers: [], mediaType: 'text/turtle' };
+  expect(saveConnectionSettings('http://a.example/doc#it', settings)).toEqual({ 'http://a.example/doc': settings });
+  expect(loadConnectionSettings()).toEqual({ 'http://a.example/doc': settings });
+  // Default settings are forgotten.
+  expect(saveConnectionSettings('http://a.example/doc', { proxy: '', headers: [], mediaType: '' })).toEqual({});
+});
+
+test('explains failures by the request which failed', () => {
+  const request = changes => ({ status: null, statusText: null, contentType: null, failure: null, error: null, ...changes });
+  const error = new Error('Query failed');
+
+  expect(explainFailure(error, [request({ url: 'http://a.example/', failure: FAILURE_CORS, error: 'Failed to fetch' })]))
+    .toMatchObject({ failure: FAILURE_CORS, url: 'http://a.example/', message: expect.stringMatching(/^CORS error: .* Set a CORS proxy/) });
+  expect(explainFailure(error, [request({ url: 'http://a.example/', failure: FAILURE_NETWORK, error: 'Failed to fetch' })]).message)
+    .toBe("Network error: http://a.example/ couldn't be reached (Failed to fetch).");
+  expect(explainFailure(error, [request({ url: 'http://a.example/', status: 200 }), request({ url: 'http://b.example/', status: 401, statusText: 'Unauthorized' })]))
+    .toMatchObject({ failure: FAILURE_HTTP, message: expect.stringMatching(/^HTTP error: http:\/\/b.example\/ answered 401 Unauthorized\. Log in/) });
+
+  const parseError = new Error('Unexpected "<!DOCTYPE" on line 1.');
+  const received = [
+    request({ url: 'http://a.example/', status: 200, contentType: 'text/turtle; charset=utf-8' }),
+    request({ url: 'http://b.example/', status: 200, contentType: 'application/octet-stream' })
+  ];
+  expect(explainFailure(parseError, received)).toMatchObject({
+    failure: FAILURE_PARSE, url: 'http://b.example/',
+    message: expect.stringMatching(/^Parse error: http:\/\/b.example\/ \(served as application\/octet-stream\) couldn't be parsed/)
+  });
+  // Errors unrelated to the requests aren't explained by them.
+  expect(explainFailure(error, received)).toBeNull();
+  expect(explainFailure(parseError, [])).toBeNull();
+});
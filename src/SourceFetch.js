@@ -0,0 +1,158 @@
+// The fetch() every HTTP request of Flexpress goes through, and the record of those requests.
+//
+// The Comunica engine LDflex queries with fetches documents through solid-auth-client
+// (its HTTP actor is @comunica/actor-http-solid-auth-fetch, as in @solid/query-ldflex),
+// calling its fetch() as a method of its singleton. Replacing that method, once, is
+// enough to see every request Comunica makes; this module is the only one replacing it.
+// Requests Flexpress sends itself, e.g. updates, go through sourceFetch(), as Comunica's
+// do now. Either way, requests are made with the Solid session's fetch() (see SolidSession.js),
+// rather than with solid-auth-client's own, and this module gets to:
+// - apply the connection settings of the sources (see SourceConnections.js). A proxied
+//   response keeps the URL of the request, which Comunica resolves relative IRIs against.
+// - record the requests made for a run, e.g. to profile it (see QueryProfiler.js) or
+//   to explain why it failed (see explainFailure()).
+//
+// A run records its requests in a request log, each request as:
+//
+//   { url, method, status, statusText, contentType, bytes, startTime, endTime, failure, error }
+//
+// the times being performance.now() values, failure FAILURE_NETWORK or FAILURE_CORS
+// for a request which couldn't be made, and error the reason the request failed, if it did.
+// A request is recorded as soon as it's made, and completed as its response comes in.
+//
+// A run in progress is stopped before another one starts (see LdFlexClient.js), so
+// requests are recorded in the log started last among those still open.
+
+import {
+  FAILURE_NETWORK, FAILURE_CORS, emptyConnectionSettings, findConnectionSettings, proxiedUrl
+} from './SourceConnections';
+import { authenticatedFetch } from './SolidSession';
+
+const solidAuth = require('solid-auth-client');
+
+// The connection settings in use, from each source URL, and the request logs
+// still open, the one started last at the end.
+let activeSettings = {};
+const openLogs = [];
+let fetchHooked = false;
+
+// ------------------------------------------------------------------
+
+// Replaces solid-auth-client's fetch(), the first time it's called.
+function hookFetch() {
+  if (fetchHooked)
+    return;
+  solidAuth.fetch = sourceFetch;
+  fetchHooked = true;
+}
+
+// fetch(), as Comunica's requests are made: with the connection settings of the sources,
+// authenticated as the logged-in user, if any, and recorded in the request log of the run.
+export function sourceFetch(input, init) {
+  return hookedFetch(authenticatedFetch, input, init);
+}
+
+// Applies the connection settings of each source (from its URL) to the requests made from now on.
+export function applyConnectionSettings(settingsByUrl) {
+  activeSettings = settingsByUrl;
+  hookFetch();
+}
+
+// Starts recording the requests made for a run, returning its log:
+// - requests: The requests made so far, oldest first.
+// - stop(): Stops recording.
+// options:
+// - bodies: Whether to read a copy of each response body, to note its size
+//   and the time it was received rather than that of its headers.
+export function startRequestLog(options = {}) {
+  const { bodies = false } = options;
+  hookFetch();
+  const log = {
+    requests: [],
+    bodies,
+    stop() {
+      const index = openLogs.indexOf(log);
+      if (index >= 0)
+        openLogs.splice(index, 1);
+    }
+  };
+  openLogs.push(log);
+  return log;
+}
+
+// ------------------------------------------------------------------
+
+// Browsers don't tell why a request failed: a request to another origin
+// which fails while online was most likely blocked by CORS.
+function unreachableFailure(requestUrl, proxied) {
+  if (typeof window === 'undefined' || proxied || (typeof navigator !== 'undefined' && navigator.onLine === false))
+    return FAILURE_NETWORK;
+  return new URL(requestUrl, window.location.href).origin !== window.location.origin ? FAILURE_CORS : FAILURE_NETWORK;
+}
+
+// Headers set on a response, e.g. to force its media type, replace its own.
+function overrideHeaders(response, overrides) {
+  const headers = new Headers(response.headers);
+  Object.entries(overrides).forEach(([name, value]) => headers.set(name, value));
+  Object.defineProperty(response, 'headers', { value: headers });
+}
+
+// Connection settings apply to requests given by their URL, as Comunica's are.
+// Other requests are made as they are.
+async function hookedFetch(fetch, input, init = {}) {
+  const url = typeof input === 'string' ? input : (input instanceof URL ? input.href : null);
+  const settings = (url && findConnectionSettings(activeSettings, url)) || emptyConnectionSettings;
+  const target = settings.proxy ? proxiedUrl(settings.proxy, url) : (url || input);
+  let requestInit = init;
+  if (settings.headers.length) {
+    const headers = new Headers(init.headers);
+    settings.headers.forEach(({ name, value }) => headers.set(name, value));
+    requestInit = { ...init, headers };
+  }
+
+  const log = openLogs[openLogs.length - 1];
+  const request = {
+    url: url || String(input.url),
+    method: init.method ? init.method : (typeof input === 'object' && input.method ? input.method : 'GET'),
+    status: null,
+    statusText: null,
+    contentType: null,
+    bytes: null,
+    startTime: performance.now(),
+    endTime: null,
+    failure: null,
+    error: null
+  };
+  if (log)
+    log.requests.push(request);
+
+  let response;
+  try {
+    response = await fetch(target, requestInit);
+  }
+  catch (ex) {
+    request.endTime = performance.now();
+    request.failure = unreachableFailure(request.url, Boolean(settings.proxy));
+    request.error = ex.message;
+    throw ex;
+  }
+
+  request.status = response.status;
+  request.statusText = response.statusText;
+  request.contentType = response.headers.get('Content-Type');
+  if (log && log.bodies) {
+    // The copy is read alongside the response itself, so its end is when the body has been received.
+    response.clone().arrayBuffer()
+      .then(body => { request.bytes = body.byteLength; })
+      .catch(ex => { request.error = ex.message; })
+      .then(() => { request.endTime = performance.now(); });
+  }
+  else
+    request.endTime = performance.now();
+
+  if (settings.proxy)
+    Object.defineProperty(response, 'url', { value: url });
+  if (settings.mediaType)
+    overrideHeaders(response, { 'Content-Type': settings.mediaType });
+  return response;
+}
@@ -0,0 +1,66 @@
+import { FAILURE_CORS, FAILURE_HTTP, explainFailure } from './SourceConnections';
+import { applyConnectionSettings, startRequestLog } from './SourceFetch';
+import { authenticatedFetch as fetch } from './SolidSession';
+
+// Comunica calls solid-auth-client's fetch(), which the hook replaces to make its requests with the Solid session's.
+const solidAuth = require('solid-auth-client');
+
+jest.mock('./SolidSession', () => ({ authenticatedFetch: jest.fn() }));
+
+const respond = async url => {
+  if (url.includes('unreachable'))
+    throw new TypeError('Failed to fetch');
+  return {
+    url, status: url.includes('missing') ? 404 : 200, statusText: url.includes('missing') ? 'Not Found' : 'OK',
+    headers: new Headers({ 'Content-Type': 'text/plain' })
+  };
+}
+
+beforeEach(() => {
+  fetch.mockImplementation(respond);
+  applyConnectionSettings({});
+});
+
+test('fetches sources through their proxy, with their headers and forced media type', async () => {
+  applyConnectionSettings({
+    'http://a.example/doc': {
+      proxy: 'https://proxy.example/{url}', headers: [{ name: 'Accept', value: 'text/turtle' }], mediaType: 'text/turtle'
+    }
+  });
+  const log = startRequestLog();
+
+  const response = await solidAuth.fetch('http://a.example/doc', { headers: new Headers({ Accept: '*/*', 'X-Other': 'kept' }) });
+  const [target, init] = fetch.mock.calls[0];
+  expect(target).toBe('https://proxy.example/http%3A%2F%2Fa.example%2Fdoc');
+  expect([init.headers.get('Accept'), init.headers.get('X-Other')]).toEqual(['text/turtle', 'kept']);
+  // The response looks like that of the source itself.
+  expect(response.url).toBe('http://a.example/doc');
+  expect(response.headers.get('Content-Type')).toBe('text/turtle');
+
+  // Other requests are made as they are, but recorded too.
+  const other = await solidAuth.fetch('http://b.example/missing', { method: 'HEAD' });
+  expect(fetch).toHaveBeenLastCalledWith('http://b.example/missing', { method: 'HEAD' });
+  expect(other.headers.get('Content-Type')).toBe('text/plain');
+  log.stop();
+  expect(log.requests.map(({ url, method, status, contentType }) => [url, method, status, contentType])).toEqual([
+    ['http://a.example/doc', 'GET', 200, 'text/plain'],
+    ['http://b.example/missing', 'HEAD', 404, 'text/plain'],
+  ]);
+});
+
+test('records the requests of overlapping runs in the run started last', async () => {
+  const error = new Error('Query failed');
+  const first = startRequestLog();
+  await expect(solidAuth.fetch('http://unreachable.example/doc')).rejects.toThrow('Failed to fetch');
+
+  // The first run is still stopping when the second one starts.
+  const second = startRequestLog();
+  await solidAuth.fetch('http://b.example/missing');
+  second.stop();
+  first.stop();
+  await solidAuth.fetch('http://b.example/missing');
+
+  expect(explainFailure(error, first.requests)).toMatchObject({ failure: FAILURE_CORS, url: 'http://unreachable.example/doc' });
+  expect(explainFailure(error, second.requests)).toMatchObject({ failure: FAILURE_HTTP, url: 'http://b.example/missing' });
+  expect([first.requests.length, second.requests.length]).toEqual([1, 1]);
+});
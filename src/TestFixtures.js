@@ -0,0 +1,20 @@
+// Query engines over small RDF fixtures, shared by the tests.
+//
+// A fixture is Turtle text, whose relative IRIs are resolved against its base IRI,
+// loaded into an in-memory store as local RDF is (see LocalRdfSource.js).
+
+import { parseLocalRdf, toComunicaSource } from './LocalRdfSource';
+
+const { default: ComunicaEngine } = require('@ldflex/comunica');
+
+// The base IRI of fixtures which don't give one, making <#me> http://example.org/people#me.
+export const fixtureBaseIri = 'http://example.org/people';
+
+// A query engine over an in-memory store, e.g. to query it again once changed.
+export const createStoreEngine = store => new ComunicaEngine(toComunicaSource(store));
+
+// Loads a Turtle fixture. Resolves to { store, queryEngine }, a query engine over the store.
+export async function createTestEngine(turtle, baseIri = fixtureBaseIri) {
+  const store = await parseLocalRdf(turtle, 'text/turtle', baseIri);
+  return { store, queryEngine: createStoreEngine(store) };
+}
@@ -1,18 +1,25 @@
 import React from 'react';
 import ReactDOM from 'react-dom';
 import App from './App';
+import { defineFlexpressElement } from './FlexpressWidget';
 import reportWebVitals from './reportWebVitals';
 
 import 'bootstrap/dist/css/bootstrap.css';
 import './open-iconic/font/css/open-iconic-bootstrap.min.css';
 import './index.css';
 
-ReactDOM.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>,
-  document.getElementById('root')
-);
+// The Flexpress page renders the app. A page embedding the client
+// instead uses the <flexpress-query> element (see FlexpressWidget.js).
+const root = document.getElementById('root');
+if (root) {
+  ReactDOM.render(
+    <React.StrictMode>
+      <App />
+    </React.StrictMode>,
+    root
+  );
+}
+defineFlexpressElement();
 
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))